@@ -0,0 +1,120 @@
+/**
+ * Append Log
+ *
+ * A file of JSON entries, one per line, that records are appended to and
+ * that is rewritten from time to time to drop entries nobody needs any
+ * more. Also writes whole files atomically for the stores that keep a
+ * single JSON document.
+ */
+
+const fs = require("fs");
+
+class AppendLog {
+  /**
+   * Create a new append log
+   * @param {string} filePath - Log file path
+   * @param {Object} options - Log options
+   * @param {string} options.name - What the entries are, for log messages (default: log)
+   * @param {boolean} options.sync - Flush every append to disk before returning (default: false)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.name = options.name || "log";
+    this.sync = options.sync || false;
+
+    // Lines in the file, including ones for entries that were replaced
+    this.linesWritten = 0;
+    this.fd = null;
+  }
+
+  /**
+   * Write a file atomically: to a temp file first, then renamed over the
+   * old one, so a crash never leaves a half-written file behind
+   * @param {string} filePath - File path
+   * @param {string} data - File contents
+   */
+  static writeFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Read every entry in the log, skipping lines that cannot be parsed
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  read() {
+    const entries = [];
+
+    if (!fs.existsSync(this.filePath)) {
+      this.linesWritten = 0;
+      return entries;
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash mid-write is expected; skip it
+        console.warn(`Skipping unreadable ${this.name} entry:`, error.message);
+      }
+    }
+
+    this.linesWritten = entries.length;
+    return entries;
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {Object} entry - Entry
+   */
+  append(entry) {
+    const line = JSON.stringify(entry) + "\n";
+
+    if (this.sync) {
+      if (this.fd === null) {
+        this.fd = fs.openSync(this.filePath, "a");
+      }
+
+      fs.writeSync(this.fd, line);
+      fs.fsyncSync(this.fd);
+    } else {
+      fs.appendFileSync(this.filePath, line);
+    }
+
+    this.linesWritten++;
+  }
+
+  /**
+   * Replace the log with the given entries
+   * @param {Iterable<Object>} entries - Entries to keep, oldest first
+   */
+  rewrite(entries) {
+    let output = "";
+    let count = 0;
+    for (const entry of entries) {
+      output += JSON.stringify(entry) + "\n";
+      count++;
+    }
+
+    this.close();
+    AppendLog.writeFile(this.filePath, output);
+    this.linesWritten = count;
+  }
+
+  /**
+   * Close the log file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = AppendLog;
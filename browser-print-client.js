@@ -31,26 +31,31 @@
      * @param {string} options.agentUrl - WebSocket URL of the print agent (default: 'ws://localhost:3000')
      * @param {number} options.reconnectInterval - Reconnection interval in ms (default: 5000)
      * @param {boolean} options.debug - Enable debug logging (default: false)
+     * @param {string} options.token - The agent's API token, needed to open the cash drawer, cancel jobs or hold printers from another site
      * @param {Function} options.onStatusChange - Callback function for status changes
      * @param {Function} options.onError - Callback function for errors
      * @param {Function} options.onConnect - Callback function for connection events
      * @param {Function} options.onDisconnect - Callback function for disconnection events
+     * @param {Function} options.onEvent - Callback function for job and printer events
      */
     constructor(options = {}) {
       this.options = {
         agentUrl: options.agentUrl || "ws://localhost:8080",
         reconnectInterval: options.reconnectInterval || 5000,
         debug: options.debug || false,
+        token: options.token || null,
         onStatusChange: options.onStatusChange || (() => {}),
         onError: options.onError || (() => {}),
         onConnect: options.onConnect || (() => {}),
         onDisconnect: options.onDisconnect || (() => {}),
+        onEvent: options.onEvent || (() => {}),
       };
 
       this.ws = null;
       this.connected = false;
       this.reconnectTimer = null;
       this.printers = [];
+      this.eventTypes = null;
 
       // Bind methods
       this.connect = this.connect.bind(this);
@@ -60,6 +65,11 @@
       this.printReceipt = this.printReceipt.bind(this);
       this.printKOT = this.printKOT.bind(this);
       this.getPrinters = this.getPrinters.bind(this);
+      this.cancelJob = this.cancelJob.bind(this);
+      this.holdPrinter = this.holdPrinter.bind(this);
+      this.releasePrinter = this.releasePrinter.bind(this);
+      this.subscribeEvents = this.subscribeEvents.bind(this);
+      this.unsubscribeEvents = this.unsubscribeEvents.bind(this);
       this.log = this.log.bind(this);
     }
 
@@ -102,6 +112,11 @@
           // Get available printers
           this.getPrinters();
 
+          // Restore the event subscription after a reconnect
+          if (this.eventTypes) {
+            this.subscribeEvents(this.eventTypes);
+          }
+
           resolve(true);
         });
 
@@ -212,7 +227,7 @@
       this.log("Received message:", message);
 
       if (message.type === "printers") {
-        this.printers = message.data;
+        this.printers = message.printers || message.data;
         this.options.onStatusChange("printers_updated");
       } else if (message.type === "print_result") {
         // Handle print result
@@ -222,6 +237,22 @@
           this.log("Print job failed:", message.error);
           this.options.onError(new Error(message.error));
         }
+      } else if (
+        message.type === "cancel_result" ||
+        message.type === "hold_result" ||
+        message.type === "release_result" ||
+        message.type === "drawer_result"
+      ) {
+        // Handle queue command result
+        if (message.success) {
+          this.log(`${message.type} succeeded`);
+        } else {
+          this.log(`${message.type} failed:`, message.error);
+          this.options.onError(new Error(message.error));
+        }
+      } else if (message.type === "job_event") {
+        // Handle job or printer event
+        this.options.onEvent(message.event);
       }
     }
 
@@ -235,6 +266,96 @@
       );
     }
 
+    /**
+     * Cancel a print job that is still waiting in the agent's queue
+     * @param {string} jobId - ID of the job to cancel
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    cancelJob(jobId) {
+      if (!jobId) {
+        return Promise.reject(new Error("Job ID is required"));
+      }
+
+      return this.sendMessage({
+        type: "cancel_job",
+        jobId,
+        token: this.options.token || undefined,
+      });
+    }
+
+    /**
+     * Hold a printer's queue, e.g. while the paper roll is changed
+     * @param {string} printerId - ID of the printer to hold
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    holdPrinter(printerId) {
+      if (!printerId) {
+        return Promise.reject(new Error("Printer ID is required"));
+      }
+
+      return this.sendMessage({
+        type: "hold_printer",
+        printerId,
+        token: this.options.token || undefined,
+      });
+    }
+
+    /**
+     * Release a held printer so its queued jobs print
+     * @param {string} printerId - ID of the printer to release
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    releasePrinter(printerId) {
+      if (!printerId) {
+        return Promise.reject(new Error("Printer ID is required"));
+      }
+
+      return this.sendMessage({
+        type: "release_printer",
+        printerId,
+        token: this.options.token || undefined,
+      });
+    }
+
+    /**
+     * Open the cash drawer wired to a receipt printer
+     * @param {string} printerId - ID of the printer the drawer is wired to
+     * @param {Object} [details] - Reason and user recorded in the drawer audit log
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    openDrawer(printerId, details = {}) {
+      if (!printerId) {
+        return Promise.reject(new Error("Printer ID is required"));
+      }
+
+      return this.sendMessage({
+        type: "open_drawer",
+        printerId,
+        reason: details.reason,
+        user: details.user,
+        token: this.options.token || undefined,
+      });
+    }
+
+    /**
+     * Receive job and printer events through the onEvent callback
+     * @param {Array<string>} [events] - Event types, e.g. ["job.failed", "printer.offline"] (default: all)
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    subscribeEvents(events = []) {
+      this.eventTypes = events;
+      return this.sendMessage({ type: "subscribe_events", events });
+    }
+
+    /**
+     * Stop receiving job and printer events
+     * @returns {Promise} Promise that resolves when the request is sent
+     */
+    unsubscribeEvents() {
+      this.eventTypes = null;
+      return this.sendMessage({ type: "unsubscribe_events" });
+    }
+
     /**
      * Print a receipt
      * @param {Object} options - Print options
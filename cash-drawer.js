@@ -0,0 +1,235 @@
+/**
+ * Cash Drawer
+ *
+ * Opens the cash drawer wired to a receipt printer's drawer port with the
+ * ESC/POS pulse command (ESC p), and keeps an audit log of every time a
+ * drawer was opened, by whom and why, whether or not the pulse got through.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+// Value of ESC p's first parameter for each drawer connector pin
+const PINS = {
+  2: 0,
+  5: 1,
+};
+
+// Pulse timings most drawers open with, in ms
+const DEFAULT_SETTINGS = {
+  pin: 2,
+  onTime: 50,
+  offTime: 500,
+};
+
+class CashDrawer {
+  /**
+   * Create a new cash drawer controller
+   * @param {Object} options - Drawer options
+   * @param {Function} options.send - Async function that sends data to a printer ID and resolves with { success, error }
+   * @param {Function} options.getSettings - Returns the drawer settings of a printer ID ({ pin, onTime, offTime })
+   * @param {string} options.dataDir - Directory holding the audit log
+   * @param {number} options.maxEntries - Oldest audit entries are dropped beyond this count (default: 5000)
+   */
+  constructor(options = {}) {
+    this.send = options.send;
+    this.getSettings = options.getSettings || (() => ({}));
+    const dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.auditLog = new AppendLog(path.join(dataDir, "drawer-audit.jsonl"), {
+      name: "drawer audit",
+    });
+    this.maxEntries = options.maxEntries || 5000;
+
+    // Audit entries, oldest first
+    this.entries = [];
+
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Load the audit log from disk
+   * @private
+   */
+  load() {
+    try {
+      this.entries = this.auditLog.read();
+    } catch (error) {
+      console.error(`Error loading drawer audit log: ${error.message}`);
+    }
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+      this.compact();
+    }
+  }
+
+  /**
+   * Build the ESC p command that pulses a drawer pin
+   * @param {Object} settings - Drawer settings
+   * @param {number} settings.pin - Connector pin, 2 or 5 (default: 2)
+   * @param {number} settings.onTime - Pulse on time in ms, up to 510 (default: 50)
+   * @param {number} settings.offTime - Pulse off time in ms, up to 510 (default: 500)
+   * @returns {string} Command as a binary string
+   */
+  static buildKickCommand(settings = {}) {
+    const { pin, onTime, offTime } = { ...DEFAULT_SETTINGS, ...settings };
+
+    if (!(pin in PINS)) {
+      throw new Error(`Invalid drawer pin ${pin}, use 2 or 5`);
+    }
+
+    // Both timings are sent in units of 2ms
+    const toUnits = (ms) =>
+      Math.min(255, Math.max(1, Math.round(Number(ms) / 2) || 1));
+
+    return Buffer.from([
+      0x1b,
+      0x70,
+      PINS[pin],
+      toUnits(onTime),
+      toUnits(offTime),
+    ]).toString("binary");
+  }
+
+  /**
+   * Check whether a bill was paid in cash, fully or as part of a split
+   * @param {Object} payment - Bill's summary.payment
+   * @returns {boolean} True if any of the payment was cash
+   */
+  static isCashPayment(payment) {
+    if (!payment) return false;
+
+    const isCash = (method) =>
+      typeof method === "string" && method.toUpperCase() === "CASH";
+
+    if (isCash(payment.type) || isCash(payment.method)) {
+      return true;
+    }
+
+    return (
+      Array.isArray(payment.details) &&
+      payment.details.some((detail) => isCash(detail.method))
+    );
+  }
+
+  /**
+   * Pulse a printer's drawer port and record it in the audit log
+   * @param {string} printerId - Printer the drawer is wired to
+   * @param {Object} [details] - Why the drawer was opened
+   * @param {string} [details.source] - Where the request came from, e.g. http, websocket or bill
+   * @param {string} [details.reason] - Free text reason, e.g. "No sale"
+   * @param {string} [details.user] - Who asked for it
+   * @param {string} [details.jobId] - Bill job that opened it
+   * @param {string} [details.invoice] - Bill number that opened it
+   * @returns {Promise<{success: boolean, error: string|null, auditId: string}>}
+   */
+  async open(printerId, details = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...this.getSettings(printerId) };
+    let result;
+
+    try {
+      result = await this.send(
+        printerId,
+        CashDrawer.buildKickCommand(settings)
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const entry = this.record({
+      printerId,
+      pin: settings.pin,
+      source: details.source || null,
+      reason: details.reason || null,
+      user: details.user || null,
+      jobId: details.jobId || null,
+      invoice: details.invoice || null,
+      success: result.success,
+      error: result.success ? null : result.error || "Failed to open drawer",
+    });
+
+    if (entry.success) {
+      console.log(`Opened cash drawer on printer ${printerId}`);
+    } else {
+      console.error(
+        `Error opening cash drawer on printer ${printerId}: ${entry.error}`
+      );
+    }
+
+    return { success: entry.success, error: entry.error, auditId: entry.id };
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} details - Entry fields
+   * @returns {Object} The stored entry
+   * @private
+   */
+  record(details) {
+    const entry = {
+      id: crypto.randomBytes(8).toString("hex"),
+      openedAt: Date.now(),
+      ...details,
+    };
+
+    try {
+      this.auditLog.append(entry);
+    } catch (error) {
+      console.error(`Error writing drawer audit log: ${error.message}`);
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    // Keep the file from growing far beyond the retained entries
+    if (this.auditLog.linesWritten > this.maxEntries * 2) {
+      this.compact();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Rewrite the audit log with the retained entries
+   * @private
+   */
+  compact() {
+    try {
+      this.auditLog.rewrite(this.entries);
+    } catch (error) {
+      console.error(`Error compacting drawer audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get audit entries, newest first
+   * @param {Object} filters - Audit filters
+   * @param {string} [filters.printerId] - Printer ID
+   * @param {number} [filters.limit] - Maximum number of entries (default: 100)
+   * @returns {Array<Object>} Matching entries
+   */
+  getAuditLog(filters = {}) {
+    const limit = parseInt(filters.limit || "100", 10);
+
+    return this.entries
+      .filter(
+        (entry) => !filters.printerId || entry.printerId === filters.printerId
+      )
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+CashDrawer.PINS = PINS;
+CashDrawer.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = CashDrawer;
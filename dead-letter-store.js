@@ -0,0 +1,127 @@
+/**
+ * Dead Letter Store
+ *
+ * Keeps print jobs that failed after exhausting their retries, so they can
+ * be inspected and re-submitted instead of being silently dropped.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+class DeadLetterStore {
+  /**
+   * Create a new dead letter store
+   * @param {Object} options - Store options
+   * @param {string} options.dataDir - Directory holding the store file
+   * @param {string} options.fileName - Store file name (default: dead-letters.json)
+   * @param {number} options.maxEntries - Oldest entries are dropped beyond this count (default: 500)
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.filePath = path.join(
+      this.dataDir,
+      options.fileName || "dead-letters.json"
+    );
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = [];
+
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Load the store from disk
+   * @private
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      }
+    } catch (error) {
+      console.error(`Error loading dead letters: ${error.message}`);
+      this.entries = [];
+    }
+  }
+
+  /**
+   * Save the store to disk
+   * @private
+   */
+  save() {
+    try {
+      AppendLog.writeFile(this.filePath, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      console.error(`Error saving dead letters: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a job that exhausted its retries
+   * @param {Object} job - The failed print job
+   * @param {string} error - Error from the last attempt
+   * @param {number} attempts - Number of attempts made
+   * @returns {Object} The stored dead letter
+   */
+  add(job, error, attempts) {
+    // Strip per-run bookkeeping so a re-submitted job starts fresh
+    const { journalId, attempt, ...cleanJob } = job;
+
+    const entry = {
+      id: crypto.randomBytes(8).toString("hex"),
+      jobId: job.id || null,
+      printerId: job.printerId || null,
+      error,
+      attempts,
+      failedAt: Date.now(),
+      job: cleanJob,
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    this.save();
+    return entry;
+  }
+
+  /**
+   * List all dead letters, newest first
+   * @returns {Array<Object>} Dead letters
+   */
+  list() {
+    return this.entries.slice().reverse();
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {string} id - Dead letter ID
+   * @returns {Object|null} Dead letter or null if not found
+   */
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {string} id - Dead letter ID
+   * @returns {boolean} Whether an entry was removed
+   */
+  remove(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    this.save();
+    return true;
+  }
+}
+
+module.exports = DeadLetterStore;
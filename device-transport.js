@@ -0,0 +1,248 @@
+/**
+ * Device Transport
+ *
+ * Sends print data to printers attached through a device file: USB printers
+ * (e.g. /dev/usb/lp0, or a shared printer path on Windows) and RS-232 serial
+ * printers (e.g. /dev/ttyUSB0 or COM3). Serial line settings are applied
+ * with the system's stty (Linux, macOS) or mode (Windows) command before the
+ * first job. Writes to the same device are serialized.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+
+// Serial settings used when a printer does not set its own
+const SERIAL_DEFAULTS = {
+  baudRate: 9600,
+  dataBits: 8,
+  stopBits: 1,
+  parity: "none",
+};
+
+class DeviceTransport {
+  /**
+   * Create a new device transport
+   * @param {Object} options - Transport options
+   * @param {number} options.writeTimeout - Default time in ms to wait for data to be written (default: 10000)
+   */
+  constructor(options = {}) {
+    this.writeTimeout = options.writeTimeout || 10000;
+
+    // Per-device state keyed by device path
+    this.devices = new Map();
+  }
+
+  /**
+   * Get the state for a device, creating it on first use
+   * @param {string} devicePath - Device file path
+   * @returns {Object} Device state
+   * @private
+   */
+  getDevice(devicePath) {
+    if (!this.devices.has(devicePath)) {
+      this.devices.set(devicePath, {
+        // Writes run one after another on this promise chain
+        chain: Promise.resolve(),
+        // Serial settings last applied, so they are only set once
+        serialSettings: null,
+      });
+    }
+
+    return this.devices.get(devicePath);
+  }
+
+  /**
+   * Send data to a printer's device file
+   * @param {Object} printerConfig - Printer configuration with type and path
+   * @param {string} data - Data to send, as a binary string
+   * @param {Object} [options] - Write options
+   * @param {AbortSignal} [options.signal] - Once aborted, data still waiting for the device is not sent
+   * @returns {Promise<boolean>} Whether the data was written
+   */
+  write(printerConfig, data, options = {}) {
+    const devicePath = printerConfig.path;
+    const device = this.getDevice(devicePath);
+    const buffer = Buffer.from(data, "binary");
+
+    const run = async () => {
+      if (options.signal && options.signal.aborted) {
+        console.log(
+          `Not sending abandoned job to printer device ${devicePath}`
+        );
+        return false;
+      }
+
+      try {
+        if (printerConfig.type === "serial") {
+          await this.configureSerial(printerConfig, device);
+        }
+
+        await this.writeToDevice(
+          devicePath,
+          buffer,
+          printerConfig.writeTimeout || this.writeTimeout
+        );
+        return true;
+      } catch (error) {
+        console.error(
+          `Error writing to printer device ${devicePath}:`,
+          error.message
+        );
+        // Apply the serial settings again in case the device was replugged
+        device.serialSettings = null;
+        return false;
+      }
+    };
+
+    const result = device.chain.then(run);
+    device.chain = result;
+
+    return result;
+  }
+
+  /**
+   * Check that a printer's device file exists and can be written
+   * @param {Object} printerConfig - Printer configuration with path
+   * @returns {Promise<string|null>} Error message, or null if the device is usable
+   */
+  async check(printerConfig) {
+    if (!printerConfig.path) {
+      return "Printer has no device path";
+    }
+
+    try {
+      await fs.promises.access(printerConfig.path, fs.constants.W_OK);
+      return null;
+    } catch (error) {
+      return error.code === "ENOENT"
+        ? `Device ${printerConfig.path} not found`
+        : error.message;
+    }
+  }
+
+  /**
+   * Open a device file, write a buffer and close it again
+   * @param {string} devicePath - Device file path
+   * @param {Buffer} buffer - Data to write
+   * @param {number} timeout - Time in ms to wait for the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeToDevice(devicePath, buffer, timeout) {
+    // Never create a regular file in place of a missing device
+    const flags = fs.constants.O_WRONLY | (fs.constants.O_NOCTTY || 0);
+    const handle = await fs.promises.open(devicePath, flags);
+    let timer;
+
+    try {
+      await Promise.race([
+        handle.write(buffer, 0, buffer.length),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Write timed out after ${timeout}ms`)),
+            timeout
+          );
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+      await handle.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Apply a serial printer's baud rate, data bits, stop bits and parity
+   * @param {Object} printerConfig - Printer configuration with path and serial settings
+   * @param {Object} device - Device state
+   * @returns {Promise<void>}
+   * @private
+   */
+  async configureSerial(printerConfig, device) {
+    const settings = {
+      baudRate: printerConfig.baudRate || SERIAL_DEFAULTS.baudRate,
+      dataBits: printerConfig.dataBits || SERIAL_DEFAULTS.dataBits,
+      stopBits: printerConfig.stopBits || SERIAL_DEFAULTS.stopBits,
+      parity: (printerConfig.parity || SERIAL_DEFAULTS.parity).toLowerCase(),
+    };
+
+    const key = JSON.stringify(settings);
+    if (device.serialSettings === key) return;
+
+    const [command, args] = getSerialCommand(printerConfig.path, settings);
+    await new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 5000 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(
+            new Error(
+              `Could not configure serial port: ${
+                (stderr || "").trim() || error.message
+              }`
+            )
+          );
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    console.log(
+      `Configured serial printer ${printerConfig.path}: ${settings.baudRate} baud, ${settings.dataBits}${settings.parity[0]}${settings.stopBits}`
+    );
+    device.serialSettings = key;
+  }
+}
+
+/**
+ * Build the command that applies serial settings on this platform
+ * @param {string} devicePath - Serial device path, e.g. /dev/ttyUSB0 or COM3
+ * @param {Object} settings - baudRate, dataBits, stopBits and parity
+ * @returns {Array} Command and its arguments
+ * @private
+ */
+function getSerialCommand(devicePath, settings) {
+  const { baudRate, dataBits, stopBits, parity } = settings;
+
+  if (process.platform === "win32") {
+    // mode takes the port name, e.g. COM3 for \\.\COM3
+    const port = path.win32.basename(devicePath).replace(/:$/, "");
+    return [
+      "mode",
+      [
+        `${port}:`,
+        `BAUD=${baudRate}`,
+        `PARITY=${parity[0]}`,
+        `DATA=${dataBits}`,
+        `STOP=${stopBits}`,
+      ],
+    ];
+  }
+
+  const parityArgs = {
+    none: ["-parenb"],
+    even: ["parenb", "-parodd"],
+    odd: ["parenb", "parodd"],
+  }[parity];
+
+  if (!parityArgs) {
+    throw new Error(`Unknown parity "${parity}"`);
+  }
+
+  return [
+    "stty",
+    [
+      process.platform === "darwin" ? "-f" : "-F",
+      devicePath,
+      // raw comes first; on macOS and BSD it resets the port to 8 data bits
+      // and no parity, which would undo the settings after it
+      "raw",
+      "-echo",
+      String(baudRate),
+      `cs${dataBits}`,
+      stopBits === 2 ? "cstopb" : "-cstopb",
+      ...parityArgs,
+    ],
+  ];
+}
+
+module.exports = DeviceTransport;
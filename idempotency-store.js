@@ -0,0 +1,150 @@
+/**
+ * Idempotency Store
+ *
+ * Remembers the result of every printed job by its idempotency key for a
+ * configurable window, so the same job arriving twice (for example over the
+ * WebSocket and through polling) is only printed once.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+class IdempotencyStore {
+  /**
+   * Create a new idempotency store
+   * @param {Object} options - Store options
+   * @param {string} options.dataDir - Directory holding the store file
+   * @param {string} options.fileName - Store file name (default: idempotency-keys.json)
+   * @param {number} options.window - Time in ms a key is remembered (default: 24 hours)
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.filePath = path.join(
+      this.dataDir,
+      options.fileName || "idempotency-keys.json"
+    );
+    this.window = options.window || 24 * 60 * 60 * 1000;
+
+    // Completed results keyed by idempotency key (persisted)
+    this.results = new Map();
+    // Promises for jobs that are still being printed (memory only)
+    this.inFlight = new Map();
+
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Load remembered keys from disk, dropping expired ones
+   * @private
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const entries = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        const now = Date.now();
+
+        for (const entry of entries) {
+          if (entry.expiresAt > now) {
+            this.results.set(entry.key, entry);
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error loading idempotency keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save remembered keys to disk
+   * @private
+   */
+  save() {
+    try {
+      this.prune();
+      AppendLog.writeFile(
+        this.filePath,
+        JSON.stringify(Array.from(this.results.values()))
+      );
+    } catch (error) {
+      console.error(`Error saving idempotency keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop keys whose window has passed
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.results) {
+      if (entry.expiresAt <= now) {
+        this.results.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Look up an earlier submission with the same key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object>|Object|null} The in-flight promise, the stored result, or null
+   */
+  lookup(key) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const entry = this.results.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a job with the key is being printed right now
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True while the job is in flight
+   */
+  isPending(key) {
+    return this.inFlight.has(key);
+  }
+
+  /**
+   * Track a job that is being printed so concurrent duplicates can wait on it
+   * @param {string} key - Idempotency key
+   * @param {Promise<Object>} promise - Promise for the job result
+   */
+  begin(key, promise) {
+    this.inFlight.set(key, promise);
+  }
+
+  /**
+   * Finish tracking a job. Successful results are remembered for the
+   * window; failed jobs are forgotten so that they can be submitted again.
+   * @param {string} key - Idempotency key
+   * @param {Object} result - Job result
+   */
+  finish(key, result) {
+    this.inFlight.delete(key);
+
+    if (result && result.success) {
+      const now = Date.now();
+      this.results.set(key, {
+        key,
+        result,
+        createdAt: now,
+        expiresAt: now + this.window,
+      });
+      this.save();
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,339 @@
+/**
+ * IPP Transport
+ *
+ * Sends documents (PDF or plain text) to office printers over the Internet
+ * Printing Protocol, either through a local CUPS server
+ * (ipp://localhost:631/printers/Office) or straight to a printer that
+ * speaks IPP itself (ipp://192.168.1.60/ipp/print). Requests are encoded
+ * by hand, so no IPP library is needed.
+ */
+
+const http = require("http");
+const https = require("https");
+
+// Operation IDs
+const OPERATIONS = {
+  PRINT_JOB: 0x0002,
+  GET_PRINTER_ATTRIBUTES: 0x000b,
+};
+
+// Delimiter and value tags
+const TAGS = {
+  OPERATION_ATTRIBUTES: 0x01,
+  END_OF_ATTRIBUTES: 0x03,
+  INTEGER: 0x21,
+  ENUM: 0x23,
+  NAME: 0x42,
+  KEYWORD: 0x44,
+  URI: 0x45,
+  CHARSET: 0x47,
+  NATURAL_LANGUAGE: 0x48,
+  MIME_MEDIA_TYPE: 0x49,
+};
+
+// Values of the printer-state attribute
+const PRINTER_STATES = {
+  3: "idle",
+  4: "processing",
+  5: "stopped",
+};
+
+class IppTransport {
+  /**
+   * Create a new IPP transport
+   * @param {Object} options - Transport options
+   * @param {number} options.timeout - Default time in ms to wait for a request (default: 10000)
+   * @param {string} options.userName - Name the jobs are submitted under (default: print-agent)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.userName = options.userName || "print-agent";
+    this.requestId = 0;
+  }
+
+  /**
+   * Submit a document to a printer as a new IPP job
+   * @param {Object} printerConfig - Printer configuration with url
+   * @param {string} data - Document to print, as a binary string
+   * @param {Object} [options] - Job options
+   * @param {string} [options.jobName] - Job name shown in the printer's queue
+   * @param {AbortSignal} [options.signal] - Once aborted, the job is not submitted
+   * @returns {Promise<boolean>} Whether the printer accepted the job
+   */
+  async write(printerConfig, data, options = {}) {
+    const buffer = Buffer.from(data, "binary");
+    const printerUri = this.getPrinterUri(printerConfig);
+
+    if (options.signal && options.signal.aborted) {
+      console.log(`Not sending abandoned job to ${printerUri}`);
+      return false;
+    }
+
+    try {
+      const response = await this.request(
+        printerConfig,
+        OPERATIONS.PRINT_JOB,
+        [
+          [TAGS.URI, "printer-uri", printerUri],
+          [TAGS.NAME, "requesting-user-name", this.userName],
+          [TAGS.NAME, "job-name", options.jobName || "Print job"],
+          [TAGS.MIME_MEDIA_TYPE, "document-format", getDocumentFormat(buffer)],
+        ],
+        buffer
+      );
+
+      console.log(
+        `Printer ${printerUri} accepted job ${
+          response.attributes["job-id"] || "unknown"
+        }`
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error sending job to ${printerUri}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check that a printer answers IPP requests and is not stopped
+   * @param {Object} printerConfig - Printer configuration with url
+   * @returns {Promise<string|null>} Error message, or null if the printer is usable
+   */
+  async check(printerConfig) {
+    if (!printerConfig.url) {
+      return "Printer has no IPP URL";
+    }
+
+    try {
+      const { attributes } = await this.request(
+        printerConfig,
+        OPERATIONS.GET_PRINTER_ATTRIBUTES,
+        [
+          [TAGS.URI, "printer-uri", this.getPrinterUri(printerConfig)],
+          [TAGS.NAME, "requesting-user-name", this.userName],
+          [
+            TAGS.KEYWORD,
+            "requested-attributes",
+            ["printer-state", "printer-state-message"],
+          ],
+        ]
+      );
+
+      if (PRINTER_STATES[attributes["printer-state"]] === "stopped") {
+        return attributes["printer-state-message"] || "Printer is stopped";
+      }
+
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Get the ipp:// URI of a printer, whatever scheme its URL was given in
+   * @param {Object} printerConfig - Printer configuration with url
+   * @returns {string} Printer URI
+   * @private
+   */
+  getPrinterUri(printerConfig) {
+    return printerConfig.url.replace(/^http(s?):/, "ipp$1:");
+  }
+
+  /**
+   * Send an IPP request and decode the response
+   * @param {Object} printerConfig - Printer configuration with url
+   * @param {number} operation - Operation ID
+   * @param {Array} attributes - Operation attributes as [tag, name, value] triples
+   * @param {Buffer} [document] - Document data following the attributes
+   * @returns {Promise<Object>} Status code and attributes of the response
+   * @private
+   */
+  request(printerConfig, operation, attributes, document) {
+    const url = new URL(printerConfig.url.replace(/^ipp(s?):/, "http$1:"));
+    const client = url.protocol === "https:" ? https : http;
+    const timeout = printerConfig.writeTimeout || this.timeout;
+
+    const body = Buffer.concat([
+      encodeRequest(operation, ++this.requestId, attributes),
+      document || Buffer.alloc(0),
+    ]);
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        {
+          hostname: url.hostname,
+          port: url.port || 631,
+          path: url.pathname + url.search,
+          method: "POST",
+          headers: {
+            "Content-Type": "application/ipp",
+            "Content-Length": body.length,
+          },
+          timeout,
+        },
+        (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => {
+            if (res.statusCode !== 200) {
+              reject(new Error(`Printer answered HTTP ${res.statusCode}`));
+              return;
+            }
+
+            try {
+              const response = decodeResponse(Buffer.concat(chunks));
+              // Status codes from 0x0400 up are client or server errors
+              if (response.statusCode >= 0x0400) {
+                reject(
+                  new Error(
+                    response.attributes["status-message"] ||
+                      `IPP error 0x${response.statusCode.toString(16)}`
+                  )
+                );
+              } else {
+                resolve(response);
+              }
+            } catch (error) {
+              reject(error);
+            }
+          });
+        }
+      );
+
+      req.on("timeout", () =>
+        req.destroy(new Error(`Request timed out after ${timeout}ms`))
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * Pick the IPP document format for print data
+ * @param {Buffer} buffer - Document data
+ * @returns {string} MIME type
+ * @private
+ */
+function getDocumentFormat(buffer) {
+  return buffer.subarray(0, 5).toString("latin1") === "%PDF-"
+    ? "application/pdf"
+    : "text/plain";
+}
+
+/**
+ * Encode the header and operation attributes of an IPP/1.1 request
+ * @param {number} operation - Operation ID
+ * @param {number} requestId - Request ID
+ * @param {Array} attributes - Operation attributes as [tag, name, value] triples;
+ *   an array value is sent as a multi-valued attribute
+ * @returns {Buffer} Encoded request
+ * @private
+ */
+function encodeRequest(operation, requestId, attributes) {
+  const parts = [];
+
+  const header = Buffer.alloc(8);
+  header.writeUInt16BE(0x0101, 0);
+  header.writeUInt16BE(operation, 2);
+  header.writeUInt32BE(requestId, 4);
+  parts.push(header, Buffer.from([TAGS.OPERATION_ATTRIBUTES]));
+
+  const all = [
+    [TAGS.CHARSET, "attributes-charset", "utf-8"],
+    [TAGS.NATURAL_LANGUAGE, "attributes-natural-language", "en"],
+    ...attributes,
+  ];
+
+  for (const [tag, name, value] of all) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item, index) => {
+      // Additional values of the same attribute have an empty name
+      parts.push(encodeValue(tag, index === 0 ? name : "", item));
+    });
+  }
+
+  parts.push(Buffer.from([TAGS.END_OF_ATTRIBUTES]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode a single attribute value
+ * @param {number} tag - Value tag
+ * @param {string} name - Attribute name
+ * @param {string|number} value - Attribute value
+ * @returns {Buffer} Encoded value
+ * @private
+ */
+function encodeValue(tag, name, value) {
+  const nameBuffer = Buffer.from(name, "utf8");
+  let valueBuffer;
+
+  if (tag === TAGS.INTEGER || tag === TAGS.ENUM) {
+    valueBuffer = Buffer.alloc(4);
+    valueBuffer.writeInt32BE(value, 0);
+  } else {
+    valueBuffer = Buffer.from(String(value), "utf8");
+  }
+
+  const buffer = Buffer.alloc(5 + nameBuffer.length + valueBuffer.length);
+  buffer.writeUInt8(tag, 0);
+  buffer.writeUInt16BE(nameBuffer.length, 1);
+  nameBuffer.copy(buffer, 3);
+  buffer.writeUInt16BE(valueBuffer.length, 3 + nameBuffer.length);
+  valueBuffer.copy(buffer, 5 + nameBuffer.length);
+
+  return buffer;
+}
+
+/**
+ * Decode an IPP response. Attributes from every group are merged into one
+ * object; only the first value of a multi-valued attribute is kept.
+ * @param {Buffer} buffer - Response body
+ * @returns {{statusCode: number, attributes: Object}}
+ * @private
+ */
+function decodeResponse(buffer) {
+  if (buffer.length < 8) {
+    throw new Error("Printer sent an invalid IPP response");
+  }
+
+  const statusCode = buffer.readUInt16BE(2);
+  const attributes = {};
+  let offset = 8;
+  let name = "";
+
+  while (offset < buffer.length) {
+    const tag = buffer.readUInt8(offset);
+    offset += 1;
+
+    if (tag === TAGS.END_OF_ATTRIBUTES) break;
+    // Delimiter tags start a new attribute group
+    if (tag < 0x10) continue;
+
+    const nameLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    if (nameLength > 0) {
+      name = buffer.toString("utf8", offset, offset + nameLength);
+    }
+    offset += nameLength;
+
+    const valueLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    const value = buffer.subarray(offset, offset + valueLength);
+    offset += valueLength;
+
+    if (nameLength === 0 || name in attributes) continue;
+
+    attributes[name] =
+      (tag === TAGS.INTEGER || tag === TAGS.ENUM) && valueLength === 4
+        ? value.readInt32BE(0)
+        : value.toString("utf8");
+  }
+
+  return { statusCode, attributes };
+}
+
+IppTransport.PRINTER_STATES = PRINTER_STATES;
+
+module.exports = IppTransport;
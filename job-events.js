@@ -0,0 +1,99 @@
+/**
+ * Job Events
+ *
+ * Local event bus for the job lifecycle and printer state. Every event has
+ * a type, a sequence ID and a timestamp, and the most recent events are kept
+ * so that listeners which connect late can catch up.
+ */
+
+const EventEmitter = require("events");
+
+// Event types emitted by the agent
+const EVENT_TYPES = {
+  JOB_RECEIVED: "job.received",
+  JOB_QUEUED: "job.queued",
+  JOB_FORMATTED: "job.formatted",
+  JOB_SENT: "job.sent",
+  JOB_COMPLETED: "job.completed",
+  JOB_FAILED: "job.failed",
+  JOB_CANCELLED: "job.cancelled",
+  JOB_RETRIED: "job.retried",
+  PRINTER_OFFLINE: "printer.offline",
+  PRINTER_ONLINE: "printer.online",
+  PRINTERS_CHANGED: "printers.changed",
+  PRINTERS_INVALID: "printers.invalid",
+};
+
+class JobEvents extends EventEmitter {
+  /**
+   * Create a new event bus
+   * @param {Object} options - Event bus options
+   * @param {number} options.bufferSize - Number of recent events kept for catching up (default: 200)
+   */
+  constructor(options = {}) {
+    super();
+    this.bufferSize = options.bufferSize || 200;
+    this.recentEvents = [];
+
+    // Sequence IDs start from the boot time (with room for a thousand
+    // events a millisecond), so IDs keep increasing across restarts and a
+    // listener catching up with an ID from before one misses nothing
+    this.sequence = Date.now() * 1000;
+
+    // Dashboards and browser connections each add a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Emit an event. Listeners can subscribe to a single type, or to "event"
+   * to receive every event.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event details
+   * @returns {Object} The emitted event
+   */
+  publish(type, data = {}) {
+    const event = {
+      ...data,
+      id: ++this.sequence,
+      type,
+      timestamp: Date.now(),
+    };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > this.bufferSize) {
+      this.recentEvents.shift();
+    }
+
+    // A failing listener must never break the job that emitted the event
+    for (const name of [type, "event"]) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        console.error(`Error in ${type} event listener:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Get recent events, oldest first
+   * @param {Object} filters - Event filters
+   * @param {number} [filters.since] - Only events with a greater sequence ID
+   * @param {Array<string>} [filters.types] - Only events of these types
+   * @returns {Array<Object>} Matching events
+   */
+  getRecent(filters = {}) {
+    const since = Number(filters.since) || 0;
+
+    return this.recentEvents.filter(
+      (event) =>
+        event.id > since &&
+        (!filters.types || filters.types.includes(event.type))
+    );
+  }
+}
+
+JobEvents.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = JobEvents;
@@ -0,0 +1,243 @@
+/**
+ * Job History
+ *
+ * Local record of every job sent to a printer: metadata for searching
+ * (printer, type, KOT/bill number, customer, status, timing) plus the exact
+ * bytes that were sent, so a job can be reprinted without the cloud.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+class JobHistory {
+  /**
+   * Create a new job history store
+   * @param {Object} options - Store options
+   * @param {string} options.dataDir - Directory holding the history folder
+   * @param {number} options.maxEntries - Oldest entries are dropped beyond this count (default: 5000)
+   * @param {number} options.maxAge - Entries older than this many ms are dropped (default: 30 days)
+   */
+  constructor(options = {}) {
+    const dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.historyDir = path.join(dataDir, "history");
+    this.index = new AppendLog(path.join(this.historyDir, "index.jsonl"), {
+      name: "history",
+    });
+    this.maxEntries = options.maxEntries || 5000;
+    this.maxAge = options.maxAge || 30 * 24 * 60 * 60 * 1000;
+
+    // Entries keyed by ID, in insertion order
+    this.entries = new Map();
+
+    // Create history directory if it doesn't exist
+    if (!fs.existsSync(this.historyDir)) {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Load the index from disk and apply the retention limits
+   * @private
+   */
+  load() {
+    try {
+      for (const entry of this.index.read()) {
+        // Later lines for the same ID replace earlier ones
+        this.entries.delete(entry.id);
+        this.entries.set(entry.id, entry);
+      }
+    } catch (error) {
+      console.error(`Error loading job history: ${error.message}`);
+    }
+
+    this.prune();
+    this.compact();
+  }
+
+  /**
+   * Get the path of the file holding an entry's printed bytes
+   * @param {string} id - Entry ID
+   * @returns {string} File path
+   * @private
+   */
+  dataPath(id) {
+    return path.join(this.historyDir, `${id}.bin`);
+  }
+
+  /**
+   * Add or update a history entry. Entries are keyed by ID, so repeated
+   * attempts of the same job update a single entry.
+   * @param {Object} entry - Entry metadata; must include an id
+   * @param {string} [data] - Bytes sent to the printer, as a binary string
+   * @returns {Object} The stored entry
+   */
+  record(entry, data) {
+    const existing = this.entries.get(entry.id);
+    const stored = {
+      ...existing,
+      ...entry,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      attempts: existing ? existing.attempts + 1 : 1,
+    };
+
+    try {
+      if (data !== undefined) {
+        const buffer = Buffer.from(data, "binary");
+        fs.writeFileSync(this.dataPath(entry.id), buffer);
+        stored.bytes = buffer.length;
+      }
+
+      this.index.append(stored);
+    } catch (error) {
+      console.error(`Error writing job history: ${error.message}`);
+    }
+
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, stored);
+
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+    }
+
+    // Keep the index from growing far beyond the number of live entries
+    if (this.index.linesWritten > this.entries.size * 2 + 100) {
+      this.compact();
+    }
+
+    return stored;
+  }
+
+  /**
+   * Drop entries beyond the retention limits, oldest first
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAge;
+
+    for (const [id, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && entry.createdAt >= cutoff) {
+        break;
+      }
+
+      this.entries.delete(id);
+      try {
+        if (fs.existsSync(this.dataPath(id))) {
+          fs.unlinkSync(this.dataPath(id));
+        }
+      } catch (error) {
+        console.error(`Error removing history data for ${id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the index with one line per live entry
+   * @private
+   */
+  compact() {
+    try {
+      this.index.rewrite(this.entries.values());
+    } catch (error) {
+      console.error(`Error compacting job history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search the history, newest first
+   * @param {Object} filters - Search filters
+   * @param {string|number} [filters.from] - Earliest creation date (ISO string or ms)
+   * @param {string|number} [filters.to] - Latest creation date (ISO string or ms)
+   * @param {string} [filters.printerId] - Printer ID
+   * @param {string} [filters.type] - Content type, e.g. KOT or BILL
+   * @param {string} [filters.status] - Entry status, e.g. completed or failed
+   * @param {string} [filters.number] - KOT number or bill (invoice) number
+   * @param {string} [filters.customer] - Part of the customer name
+   * @param {string} [filters.q] - Free text matched against numbers, customer and order type
+   * @param {number} [filters.limit] - Maximum number of results (default: 50)
+   * @returns {Array<Object>} Matching entries
+   */
+  search(filters = {}) {
+    const from = filters.from ? new Date(toDateInput(filters.from)) : null;
+    const to = filters.to ? new Date(toDateInput(filters.to)) : null;
+    const limit = parseInt(filters.limit || "50", 10);
+    const contains = (value, text) =>
+      value !== undefined &&
+      value !== null &&
+      String(value).toLowerCase().includes(String(text).toLowerCase());
+
+    const results = [];
+    const entries = Array.from(this.entries.values()).reverse();
+
+    for (const entry of entries) {
+      if (from && entry.createdAt < from.getTime()) continue;
+      if (to && entry.createdAt > to.getTime()) continue;
+      if (filters.printerId && entry.printerId !== filters.printerId) continue;
+      if (filters.type && entry.type !== filters.type.toUpperCase()) continue;
+      if (filters.status && entry.status !== filters.status) continue;
+      if (
+        filters.number &&
+        String(entry.kotNumber) !== String(filters.number) &&
+        String(entry.invoice) !== String(filters.number)
+      ) {
+        continue;
+      }
+      if (filters.customer && !contains(entry.customerName, filters.customer)) {
+        continue;
+      }
+      if (
+        filters.q &&
+        !["kotNumber", "invoice", "customerName", "orderType", "jobId"].some(
+          (field) => contains(entry[field], filters.q)
+        )
+      ) {
+        continue;
+      }
+
+      results.push(entry);
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a history entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Entry or null if not found
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Read the bytes that were sent to the printer for an entry
+   * @param {string} id - Entry ID
+   * @returns {string|null} Binary string or null if not stored
+   */
+  getData(id) {
+    try {
+      if (!fs.existsSync(this.dataPath(id))) {
+        return null;
+      }
+
+      return fs.readFileSync(this.dataPath(id)).toString("binary");
+    } catch (error) {
+      console.error(`Error reading history data for ${id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Accept both millisecond timestamps and date strings from query parameters
+ * @param {string|number} value - Date value
+ * @returns {string|number} Value usable with the Date constructor
+ * @private
+ */
+function toDateInput(value) {
+  return /^\d+$/.test(String(value)) ? Number(value) : value;
+}
+
+module.exports = JobHistory;
@@ -0,0 +1,215 @@
+/**
+ * Job Journal
+ *
+ * Append-only, on-disk record of print job state transitions. Every job the
+ * agent accepts is written to the journal before it is queued, so that jobs
+ * waiting in memory survive a crash or reboot and can be replayed on startup.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+// States a job moves through while it is being processed
+const JOB_STATES = {
+  RECEIVED: "received",
+  FORMATTING: "formatting",
+  SENDING: "sending",
+  // Attempt failed and the job is waiting for its backoff delay
+  RETRYING: "retrying",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  // Job was mid-send when the agent stopped; an operator must decide
+  // whether it actually printed before it is sent again
+  UNCONFIRMED: "unconfirmed",
+};
+
+const TERMINAL_STATES = [
+  JOB_STATES.COMPLETED,
+  JOB_STATES.FAILED,
+  JOB_STATES.CANCELLED,
+];
+
+class JobJournal {
+  /**
+   * Create a new job journal
+   * @param {Object} options - Journal options
+   * @param {string} options.dataDir - Directory holding the journal file
+   * @param {string} options.fileName - Journal file name (default: job-journal.jsonl)
+   * @param {number} options.compactThreshold - Entries written before the file is compacted
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.filePath = path.join(
+      this.dataDir,
+      options.fileName || "job-journal.jsonl"
+    );
+    // Every entry is flushed to disk before the job goes any further
+    this.log = new AppendLog(this.filePath, { name: "journal", sync: true });
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    // Latest known state of every job, keyed by journal ID
+    this.jobs = new Map();
+    this.entriesSinceCompact = 0;
+
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Generate a new journal ID for a job
+   * @returns {string} Journal ID
+   */
+  createJournalId() {
+    return crypto.randomBytes(12).toString("hex");
+  }
+
+  /**
+   * Load the journal from disk and work out which jobs need attention.
+   * Jobs that never reached the printer are returned as recoverable, jobs
+   * that were interrupted while sending are marked unconfirmed.
+   * @returns {{recoverable: Array<Object>, unconfirmed: Array<Object>}}
+   */
+  load() {
+    this.jobs.clear();
+
+    for (const entry of this.log.read()) {
+      this.apply(entry);
+    }
+
+    const recoverable = [];
+    const unconfirmed = [];
+
+    for (const entry of this.jobs.values()) {
+      if (entry.state === JOB_STATES.SENDING) {
+        entry.state = JOB_STATES.UNCONFIRMED;
+        entry.updatedAt = Date.now();
+        unconfirmed.push(entry);
+      } else if (entry.state === JOB_STATES.UNCONFIRMED) {
+        unconfirmed.push(entry);
+      } else if (!TERMINAL_STATES.includes(entry.state)) {
+        recoverable.push(entry);
+      }
+    }
+
+    // Rewrite the file so that it only holds jobs that are still open
+    this.compact();
+
+    return { recoverable, unconfirmed };
+  }
+
+  /**
+   * Append a state transition for a job
+   * @param {string} journalId - Journal ID of the job
+   * @param {string} state - New job state (see JOB_STATES)
+   * @param {Object} [details] - Extra fields to store, e.g. the job payload or an error
+   */
+  record(journalId, state, details = {}) {
+    const entry = {
+      journalId,
+      state,
+      timestamp: Date.now(),
+      ...details,
+    };
+
+    try {
+      this.log.append(entry);
+    } catch (error) {
+      console.error(`Error writing job journal entry: ${error.message}`);
+    }
+
+    this.apply(entry);
+    this.entriesSinceCompact++;
+
+    if (
+      TERMINAL_STATES.includes(state) &&
+      this.entriesSinceCompact >= this.compactThreshold
+    ) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Apply a journal entry to the in-memory job table
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  apply(entry) {
+    if (!entry || !entry.journalId) return;
+
+    const existing = this.jobs.get(entry.journalId) || {
+      journalId: entry.journalId,
+      receivedAt: entry.timestamp,
+    };
+    const { journalId, state, timestamp, ...details } = entry;
+
+    this.jobs.set(journalId, {
+      ...existing,
+      ...details,
+      state,
+      updatedAt: timestamp,
+    });
+  }
+
+  /**
+   * Rewrite the journal with one entry per open job, dropping finished jobs
+   */
+  compact() {
+    try {
+      const entries = [];
+      for (const [journalId, entry] of this.jobs) {
+        if (TERMINAL_STATES.includes(entry.state)) {
+          this.jobs.delete(journalId);
+          continue;
+        }
+
+        const { state, updatedAt, ...details } = entry;
+        entries.push({
+          ...details,
+          journalId,
+          state,
+          timestamp: updatedAt,
+        });
+      }
+
+      this.log.rewrite(entries);
+      this.entriesSinceCompact = 0;
+    } catch (error) {
+      console.error(`Error compacting job journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest journal entry for a job
+   * @param {string} journalId - Journal ID of the job
+   * @returns {Object|null} Journal entry or null if unknown
+   */
+  getJob(journalId) {
+    return this.jobs.get(journalId) || null;
+  }
+
+  /**
+   * List jobs that are waiting for operator confirmation
+   * @returns {Array<Object>} Unconfirmed journal entries
+   */
+  getUnconfirmedJobs() {
+    return Array.from(this.jobs.values()).filter(
+      (entry) => entry.state === JOB_STATES.UNCONFIRMED
+    );
+  }
+
+  /**
+   * Close the journal file
+   */
+  close() {
+    this.log.close();
+  }
+}
+
+JobJournal.JOB_STATES = JOB_STATES;
+
+module.exports = JobJournal;
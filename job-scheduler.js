@@ -0,0 +1,205 @@
+/**
+ * Job Scheduler
+ *
+ * Holds print jobs that should not print until a later time (a `printAt`
+ * date or a `delaySeconds` delay). Scheduled jobs are persisted, so they
+ * still fire after an agent restart; jobs that became due while the agent
+ * was down fire as soon as it starts.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+
+// setTimeout cannot wait longer than this; longer delays are chained
+const MAX_TIMER_DELAY = 2147483647;
+
+class JobScheduler {
+  /**
+   * Create a new job scheduler
+   * @param {Object} options - Scheduler options
+   * @param {string} options.dataDir - Directory holding the schedule file
+   * @param {string} options.fileName - Schedule file name (default: scheduled-jobs.json)
+   * @param {Function} options.onDue - Called with the job when it is due
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(process.cwd(), "print-data");
+    this.filePath = path.join(
+      this.dataDir,
+      options.fileName || "scheduled-jobs.json"
+    );
+    this.onDue = options.onDue || (() => {});
+
+    // Scheduled entries keyed by schedule ID
+    this.entries = new Map();
+    this.timers = new Map();
+
+    // Create data directory if it doesn't exist
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Work out when a job should print
+   * @param {Object} job - The print job
+   * @returns {number|null} Timestamp in ms, or null if the job is not scheduled
+   */
+  static getPrintTime(job) {
+    const options = job.options || {};
+    const printAt = job.printAt || options.printAt;
+    const delaySeconds = job.delaySeconds || options.delaySeconds;
+
+    if (printAt) {
+      const time = new Date(
+        /^\d+$/.test(String(printAt)) ? Number(printAt) : printAt
+      ).getTime();
+      return isNaN(time) ? null : time;
+    }
+
+    if (delaySeconds) {
+      return Date.now() + Number(delaySeconds) * 1000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Load scheduled jobs from disk and start their timers
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const entries = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+
+        for (const entry of entries) {
+          this.entries.set(entry.id, entry);
+          this.startTimer(entry);
+        }
+      }
+    } catch (error) {
+      console.error(`Error loading scheduled jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save scheduled jobs to disk
+   * @private
+   */
+  save() {
+    try {
+      AppendLog.writeFile(
+        this.filePath,
+        JSON.stringify(Array.from(this.entries.values()), null, 2)
+      );
+    } catch (error) {
+      console.error(`Error saving scheduled jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a job. A job whose ID is already scheduled is not added twice.
+   * @param {Object} job - The print job
+   * @param {number} printAt - Timestamp in ms when the job should print
+   * @returns {Object} The scheduled entry
+   */
+  add(job, printAt) {
+    if (job.id) {
+      const existing = this.find(job.id);
+      if (existing) return existing;
+    }
+
+    // Store an absolute time so a restart does not restart the delay
+    const scheduledJob = { ...job, printAt };
+    delete scheduledJob.delaySeconds;
+    if (scheduledJob.options) {
+      scheduledJob.options = { ...scheduledJob.options, printAt };
+      delete scheduledJob.options.delaySeconds;
+    }
+
+    const entry = {
+      id: crypto.randomBytes(8).toString("hex"),
+      jobId: job.id || null,
+      printerId: job.printerId || null,
+      printAt,
+      createdAt: Date.now(),
+      job: scheduledJob,
+    };
+
+    this.entries.set(entry.id, entry);
+    this.save();
+    this.startTimer(entry);
+
+    return entry;
+  }
+
+  /**
+   * Start (or continue) the timer for a scheduled entry
+   * @param {Object} entry - Scheduled entry
+   * @private
+   */
+  startTimer(entry) {
+    const delay = Math.max(0, entry.printAt - Date.now());
+
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.startTimer(entry);
+        return;
+      }
+
+      this.timers.delete(entry.id);
+      this.entries.delete(entry.id);
+      this.save();
+      this.onDue(entry.job);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    this.timers.set(entry.id, timer);
+  }
+
+  /**
+   * Find a scheduled entry by schedule ID or job ID
+   * @param {string} id - Schedule ID or job ID
+   * @returns {Object|null} Scheduled entry or null if not found
+   */
+  find(id) {
+    if (this.entries.has(id)) {
+      return this.entries.get(id);
+    }
+
+    for (const entry of this.entries.values()) {
+      if (entry.jobId === id) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Cancel a scheduled job
+   * @param {string} id - Schedule ID or job ID
+   * @returns {Object|null} The cancelled entry or null if not found
+   */
+  cancel(id) {
+    const entry = this.find(id);
+    if (!entry) return null;
+
+    clearTimeout(this.timers.get(entry.id));
+    this.timers.delete(entry.id);
+    this.entries.delete(entry.id);
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * List scheduled jobs, soonest first
+   * @returns {Array<Object>} Scheduled entries
+   */
+  list() {
+    return Array.from(this.entries.values()).sort(
+      (a, b) => a.printAt - b.printAt
+    );
+  }
+}
+
+module.exports = JobScheduler;
@@ -1,6 +1,6 @@
 const WebSocket = require("ws");
-const net = require("net");
 const axios = require("axios");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const dotenv = require("dotenv");
@@ -8,6 +8,31 @@ const http = require("http");
 const express = require("express");
 const cors = require("cors");
 const PrintFormatter = require("./print-formatter");
+const JobJournal = require("./job-journal");
+const PrintQueue = require("./print-queue");
+const DeadLetterStore = require("./dead-letter-store");
+const IdempotencyStore = require("./idempotency-store");
+const JobHistory = require("./job-history");
+const JobScheduler = require("./job-scheduler");
+const JobEvents = require("./job-events");
+const PrinterStatus = require("./printer-status");
+const PrinterHealthMonitor = require("./printer-health-monitor");
+const PrinterConnectionPool = require("./printer-connection-pool");
+const DeviceTransport = require("./device-transport");
+const IppTransport = require("./ipp-transport");
+const LpdTransport = require("./lpd-transport");
+const PrinterGroups = require("./printer-groups");
+const RoutingEngine = require("./routing-engine");
+const CashDrawer = require("./cash-drawer");
+const MappingsWatcher = require("./mappings-watcher");
+const PrinterMappingsSchema = require("./printer-mappings-schema");
+const PrinterMappingsStore = require("./printer-mappings-store");
+const PrinterDiscovery = require("./printer-discovery");
+const PrinterProfiles = require("./printer-profiles");
+const ReceiptTemplates = require("./receipt-templates");
+
+const { JOB_STATES } = JobJournal;
+const { EVENT_TYPES } = JobEvents;
 
 // Load environment variables from .env file
 dotenv.config();
@@ -32,6 +57,15 @@ const config = {
   // Local printer mappings (from printer ID to local IP:port)
   printerMappings: {},
 
+  // Printer groups from the mappings file (entries with type "group")
+  printerGroups: {},
+
+  // Routing rules from routing-rules.json, checked in order
+  routingRules: [],
+
+  // Kitchen station printers KOTs are split across, from routing-rules.json
+  kotSplit: null,
+
   // Log level: 'debug', 'info', 'warn', 'error'
   logLevel: process.env.LOG_LEVEL || "info",
 
@@ -43,37 +77,168 @@ const config = {
 
   // HTTP server port
   port: parseInt(process.env.PORT || "3000", 10),
-};
 
-// Initialize the formatter
-const formatter = new PrintFormatter();
-
-// Format rules for different printer widths
-const formatRules = {
-  MM_58: {
-    lineWidth: 384,
-    charsPerLine: 32,
-    normalSize: 0, // Updated to numeric values
-    largeSize: 24, // Double width and height (24)
-    mediumSize: 16, // Double height (16)
-    smallSize: 0, // Normal size (0)
+  // Number of jobs each printer works on at once
+  printerConcurrency: parseInt(process.env.PRINTER_CONCURRENCY || "1", 10),
+
+  // Time in ms before a job that has not finished is abandoned
+  jobTimeout: parseInt(process.env.JOB_TIMEOUT || "60000", 10),
+
+  // Time in ms to wait for the API to take a job or printer status
+  apiTimeout: parseInt(process.env.API_TIMEOUT || "10000", 10),
+
+  // Retry policies per content type; "default" applies to any other job.
+  // Delays are in ms and grow exponentially from baseDelay up to maxDelay,
+  // with jitter as a fraction of the delay (0.2 = +/-20%)
+  retryPolicies: {
+    KOT: { maxAttempts: 5, baseDelay: 1000, maxDelay: 15000, jitter: 0.2 },
+    BILL: { maxAttempts: 2, baseDelay: 3000, maxDelay: 10000, jitter: 0.2 },
+    default: { maxAttempts: 3, baseDelay: 2000, maxDelay: 20000, jitter: 0.2 },
   },
-  MM_80: {
-    lineWidth: 576,
-    charsPerLine: 48,
-    normalSize: 0, // Updated to numeric values
-    largeSize: 24, // Double width and height (24)
-    mediumSize: 16, // Double height (16)
-    smallSize: 0, // Normal size (0)
+
+  // How long in ms a printed job's ID is remembered to reject duplicates
+  idempotencyWindow: parseInt(
+    process.env.IDEMPOTENCY_WINDOW || String(24 * 60 * 60 * 1000),
+    10
+  ),
+
+  // Queue priority for each content type when a job does not set one
+  defaultPriorities: {
+    KOT: "urgent",
+    BILL: "urgent",
+    default: "normal",
   },
-  MM_76: {
-    lineWidth: 512,
-    charsPerLine: 42,
-    normalSize: 0, // Updated to numeric values
-    largeSize: 24, // Double width and height (24)
-    mediumSize: 16, // Double height (16)
-    smallSize: 0, // Normal size (0)
+
+  // Time in ms a waiting job needs to move up one priority level
+  priorityAgingInterval: parseInt(
+    process.env.PRIORITY_AGING_INTERVAL || "30000",
+    10
+  ),
+
+  // Job history retention: number of jobs and age in days
+  historyMaxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES || "5000", 10),
+  historyRetentionDays: parseInt(
+    process.env.HISTORY_RETENTION_DAYS || "30",
+    10
+  ),
+
+  // Query each printer's ESC/POS status before and after every job
+  printerStatusCheck: process.env.PRINTER_STATUS_CHECK !== "false",
+
+  // Time in ms to wait for each status answer before treating it as unknown
+  printerStatusTimeout: parseInt(
+    process.env.PRINTER_STATUS_TIMEOUT || "1000",
+    10
+  ),
+
+  // Printer connection timeouts in ms; an idle timeout of 0 closes the
+  // connection after every job instead of keeping it open
+  printerConnectTimeout: parseInt(
+    process.env.PRINTER_CONNECT_TIMEOUT || "3000",
+    10
+  ),
+  printerWriteTimeout: parseInt(
+    process.env.PRINTER_WRITE_TIMEOUT || "10000",
+    10
+  ),
+  printerIdleTimeout: parseInt(process.env.PRINTER_IDLE_TIMEOUT || "60000", 10),
+
+  // Time in ms between printer health probes (0 turns the probes off)
+  printerHealthInterval: parseInt(
+    process.env.PRINTER_HEALTH_INTERVAL || "30000",
+    10
+  ),
+
+  // Time in ms to wait for a printer to accept a health probe connection
+  printerHealthTimeout: parseInt(
+    process.env.PRINTER_HEALTH_TIMEOUT || "3000",
+    10
+  ),
+
+  // Time in ms between checks of printer-mappings.json for edits (0 turns
+  // watching off)
+  mappingsWatchInterval: parseInt(
+    process.env.MAPPINGS_WATCH_INTERVAL || "2000",
+    10
+  ),
+
+  // Subnets scanned for printers, e.g. "192.168.1.0/24,10.0.0.0/24"
+  // (default: the subnets of this machine's network interfaces)
+  discoverySubnets: (process.env.DISCOVERY_SUBNETS || "")
+    .split(",")
+    .map((subnet) => subnet.trim())
+    .filter(Boolean),
+
+  // Directory for persistent agent data (job journal etc.)
+  dataDir: process.env.DATA_DIR || path.join(process.cwd(), "print-data"),
+
+  // Directory of custom receipt templates, used before the built-in ones
+  templatesDir: process.env.TEMPLATES_DIR || null,
+};
+
+// Allow retry policies to be overridden with a JSON object in RETRY_POLICIES
+if (process.env.RETRY_POLICIES) {
+  try {
+    const overrides = JSON.parse(process.env.RETRY_POLICIES);
+    for (const [type, policy] of Object.entries(overrides)) {
+      config.retryPolicies[type] = {
+        ...config.retryPolicies.default,
+        ...config.retryPolicies[type],
+        ...policy,
+      };
+    }
+  } catch (error) {
+    console.error("Error parsing RETRY_POLICIES:", error.message);
+  }
+}
+
+// Lifecycle events for dashboards, the browser client and the cloud reporter
+const jobEvents = new JobEvents();
+
+// Formatted content of running jobs by journal ID, reported with their outcome
+const formattedContents = new Map();
+
+// Initialize the on-disk job journal
+const jobJournal = new JobJournal({ dataDir: config.dataDir });
+
+// Jobs that failed after exhausting their retries
+const deadLetters = new DeadLetterStore({ dataDir: config.dataDir });
+
+// Searchable history of printed jobs, with the bytes that were sent
+const jobHistory = new JobHistory({
+  dataDir: config.dataDir,
+  maxEntries: config.historyMaxEntries,
+  maxAge: config.historyRetentionDays * 24 * 60 * 60 * 1000,
+});
+
+// Jobs waiting for their printAt time
+const jobScheduler = new JobScheduler({
+  dataDir: config.dataDir,
+  onDue: (job) => {
+    logger.info(`Scheduled job ${job.id || "unknown"} is due, printing`);
+    processJobInBackground(job);
   },
+});
+
+// Results of printed jobs, remembered to stop duplicate prints
+const idempotencyStore = new IdempotencyStore({
+  dataDir: config.dataDir,
+  window: config.idempotencyWindow,
+});
+
+// What each printer type is sent unless its mapping sets "output"
+const DEFAULT_OUTPUTS = {
+  tcp: "escpos",
+  usb: "escpos",
+  serial: "escpos",
+  ipp: "pdf",
+  lpd: "text",
+};
+
+// printFormat used to format content for each output
+const OUTPUT_FORMATS = {
+  pdf: "PDF",
+  text: "PLAIN_TEXT",
 };
 
 // Logger
@@ -94,45 +259,205 @@ const logger = {
   },
 };
 
-// Load printer mappings from a JSON file if it exists
+// Printer mappings file, watched for edits while the agent runs
+const mappingsPath = path.join(__dirname, "printer-mappings.json");
+
+// Printers and groups loaded at startup, keyed by ID
+let loadedMappings = {};
+
+// Load printer mappings from a JSON file if it exists. Entries that break
+// the schema are left out, so one bad printer does not stop the others.
 try {
-  const mappingsPath = path.join(__dirname, "printer-mappings.json");
   if (fs.existsSync(mappingsPath)) {
-    const mappingsData = fs.readFileSync(mappingsPath, "utf8");
-    config.printerMappings = JSON.parse(mappingsData);
+    const data = JSON.parse(fs.readFileSync(mappingsPath, "utf8"));
+    const errors = PrinterMappingsSchema.validate(data);
+
+    errors.forEach((error) =>
+      logger.error(
+        `Invalid printer mapping ${PrinterMappingsSchema.formatError(error)}`
+      )
+    );
+    if (PrinterMappingsSchema.getVersion(data) === 1) {
+      logger.warn(
+        "printer-mappings.json uses the legacy format; run `npm run migrate-mappings` to upgrade it"
+      );
+    }
+
+    if (errors.some((error) => error.id === null)) {
+      logger.error("Printer mappings cannot be used, no printers loaded");
+    } else {
+      const invalid = new Set(errors.map((error) => error.id));
+      loadedMappings = Object.fromEntries(
+        Object.entries(PrinterMappingsSchema.normalize(data)).filter(
+          ([id]) => !invalid.has(id)
+        )
+      );
+    }
+
+    const { printers, groups } = splitMappings(loadedMappings);
+    config.printerMappings = printers;
+    config.printerGroups = groups;
     logger.info("Loaded printer mappings:", config.printerMappings);
+    if (Object.keys(config.printerGroups).length > 0) {
+      logger.info("Loaded printer groups:", config.printerGroups);
+    }
   }
 } catch (error) {
   logger.error("Error loading printer mappings:", error);
 }
 
-// Function to get printer configuration
-function getPrinterConfig(printerId) {
-  if (!config.printerMappings[printerId]) {
+// Load routing rules from a JSON file if it exists
+try {
+  const rulesPath = path.join(__dirname, "routing-rules.json");
+  if (fs.existsSync(rulesPath)) {
+    const rulesData = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+    config.routingRules = rulesData.rules || [];
+    config.kotSplit = rulesData.kotSplit || null;
+    logger.info(`Loaded ${config.routingRules.length} routing rule(s)`);
+    if (config.kotSplit) {
+      logger.info("Loaded KOT split:", config.kotSplit);
+    }
+  }
+} catch (error) {
+  logger.error("Error loading routing rules:", error);
+}
+
+// Built-in printer profiles, plus custom ones from printer-profiles.json
+const printerProfiles = new PrinterProfiles();
+
+// Load custom printer profiles from a JSON file if it exists
+try {
+  const profilesPath = path.join(__dirname, "printer-profiles.json");
+  if (fs.existsSync(profilesPath)) {
+    const profilesData = JSON.parse(fs.readFileSync(profilesPath, "utf8"));
+    printerProfiles.load(profilesData.profiles || {});
+    logger.info(
+      `Loaded ${
+        printerProfiles.list().filter((profile) => !profile.builtIn).length
+      } custom printer profile(s)`
+    );
+  }
+} catch (error) {
+  logger.error("Error loading printer profiles:", error);
+}
+warnUnknownProfiles(config.printerMappings);
+
+// Templates KOTs and bills are laid out with
+const receiptTemplates = new ReceiptTemplates({
+  directory: config.templatesDir,
+});
+for (const template of receiptTemplates.list()) {
+  if (template.errors.length > 0) {
+    logger.error(template.errors.join("\n"));
+  }
+}
+
+/**
+ * Warn about printers whose profile does not exist. They are still used,
+ * with the generic profile for their paper width.
+ * @param {Object} printers - Printer mappings keyed by ID
+ */
+function warnUnknownProfiles(printers) {
+  for (const [printerId, printer] of Object.entries(printers)) {
+    if (printer && printer.profile && !printerProfiles.has(printer.profile)) {
+      logger.warn(
+        `Printer ${printerId} uses unknown profile "${printer.profile}", using the generic profile for its paper width`
+      );
+    }
+  }
+}
+
+/**
+ * Split the entries of the mappings file into printers and groups; groups
+ * share the file with printers but are kept apart from them
+ * @param {Object} mappings - Parsed printer-mappings.json
+ * @returns {{printers: Object, groups: Object}} Entries keyed by ID
+ */
+function splitMappings(mappings) {
+  const printers = {};
+  const groups = {};
+
+  for (const [id, entry] of Object.entries(mappings)) {
+    if (entry && entry.type === "group") {
+      groups[id] = entry;
+    } else {
+      printers[id] = entry;
+    }
+  }
+
+  return { printers, groups };
+}
+
+/**
+ * Get the configuration of a mapped printer
+ * @param {string} printerId - Printer ID
+ * @param {Object} [mappings] - Mappings to read it from (default: the running ones)
+ * @returns {Object|null} Printer configuration, or null if not mapped
+ */
+function getPrinterConfig(printerId, mappings = config.printerMappings) {
+  if (!mappings[printerId]) {
     logger.error(`Printer ${printerId} not found in mappings`);
     return null;
   }
 
   // Check if the printer config is in the new format (object)
-  if (typeof config.printerMappings[printerId] === "object") {
-    const printerConfig = config.printerMappings[printerId];
+  if (typeof mappings[printerId] === "object") {
+    const printerConfig = mappings[printerId];
 
     // Ensure we have an ipAddress property
     if (!printerConfig.ipAddress && printerConfig.address) {
       printerConfig.ipAddress = printerConfig.address;
     }
 
+    const type = printerConfig.type || "tcp";
+    const output = printerConfig.output || DEFAULT_OUTPUTS[type] || "escpos";
+    const profile = printerProfiles.resolve({
+      profile: printerConfig.profile,
+      paperWidth: printerConfig.paperWidth,
+      font: printerConfig.font,
+      codePage: printerConfig.codePage,
+      output,
+    });
+    // Capabilities set on the printer override its profile's
+    const capabilities = {
+      ...profile.capabilities,
+      ...printerConfig.capabilities,
+    };
+
     return {
       id: printerId,
+      name: printerConfig.name,
       ipAddress: printerConfig.ipAddress || printerConfig.address,
-      port: printerConfig.port || 9100,
-      type: printerConfig.type || "tcp",
-      paperWidth: printerConfig.paperWidth || "MM_80",
+      port: printerConfig.port || (type === "lpd" ? 515 : 9100),
+      type,
+      output,
+      paperWidth: profile.paperWidth,
+      profile,
+      pageSize: printerConfig.pageSize,
+      url: printerConfig.url,
+      queue: printerConfig.queue,
+      concurrency: printerConfig.concurrency,
+      timeout: printerConfig.timeout,
+      statusCheck:
+        printerConfig.statusCheck !== undefined
+          ? printerConfig.statusCheck
+          : capabilities.status,
+      path: printerConfig.path,
+      baudRate: printerConfig.baudRate,
+      dataBits: printerConfig.dataBits,
+      stopBits: printerConfig.stopBits,
+      parity: printerConfig.parity,
+      connectTimeout: printerConfig.connectTimeout,
+      writeTimeout: printerConfig.writeTimeout,
+      idleTimeout: printerConfig.idleTimeout,
+      drawer: printerConfig.drawer,
+      templates: printerConfig.templates || {},
+      capabilities,
     };
   }
 
   // Legacy format (string)
-  const addressString = config.printerMappings[printerId];
+  const addressString = mappings[printerId];
   const [ipAddress, portStr] = addressString.split(":");
   const port = parseInt(portStr, 10);
 
@@ -143,17 +468,25 @@ function getPrinterConfig(printerId) {
     return null;
   }
 
+  const profile = printerProfiles.resolve({});
+
   return {
     id: printerId,
     ipAddress,
     port,
+    type: "tcp",
+    output: "escpos",
+    paperWidth: profile.paperWidth,
+    profile,
+    templates: {},
+    capabilities: { ...profile.capabilities },
   };
 }
 
 /**
  * Update the status of a print job
  * @param {string} jobId - The ID of the job to update
- * @param {boolean} success - Whether the job was successful
+ * @param {boolean|string} success - Whether the job was successful, or an explicit status such as "CANCELLED"
  * @param {string} [errorMessage] - Error message if the job failed
  * @param {string} [formattedContent] - The formatted content that was sent to the printer
  * @returns {Promise<void>}
@@ -175,12 +508,18 @@ async function updateJobStatus(
 
     const response = await fetch(url, {
       method: "PUT",
+      signal: AbortSignal.timeout(config.apiTimeout),
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${process.env.API_TOKEN}`,
       },
       body: JSON.stringify({
-        status: success ? "COMPLETED" : "FAILED",
+        status:
+          typeof success === "string"
+            ? success
+            : success
+            ? "COMPLETED"
+            : "FAILED",
         errorMessage: errorMessage,
         formattedContent: formattedContent,
       }),
@@ -196,6 +535,37 @@ async function updateJobStatus(
   }
 }
 
+/**
+ * Store the formatted content of a print job in the database
+ * @param {string} jobId - The ID of the job to update
+ * @param {string} formattedContent - The formatted content that was sent to the printer
+ * @returns {Promise<void>}
+ */
+async function updateFormattedContent(jobId, formattedContent) {
+  try {
+    const apiUrl = process.env.API_URL;
+    const url = `${apiUrl}/print-jobs/${jobId}/formatted-content`;
+
+    await fetch(url, {
+      method: "PUT",
+      signal: AbortSignal.timeout(config.apiTimeout),
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.API_TOKEN}`,
+      },
+      body: JSON.stringify({
+        formattedContent: formattedContent,
+      }),
+    });
+
+    console.log(`Updated job ${jobId} with formatted content`);
+  } catch (error) {
+    console.error(
+      `Error updating job with formatted content: ${error.message}`
+    );
+  }
+}
+
 // Add this function to extract paper width from various request formats
 function extractPaperWidth(job) {
   // Check all possible locations for paperWidth
@@ -217,207 +587,1808 @@ function extractPaperWidth(job) {
     return job.content.content.options.paperWidth;
   }
 
-  // Default to MM_58 if not found
-  return "MM_80";
+  // The printer's own paper width is used
+  return null;
 }
 
 // Add this near the top of the file with other global variables
 const jobCache = new Map(); // Cache for previously processed jobs
 const CACHE_TTL = 60 * 1000; // 60 seconds cache TTL
-const MAX_CONCURRENCY = 1; // Only process one print job at a time
-let isProcessingJob = false;
-const pendingJobs = [];
 
-// Add a connection pool for printers
-const printerConnections = new Map();
-
-/**
- * Process and print a job
- * @param {Object} job - The print job to process
- */
-async function processJob(job) {
-  // If already processing, queue this job
-  if (isProcessingJob) {
-    console.log(
-      `Job ${job.id || "unknown"} queued, waiting for current job to complete`
-    );
-    return new Promise((resolve) => {
-      pendingJobs.push({
-        job,
-        resolve,
-      });
-    });
-  }
+// Persistent connections to network printers
+const connectionPool = new PrinterConnectionPool({
+  connectTimeout: config.printerConnectTimeout,
+  writeTimeout: config.printerWriteTimeout,
+  idleTimeout: config.printerIdleTimeout,
+});
 
-  isProcessingJob = true;
-  const startTime = Date.now();
+// USB and serial printers, written through their device files
+const deviceTransport = new DeviceTransport({
+  writeTimeout: config.printerWriteTimeout,
+});
 
-  try {
-    console.log(`Started processing job: ${job.id || "unknown"}`);
+// Office printers, sent documents through CUPS or any IPP endpoint
+const ippTransport = new IppTransport({
+  timeout: config.printerWriteTimeout,
+});
 
-    // Generate a cache key based on job content
-    const cacheKey = job.printerId + "-" + JSON.stringify(job.content);
+// Office printers and print servers that take LPD/LPR jobs
+const lpdTransport = new LpdTransport({
+  connectTimeout: config.printerConnectTimeout,
+  writeTimeout: config.printerWriteTimeout,
+});
 
-    // Check if we have a cached response
-    const cachedResponse = jobCache.get(cacheKey);
-    if (cachedResponse && Date.now() - cachedResponse.timestamp < CACHE_TTL) {
-      console.log(
-        `Using cached formatted content for job: ${job.id || "unknown"}`
-      );
+// Transport used for each printer type
+const transports = {
+  tcp: connectionPool,
+  usb: deviceTransport,
+  serial: deviceTransport,
+  ipp: ippTransport,
+  lpd: lpdTransport,
+};
 
-      // Still print the cached content
-      const printerConfig = getPrinterConfig(job.printerId);
-      const success = await printToTCPPrinter(
-        printerConfig.ipAddress,
-        printerConfig.port || 9100,
-        cachedResponse.formattedContent
-      );
+// Printers that take jobs but never answer status queries, and how many
+// status queries in a row each printer has left unanswered
+const printersWithoutStatus = new Set();
+const unansweredStatusQueries = new Map();
+
+// Unanswered status queries in a row before a printer is no longer queried
+const MAX_UNANSWERED_STATUS_QUERIES = 3;
+
+// One formatter per profile and paper width, so jobs formatting in parallel
+// on different printers never change each other's configuration
+const formatters = new Map();
+
+// Jobs waiting out a retry delay, keyed by journal ID
+const retryingJobs = new Map();
+
+// IDs of the parts of routed orders that are printing, keyed by order ID
+const routedParts = new Map();
+
+// Independent job queue per printer
+const printQueue = new PrintQueue({
+  worker: executeJob,
+  concurrency: config.printerConcurrency,
+  timeout: config.jobTimeout,
+  agingInterval: config.priorityAgingInterval,
+  getPrinterOptions: (printerId) => {
+    const printerConfig = config.printerMappings[printerId]
+      ? getPrinterConfig(printerId)
+      : null;
+    return printerConfig
+      ? {
+          concurrency: printerConfig.concurrency,
+          timeout: printerConfig.timeout,
+        }
+      : {};
+  },
+});
 
-      // Update job status if needed
-      if (job.id) {
-        await updateJobStatus(
-          job.id,
-          success,
-          success ? null : "Failed to print"
-        );
-      }
+// Online/offline tracking for every mapped printer
+const printerHealth = new PrinterHealthMonitor({
+  interval: config.printerHealthInterval,
+  // Printers busy with a job are not probed; many accept one connection only.
+  // Probes connect within the health timeout.
+  getPrinters: () =>
+    Object.keys(config.printerMappings)
+      .filter((printerId) => !printQueue.isBusy(printerId))
+      .map((printerId) => getPrinterConfig(printerId))
+      .filter((printerConfig) => printerConfig && getTransport(printerConfig))
+      .map((printerConfig) => ({
+        ...printerConfig,
+        connectTimeout: config.printerHealthTimeout,
+      })),
+  connect: (printerConfig) => getTransport(printerConfig).check(printerConfig),
+  queryStatus: (printerConfig) =>
+    checkPrinterStatus(printerConfig, { probe: true }),
+  onChange: handlePrinterHealthChange,
+});
 
-      const result = { success, error: success ? null : "Failed to print" };
-      console.log(
-        `Completed job ${job.id || "unknown"} from cache in ${
-          Date.now() - startTime
-        }ms`
-      );
-      return result;
-    }
+// Cash drawers wired to receipt printers, with an audit log of every opening
+const cashDrawer = new CashDrawer({
+  dataDir: config.dataDir,
+  send: sendDrawerKick,
+  getSettings: (printerId) => {
+    const printerConfig = getPrinterConfig(printerId);
+    return (printerConfig && printerConfig.drawer) || {};
+  },
+});
 
-    console.log(`Processing job: ${job.id || "unknown"}`);
+// Groups of printers that jobs can be sent to by group ID
+const printerGroups = new PrinterGroups({
+  hasPrinter: (printerId) => !!config.printerMappings[printerId],
+  // Printers that are offline, faulty or held are skipped
+  isAvailable: (printerId) => {
+    const health = printerHealth.get(printerId);
+    return (
+      (!health || health.state === "online") && !printQueue.isHeld(printerId)
+    );
+  },
+  getLoad: (printerId) => printQueue.getLoad(printerId),
+});
+printerGroups.load(config.printerGroups);
 
-    // Validate job object
-    if (!job) {
-      console.error("Job object is undefined");
-      return { success: false, error: "Job object is undefined" };
-    }
+// Rules that fan orders out to printers and groups
+const routingEngine = new RoutingEngine({
+  hasPrinter: (printerId) =>
+    !!config.printerMappings[printerId] || printerGroups.has(printerId),
+});
+routingEngine.load({
+  rules: config.routingRules,
+  kotSplit: config.kotSplit,
+});
 
-    // Get printer mapping
-    const printerId = job.printerId;
-    if (!printerId) {
-      console.error("Printer ID is undefined");
-      if (job.id) {
-        await updateJobStatus(job.id, false, "Printer ID is undefined");
-      }
-      return { success: false, error: "Printer ID is undefined" };
-    }
+// Picks up edits of printer-mappings.json without a restart
+const mappingsWatcher = new MappingsWatcher({
+  filePath: mappingsPath,
+  current: loadedMappings,
+  interval: config.mappingsWatchInterval,
+  validate: (data) =>
+    PrinterMappingsSchema.validate(data).map(PrinterMappingsSchema.formatError),
+  normalize: PrinterMappingsSchema.normalize,
+  onChange: applyPrinterMappings,
+  onInvalid: (errors) => {
+    logger.error(
+      `Rejected printer-mappings.json edit, keeping the running mappings:\n  ${errors.join(
+        "\n  "
+      )}`
+    );
+    jobEvents.publish(EVENT_TYPES.PRINTERS_INVALID, { errors });
+  },
+});
 
-    // Check if printer exists in mappings
-    if (!config.printerMappings[printerId]) {
-      console.error(`Printer ${printerId} not found in mappings`);
+// Printer changes made through the management API
+const mappingsStore = new PrinterMappingsStore({
+  filePath: mappingsPath,
+  // Apply the written file now rather than on the watcher's next check
+  onWrite: () => mappingsWatcher.reload(),
+});
 
-      // Try to find a default printer to use instead
-      let defaultPrinterId = null;
-      if (
-        job.content &&
-        job.content.type === "KOT" &&
-        config.printerMappings["kitchen"]
-      ) {
-        defaultPrinterId = "kitchen";
-      } else if (
-        job.content &&
-        job.content.type === "BILL" &&
-        config.printerMappings["receipt"]
-      ) {
-        defaultPrinterId = "receipt";
-      } else {
-        // Try to find any printer
-        const printerIds = Object.keys(config.printerMappings);
-        if (printerIds.length > 0) {
-          defaultPrinterId = printerIds[0];
-        }
-      }
+// Scans of the local network for printers that are not mapped yet
+const printerDiscovery = new PrinterDiscovery({
+  subnets: config.discoverySubnets,
+  getMappedPrinters: () =>
+    Object.keys(config.printerMappings)
+      .map((printerId) => getPrinterConfig(printerId))
+      .filter(Boolean),
+});
 
-      if (defaultPrinterId) {
-        console.log(
-          `Using default printer ${defaultPrinterId} instead of ${printerId}`
-        );
-        job.printerId = defaultPrinterId;
-      } else {
-        if (job.id) {
-          await updateJobStatus(job.id, false, "Printer not found in mappings");
-        }
-        return { success: false, error: "Printer not found in mappings" };
-      }
-    }
+// HTTP status for each reason a printer change can fail
+const STORE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID: 400,
+  WRITE_FAILED: 500,
+};
 
-    const printerConfig = getPrinterConfig(job.printerId);
+/**
+ * Switch to edited printer mappings. The new printers and groups replace
+ * the old ones in one step, so a job never sees half an edit; connections,
+ * health and cached output of printers that were removed or moved are
+ * dropped. Jobs already queued for a removed printer fail on their next
+ * attempt.
+ * @param {Object} mappings - Validated printer-mappings.json
+ * @param {Object} changes - Added, removed and changed IDs
+ */
+function applyPrinterMappings(mappings, changes) {
+  const previous = config.printerMappings;
+  const { printers, groups } = splitMappings(mappings);
+
+  config.printerMappings = printers;
+  config.printerGroups = groups;
+  warnUnknownProfiles(printers);
+  printerGroups.load(groups);
+  routingEngine.load({
+    rules: config.routingRules,
+    kotSplit: config.kotSplit,
+  });
 
-    if (!printerConfig) {
-      console.error(
-        `No printer configuration found for printer ID: ${job.printerId}`
+  for (const printerId of [...changes.removed, ...changes.changed]) {
+    if (!previous[printerId]) continue;
+
+    const before = getPrinterConfig(printerId, previous);
+    const after = printers[printerId]
+      ? getPrinterConfig(printerId, printers)
+      : null;
+    const address = (printerConfig) =>
+      printerConfig &&
+      [printerConfig.type, printerConfig.ipAddress, printerConfig.port].join(
+        ":"
       );
-      if (job.id) {
-        await updateJobStatus(job.id, false, "Printer not configured");
+
+    if (before && address(before) !== address(after)) {
+      if (before.type === "tcp") {
+        connectionPool.release(before);
       }
-      return { success: false, error: "Printer not configured" };
+      printerHealth.remove(printerId);
+      printersWithoutStatus.delete(printerId);
+      unansweredStatusQueries.delete(printerId);
     }
+  }
 
-    // Parse the content and options
-    let content = job.content;
-    const options = job.options || {};
+  // Formatted output depends on settings such as the paper width
+  jobCache.clear();
 
-    console.log("Original content type:", typeof content);
-    if (typeof content === "string") {
-      console.log(
-        "Original content (first 100 chars):",
-        content.substring(0, 100)
-      );
-    } else if (content && typeof content === "object") {
-      console.log(
-        "Original content (object):",
-        JSON.stringify(content).substring(0, 100)
-      );
-    } else {
-      console.log("Original content: undefined or null");
-    }
+  logger.info(
+    `Reloaded printer mappings (added: ${
+      changes.added.join(", ") || "none"
+    }; removed: ${changes.removed.join(", ") || "none"}; changed: ${
+      changes.changed.join(", ") || "none"
+    })`
+  );
+  jobEvents.publish(EVENT_TYPES.PRINTERS_CHANGED, changes);
+  broadcastPrinters();
+}
 
-    // Handle direct JSON object in content field
-    if (content && typeof content === "object") {
-      // If content is already an object with type and content properties, use it directly
-      if (content.type && content.content) {
-        console.log(
-          `Content is already a structured object with type: ${content.type}`
-        );
-      }
-      // If content is a raw object without type/content structure, wrap it
-      else if (!content.type && !content.content) {
-        console.log(
-          "Content is a raw object, wrapping it with proper structure"
-        );
-        // Try to determine the type based on content properties
-        let type = "UNKNOWN";
-        if (content.items && content.header && content.header.kotNumber) {
-          type = "KOT";
-        } else if (content.items && content.summary) {
-          type = "BILL";
-        }
+/**
+ * Get the transport that sends data to a printer
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @returns {Object|null} Transport, or null if the printer type is not supported
+ */
+function getTransport(printerConfig) {
+  return transports[printerConfig.type || "tcp"] || null;
+}
 
-        // Wrap the content in a proper structure
-        content = {
-          type: type,
-          content: content,
-        };
-      }
-    }
-    // Clean up content if it's a string with "VA" prefixes
-    else if (typeof content === "string") {
-      try {
-        // First, try to parse the content directly as JSON
-        content = JSON.parse(content);
-        console.log("Successfully parsed content from JSON string");
-      } catch (parseError) {
-        console.warn("Initial JSON parse failed:", parseError.message);
+/**
+ * Get the formatter for a printer's profile
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @param {string} [paperWidth] - Paper width key, when a job asks for another one than the printer's
+ * @returns {PrintFormatter} Formatter configured for the profile and width
+ */
+function getFormatter(printerConfig, paperWidth = printerConfig.paperWidth) {
+  const profile =
+    paperWidth === printerConfig.profile.paperWidth
+      ? printerConfig.profile
+      : printerProfiles.resize(printerConfig.profile, paperWidth);
+  const key = [
+    profile.id,
+    profile.paperWidth,
+    profile.font,
+    profile.codePage,
+  ].join(":");
+
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new PrintFormatter({
+        ...PrinterProfiles.toFormatterConfig(profile),
+        templates: receiptTemplates,
+      })
+    );
+  }
 
-        // Handle the specific pattern with multiple VA prefixes
-        // First, try to extract the first valid JSON object
+  return formatters.get(key);
+}
+
+/**
+ * Format KOT or bill content in a print format
+ * @param {PrintFormatter} formatter - Formatter for the paper width
+ * @param {string} printFormat - "TEXT" or "IMAGE" for ESC/POS, "PDF" or "PLAIN_TEXT" for office printers
+ * @param {Object} content - KOT or bill content
+ * @param {string} type - "kot" or "bill"
+ * @param {Object} options - Copy options, page size and template
+ * @returns {Promise<string>} Data to send to the printer, empty for an unknown format
+ */
+async function formatContent(formatter, printFormat, content, type, options) {
+  switch (printFormat) {
+    case "TEXT":
+      return formatter.printContentAsText(content, type, options);
+    case "IMAGE":
+      return formatter.printContentAsImage(content, type, options);
+    case "PDF":
+      return formatter.printContentAsPDF(content, type, options);
+    case "PLAIN_TEXT":
+      return formatter.printContentAsPlainText(content, type, options);
+    default:
+      return "";
+  }
+}
+
+/**
+ * Find a fallback printer for a job whose printer is not in the mappings
+ * @param {Object} job - The print job
+ * @returns {string|null} Fallback printer or group ID, or null if none is configured
+ */
+function findDefaultPrinterId(job) {
+  if (
+    job.content &&
+    job.content.type === "KOT" &&
+    (config.printerMappings["kitchen"] || printerGroups.has("kitchen"))
+  ) {
+    return "kitchen";
+  }
+
+  if (
+    job.content &&
+    job.content.type === "BILL" &&
+    (config.printerMappings["receipt"] || printerGroups.has("receipt"))
+  ) {
+    return "receipt";
+  }
+
+  // Try to find any printer
+  const printerIds = Object.keys(config.printerMappings);
+  return printerIds.length > 0 ? printerIds[0] : null;
+}
+
+/**
+ * Work out the content type (KOT, BILL or UNKNOWN) of a job's content
+ * @param {Object|string} content - Job content, either structured or raw
+ * @returns {string} Content type
+ */
+function detectContentType(content) {
+  if (!content || typeof content !== "object") {
+    return "UNKNOWN";
+  }
+
+  if (content.type) {
+    return content.type;
+  }
+
+  if (content.items && content.header && content.header.kotNumber) {
+    return "KOT";
+  } else if (content.items && content.summary) {
+    return "BILL";
+  }
+
+  return "UNKNOWN";
+}
+
+/**
+ * Get the retry policy for a job based on its content type
+ * @param {Object} job - The print job
+ * @returns {Object} Retry policy
+ */
+function getRetryPolicy(job) {
+  const structuredContent = job.options && job.options.structuredContent;
+  const type = detectContentType(structuredContent || job.content);
+
+  return config.retryPolicies[type] || config.retryPolicies.default;
+}
+
+/**
+ * Get a job's queue priority, defaulting by content type
+ * @param {Object} job - The print job
+ * @returns {string} "urgent", "normal" or "bulk"
+ */
+function getJobPriority(job) {
+  const priority = job.priority || (job.options && job.options.priority);
+  if (priority) {
+    return priority;
+  }
+
+  const structuredContent = job.options && job.options.structuredContent;
+  const type = detectContentType(structuredContent || job.content);
+
+  return config.defaultPriorities[type] || config.defaultPriorities.default;
+}
+
+/**
+ * Get the number of copies and their labels for a job
+ * @param {Object} job - The print job
+ * @returns {{copies: number, copyLabels: Array<string>}} Formatter copy options
+ */
+function getCopyOptions(job) {
+  const options = job.options || {};
+  const copyLabels = job.copyLabels || options.copyLabels || [];
+
+  return {
+    copies: job.copies || options.copies || copyLabels.length || 1,
+    copyLabels,
+  };
+}
+
+/**
+ * Get the template a job is laid out with: the one the job names, else the
+ * one its printer uses for the content type, else the type's own template
+ * @param {Object} job - The print job
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @param {string} type - "kot" or "bill"
+ * @returns {string|undefined} Template name
+ */
+function getTemplateName(job, printerConfig, type) {
+  return (job.options && job.options.template) || printerConfig.templates[type];
+}
+
+/**
+ * Check whether a failed job will be attempted again
+ * @param {Object} job - The print job
+ * @returns {boolean} True if the job has attempts left
+ */
+function hasRetriesLeft(job) {
+  return (job.attempt || 1) < getRetryPolicy(job).maxAttempts;
+}
+
+/**
+ * Calculate the delay before the next attempt using exponential backoff
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(2, attempt - 1)
+  );
+  const jitter = delay * (policy.jitter || 0) * (Math.random() * 2 - 1);
+
+  return Math.max(0, Math.round(delay + jitter));
+}
+
+/**
+ * Report the final outcome of jobs to the API. The reporter listens to the
+ * job events like any dashboard does, so the cloud is told exactly what
+ * local listeners see: once per job, after any retries.
+ */
+function startStatusReporter() {
+  jobEvents.on(EVENT_TYPES.JOB_COMPLETED, (event) =>
+    reportJobOutcome(event, true)
+  );
+  jobEvents.on(EVENT_TYPES.JOB_FAILED, (event) =>
+    reportJobOutcome(event, false)
+  );
+  jobEvents.on(EVENT_TYPES.JOB_CANCELLED, (event) =>
+    reportJobOutcome(event, "CANCELLED")
+  );
+}
+
+/**
+ * Report one job outcome event to the API, along with the content the job
+ * was formatted to
+ * @private
+ * @param {Object} event - job.completed, job.failed or job.cancelled event
+ * @param {boolean|string} status - Whether the job was successful, or "CANCELLED"
+ * @returns {Promise<void>}
+ */
+async function reportJobOutcome(event, status) {
+  const formattedContent = formattedContents.get(event.journalId) || null;
+  formattedContents.delete(event.journalId);
+
+  // Parts of a routed order are reported together as their order
+  if (!event.jobId || event.parentJobId) return;
+
+  await updateJobStatus(
+    event.jobId,
+    status,
+    status === "CANCELLED" ? "Cancelled on print agent" : event.error || null,
+    formattedContent
+  );
+  if (formattedContent) {
+    await updateFormattedContent(event.jobId, formattedContent);
+  }
+}
+
+/**
+ * Check whether a job's status is reported to the API. The jobs for the
+ * routes of an order are not; routeJob reports the order's combined result
+ * once, so one failed station is never hidden by another that printed.
+ * @param {Object} job - The print job
+ * @returns {boolean} True if the job's own status is reported
+ */
+function reportsStatus(job) {
+  return !!job.id && !job.routedBy;
+}
+
+/**
+ * Get the key that identifies repeated submissions of the same job
+ * @param {Object} job - The print job
+ * @returns {string|null} Idempotency key, or null if the job has no identity
+ */
+function getIdempotencyKey(job) {
+  return job.idempotencyKey || job.id || null;
+}
+
+/**
+ * Get the identifying fields included in every job event
+ * @param {Object} job - The print job
+ * @returns {Object} Job ID, journal ID and printer ID
+ */
+function getEventDetails(job) {
+  return {
+    jobId: job.id || null,
+    journalId: job.journalId || null,
+    printerId: job.printerId || null,
+    groupId: job.groupId || null,
+    parentJobId: job.parentJobId || null,
+  };
+}
+
+/**
+ * React to a change in a printer's health: log it, emit an event when the
+ * printer goes offline or comes back online, and tell the cloud and browsers
+ * @param {Object} health - New health from the printer health monitor
+ * @param {Object|null} previous - Previous health, or null on the first check
+ */
+function handlePrinterHealthChange(health, previous) {
+  const { printerId, state, error } = health;
+
+  if (error) {
+    logger.warn(`Printer ${printerId} is ${state}: ${error}`);
+  } else if (!previous || previous.state !== state) {
+    logger.info(`Printer ${printerId} is ${state}`);
+  }
+  health.warnings.forEach((warning) =>
+    logger.warn(`Printer ${printerId}: ${warning}`)
+  );
+
+  const online = state === "online";
+  if (!previous || (previous.state === "online") !== online) {
+    jobEvents.publish(
+      online ? EVENT_TYPES.PRINTER_ONLINE : EVENT_TYPES.PRINTER_OFFLINE,
+      { printerId, state, error }
+    );
+  }
+
+  if (!previous || previous.state !== state || previous.error !== error) {
+    reportPrinterHealth(health);
+    broadcastPrinters();
+  }
+}
+
+/**
+ * Report a printer's health to the API
+ * @param {Object} health - Health from the printer health monitor
+ * @returns {Promise<void>}
+ */
+async function reportPrinterHealth(health) {
+  try {
+    const apiUrl = process.env.API_URL;
+    const url = `${apiUrl}/printers/${health.printerId}/status`;
+
+    const response = await fetch(url, {
+      method: "PUT",
+      signal: AbortSignal.timeout(config.apiTimeout),
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.API_TOKEN}`,
+      },
+      body: JSON.stringify({
+        restaurantId: config.restaurantId,
+        status: health.state.toUpperCase(),
+        errorMessage: health.error,
+        lastSeen: health.lastSeen,
+        latency: health.latency,
+      }),
+    });
+
+    if (!response.ok) {
+      console.error(
+        `Failed to report printer status: ${response.status} ${response.statusText}`
+      );
+    }
+  } catch (error) {
+    console.error(`Error reporting printer status: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a job is an intentional reprint
+ * @param {Object} job - The print job
+ * @returns {boolean} True if the job should print even if seen before
+ */
+function isForcedReprint(job) {
+  return job.force === true || (job.options && job.options.force === true);
+}
+
+/**
+ * Process and print a job
+ * @param {Object} job - The print job to process
+ */
+async function processJob(job) {
+  if (!job) {
+    console.error("Job object is undefined");
+    return { success: false, error: "Job object is undefined" };
+  }
+
+  // Skip jobs that were already printed, unless a reprint is forced
+  const idempotencyKey = getIdempotencyKey(job);
+  if (idempotencyKey && !isForcedReprint(job)) {
+    const previous = await idempotencyStore.lookup(idempotencyKey);
+    if (previous) {
+      console.log(
+        `Job ${idempotencyKey} was already printed, returning original result`
+      );
+      return { ...previous, duplicate: true };
+    }
+  }
+
+  // Hold jobs with a future printAt or delaySeconds until they are due
+  const printAt = JobScheduler.getPrintTime(job);
+  if (printAt && printAt > Date.now()) {
+    const entry = jobScheduler.add(job, printAt);
+    console.log(
+      `Job ${job.id || "unknown"} scheduled for ${new Date(
+        printAt
+      ).toISOString()} (${entry.id})`
+    );
+    return {
+      success: true,
+      error: null,
+      scheduled: true,
+      scheduleId: entry.id,
+      printAt,
+    };
+  }
+
+  // Orders without a known printer are fanned out by the routing rules
+  const run = shouldRouteJob(job) ? routeJob : runJob;
+
+  if (!idempotencyKey) {
+    return run(job);
+  }
+
+  const promise = run(job);
+  idempotencyStore.begin(idempotencyKey, promise);
+
+  const result = await promise;
+  idempotencyStore.finish(idempotencyKey, result);
+
+  return result;
+}
+
+/**
+ * Process a job nobody waits for, such as a scheduled or recovered one. A
+ * job that throws is logged, closed in the journal and kept as a dead
+ * letter, instead of becoming an unhandled rejection.
+ * @param {Object} job - The print job
+ * @param {Function} [run] - Async function that processes the job (default: processJob)
+ * @returns {Promise<void>}
+ */
+async function processJobInBackground(job, run = () => processJob(job)) {
+  try {
+    await run();
+  } catch (error) {
+    logger.error(
+      `Error processing job ${job.id || "unknown"}: ${error.message}`
+    );
+
+    if (job.journalId) {
+      jobJournal.record(job.journalId, JOB_STATES.FAILED, {
+        error: error.message,
+      });
+    }
+    jobEvents.publish(EVENT_TYPES.JOB_FAILED, {
+      ...getEventDetails(job),
+      error: error.message,
+    });
+    const deadLetter = deadLetters.add(job, error.message, job.attempt || 1);
+    logger.error(
+      `Job ${job.id || "unknown"} moved to dead letters (${deadLetter.id})`
+    );
+  }
+}
+
+/**
+ * Check whether a job should be routed by the routing rules: it has no
+ * printer, asks for "auto", or names a printer that is not mapped. KOTs
+ * sent to a printer are also routed when they are split by station, unless
+ * the job sets options.split to false.
+ * @param {Object} job - The print job
+ * @returns {boolean} True if the routing rules decide the printers
+ */
+function shouldRouteJob(job) {
+  // Jobs created for a route have their printer already
+  if (!routingEngine.hasRules() || job.routedBy) return false;
+
+  if (
+    !job.printerId ||
+    job.printerId === "auto" ||
+    (!config.printerMappings[job.printerId] &&
+      !printerGroups.has(job.printerId))
+  ) {
+    return true;
+  }
+
+  return (
+    routingEngine.splitsKOTs() &&
+    (job.options || {}).split !== false &&
+    getJobContent(job).type === "KOT"
+  );
+}
+
+/**
+ * Get the printer that gets the KOT items no station or rule claims: the
+ * printer or group the job was sent to, if it is mapped
+ * @param {Object} job - The print job
+ * @returns {string|null} Printer or group ID
+ */
+function getRouteFallback(job) {
+  const mapped =
+    !!config.printerMappings[job.printerId] || printerGroups.has(job.printerId);
+  return mapped ? job.printerId : null;
+}
+
+/**
+ * Print an order on every printer the routing rules send it to, each
+ * printer getting only the items routed to it
+ * @param {Object} job - The print job
+ * @returns {Promise<Object>} Combined result with the result of every route
+ */
+async function routeJob(job) {
+  const routes = routingEngine.route(
+    getJobContent(job),
+    new Date(),
+    getRouteFallback(job)
+  );
+
+  if (routes.length === 0) {
+    const error = "No routing rule matched the job";
+    console.error(`${error}: ${job.id || "unknown"}`);
+    jobEvents.publish(EVENT_TYPES.JOB_FAILED, {
+      ...getEventDetails(job),
+      error,
+    });
+    return { success: false, error };
+  }
+
+  // Print nothing rather than part of an order with items missing
+  const unrouted = routes.find((route) => route.unrouted);
+  if (unrouted) {
+    const error = `No printer for KOT items: ${unrouted.items
+      .map((item) => item.name)
+      .join(", ")}`;
+    console.error(`${error} (job ${job.id || "unknown"})`);
+    jobEvents.publish(EVENT_TYPES.JOB_FAILED, {
+      ...getEventDetails(job),
+      error,
+      unroutedItems: unrouted.items.map((item) => item.name),
+    });
+    return { success: false, error, unroutedItems: unrouted.items };
+  }
+
+  console.log(
+    `Routing job ${job.id || "unknown"} to ${routes
+      .map((route) => route.printer)
+      .join(", ")}`
+  );
+
+  // Journal the order itself, so its combined status is still reported
+  // when its parts are recovered after a restart
+  if (job.id) {
+    job.journalId = job.journalId || jobJournal.createJournalId();
+  }
+
+  const parts = routes.map((route, index) =>
+    createRoutedJob(job, route, index)
+  );
+  if (job.id) {
+    jobJournal.record(job.journalId, JOB_STATES.RECEIVED, {
+      job,
+      parts: parts.map((part) => part.id),
+      results: {},
+    });
+  }
+
+  const results = await runRoutedParts(
+    job,
+    parts.map((part) => ({ part, run: () => runJob(part) }))
+  );
+  const { failed, error } = finishRoutedJob(job, results);
+
+  return {
+    success: failed.length === 0,
+    error,
+    routes: routes.map((route, index) => ({
+      rules: route.rules,
+      label: route.label,
+      expo: !!route.expo,
+      printerId: results[index].printerId,
+      groupId: results[index].groupId || null,
+      items: route.items ? route.items.length : null,
+      success: results[index].success,
+      error: results[index].error || null,
+    })),
+  };
+}
+
+/**
+ * Run the parts of a routed order, recording each part's result in the
+ * order's journal entry as it finishes
+ * @param {Object} job - The routed print job
+ * @param {Array<{part: Object, run: Function}>} runs - Part jobs, each with
+ *   the function that prints it
+ * @returns {Promise<Array<Object>>} Results of the parts that were run
+ */
+async function runRoutedParts(job, runs) {
+  if (job.id) {
+    routedParts.set(
+      job.id,
+      runs.map(({ part }) => part.id)
+    );
+  }
+
+  try {
+    return await Promise.all(
+      runs.map(({ part, run }) =>
+        run().then((result) => {
+          recordRoutedResult(part, result);
+          return result;
+        })
+      )
+    );
+  } finally {
+    routedParts.delete(job.id);
+  }
+}
+
+/**
+ * Record the result of one part in its order's journal entry
+ * @param {Object} part - Part job from createRoutedJob
+ * @param {Object} result - Part result
+ * @returns {Object|null} The order's journal entry, or null if it has none
+ */
+function recordRoutedResult(part, result) {
+  const entry = part.parentJournalId
+    ? jobJournal.getJob(part.parentJournalId)
+    : null;
+  if (!entry || !entry.parts) return null;
+
+  jobJournal.record(entry.journalId, entry.state, {
+    results: {
+      ...entry.results,
+      [part.id]: {
+        success: !!result.success,
+        error: result.error || null,
+        cancelled: !!result.cancelled,
+        printerId: result.printerId || part.printerId,
+      },
+    },
+  });
+  return jobJournal.getJob(entry.journalId);
+}
+
+/**
+ * Report a routed order once from the results of all its parts, as
+ * cancelled only when every part was, and close its journal entry
+ * @param {Object} job - The routed print job
+ * @param {Array<Object>} results - Part results, in the order of the parts
+ * @returns {{failed: Array<Object>, error: string|null}}
+ */
+function finishRoutedJob(job, results) {
+  const failed = results.filter((result) => !result.success);
+  const error =
+    failed.length > 0
+      ? results
+          .filter((result) => !result.success)
+          .map((result) => `${result.printerId}: ${result.error}`)
+          .join("; ")
+      : null;
+  const cancelled = results.every((result) => result.cancelled);
+
+  if (job.id) {
+    jobJournal.record(
+      job.journalId,
+      cancelled
+        ? JOB_STATES.CANCELLED
+        : failed.length === 0
+        ? JOB_STATES.COMPLETED
+        : JOB_STATES.FAILED,
+      { error }
+    );
+  }
+  jobEvents.publish(
+    cancelled
+      ? EVENT_TYPES.JOB_CANCELLED
+      : failed.length === 0
+      ? EVENT_TYPES.JOB_COMPLETED
+      : EVENT_TYPES.JOB_FAILED,
+    { ...getEventDetails(job), error, parts: results.length }
+  );
+
+  return { failed, error };
+}
+
+/**
+ * Finish a routed order whose parts were interrupted by a restart: parts
+ * with a recorded result are not printed again, parts that never reached
+ * their printer are queued again, and the order is reported once every
+ * part is settled. Parts waiting for an operator's confirmation settle the
+ * order when they are confirmed.
+ * @param {Object} entry - The order's journal entry
+ * @param {Map<string, Object>} recoverable - Recoverable part entries by part ID
+ * @param {Set<string>} unconfirmed - IDs of parts waiting for confirmation
+ * @returns {Promise<void>}
+ */
+async function resumeRoutedJob(entry, recoverable, unconfirmed) {
+  const job = { ...entry.job, journalId: entry.journalId };
+  const runs = entry.parts
+    .filter((partId) => !entry.results[partId] && recoverable.has(partId))
+    .map((partId) => {
+      const partEntry = recoverable.get(partId);
+      const part = { ...partEntry.job, journalId: partEntry.journalId };
+      return { part, run: () => runJob(part) };
+    });
+
+  // A part that left the journal without a result ended while the agent
+  // was stopping; it is not printed again
+  for (const partId of entry.parts) {
+    if (
+      !entry.results[partId] &&
+      !recoverable.has(partId) &&
+      !unconfirmed.has(partId)
+    ) {
+      recordRoutedResult(
+        { id: partId, parentJournalId: entry.journalId },
+        { success: false, error: "Outcome lost when the agent stopped" }
+      );
+    }
+  }
+
+  await runRoutedParts(job, runs);
+  settleRoutedJob(entry.journalId);
+}
+
+/**
+ * Report a routed order if every one of its parts has a result
+ * @param {string} journalId - Journal ID of the order
+ */
+function settleRoutedJob(journalId) {
+  const entry = jobJournal.getJob(journalId);
+  if (!entry || !entry.parts) return;
+
+  const pending = entry.parts.filter((partId) => !entry.results[partId]);
+  if (pending.length > 0) {
+    logger.warn(
+      `Order ${entry.job.id} is waiting for ${pending.join(
+        ", "
+      )} to be confirmed before its status is reported`
+    );
+    return;
+  }
+
+  finishRoutedJob(
+    { ...entry.job, journalId },
+    entry.parts.map((partId) => entry.results[partId])
+  );
+}
+
+/**
+ * Work out where a job would print, without printing it
+ * @param {Object} job - Sample print job
+ * @param {Date} now - Time used for time of day conditions
+ * @returns {Object} Whether the routing rules were used, and the routes
+ */
+function dryRunRoute(job, now) {
+  const { type, body } = getJobContent(job);
+  const describeRoute = (route) => ({
+    printerId: route.printer,
+    group: printerGroups.has(route.printer),
+    rules: route.rules,
+    label: route.label || null,
+    expo: !!route.expo,
+    unrouted: !!route.unrouted,
+    items: route.items ? route.items.map((item) => item.name) : null,
+  });
+
+  if (!shouldRouteJob(job)) {
+    return {
+      routed: false,
+      contentType: type,
+      routes: job.printerId
+        ? [describeRoute({ printer: job.printerId, rules: [], items: null })]
+        : [],
+    };
+  }
+
+  return {
+    routed: true,
+    contentType: type,
+    routes: routingEngine
+      .route({ type, body }, now, getRouteFallback(job))
+      .map(describeRoute),
+  };
+}
+
+/**
+ * Parse the time a routing dry run is evaluated at
+ * @param {string} [at] - HH:MM today, an ISO date, or empty for now
+ * @returns {Date|null} Time, or null if it cannot be parsed
+ */
+function parseDryRunTime(at) {
+  if (!at) return new Date();
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(at);
+  if (match) {
+    const now = new Date();
+    now.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    return now;
+  }
+
+  const date = new Date(at);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Create the job for one route of an order. The route's label, such as
+ * "GRILL - Part 2 of 3", is printed on every copy. Each part has its own
+ * ID, e.g. "order-1#part-2", so it is journaled, recorded in the history
+ * and cancelled on its own.
+ * @param {Object} job - The routed print job
+ * @param {Object} route - Route from the routing engine
+ * @param {number} index - Position of the route
+ * @returns {Object} Job for the route's printer with only its items
+ */
+function createRoutedJob(job, route, index) {
+  const routedJob = {
+    ...job,
+    // Parts are told apart by their own IDs, not the order's key
+    idempotencyKey: undefined,
+    id: job.id ? `${job.id}#part-${index + 1}` : undefined,
+    journalId: undefined,
+    parentJobId: job.id || null,
+    parentJournalId: job.id ? job.journalId : null,
+    printerId: route.printer,
+    routedBy: route.rules,
+  };
+
+  if (route.label) {
+    const { copies, copyLabels } = getCopyOptions(job);
+    routedJob.copies = copies;
+    routedJob.copyLabels = Array.from({ length: copies }, (_, index) =>
+      copyLabels[index] ? `${copyLabels[index]} - ${route.label}` : route.label
+    );
+  }
+
+  if (route.items) {
+    const { type, body } = getJobContent(job);
+    const content = { type, content: { ...body, items: route.items } };
+
+    routedJob.content = content;
+    if (job.options && job.options.structuredContent) {
+      routedJob.options = { ...job.options, structuredContent: content };
+    }
+  }
+
+  return routedJob;
+}
+
+/**
+ * Journal, queue and retry a job until it prints or runs out of attempts
+ * @param {Object} job - The print job to run
+ * @returns {Promise<Object>} Result with success flag and error message
+ */
+async function runJob(job) {
+  // Journal the job before queueing it so it survives a restart
+  if (!job.journalId) {
+    job.journalId = jobJournal.createJournalId();
+    jobJournal.record(job.journalId, JOB_STATES.RECEIVED, { job });
+    jobEvents.publish(EVENT_TYPES.JOB_RECEIVED, {
+      ...getEventDetails(job),
+      contentType: detectContentType(
+        (job.options && job.options.structuredContent) || job.content
+      ),
+    });
+  }
+
+  // Resolve the printer up front so the job lands in the right queue
+  if (
+    job.printerId &&
+    !job.groupId &&
+    !config.printerMappings[job.printerId] &&
+    !printerGroups.has(job.printerId)
+  ) {
+    const defaultPrinterId = findDefaultPrinterId(job);
+    if (defaultPrinterId) {
+      console.log(
+        `Using default printer ${defaultPrinterId} instead of ${job.printerId}`
+      );
+      job.printerId = defaultPrinterId;
+    }
+  }
+
+  // Jobs for a group get a member picked again on every attempt, so a
+  // retry moves to another printer when the first one has gone down
+  if (job.groupId || printerGroups.has(job.printerId)) {
+    job.groupId = job.groupId || job.printerId;
+    const printerId = printerGroups.select(job.groupId);
+    if (printerId) {
+      console.log(`Using printer ${printerId} from group ${job.groupId}`);
+      job.printerId = printerId;
+    }
+  }
+
+  job.attempt = job.attempt || 1;
+  const priority = getJobPriority(job);
+  jobEvents.publish(EVENT_TYPES.JOB_QUEUED, {
+    ...getEventDetails(job),
+    priority,
+    attempt: job.attempt,
+  });
+
+  const result = await printQueue.enqueue(
+    job.printerId || "unassigned",
+    job,
+    priority
+  );
+
+  // Record the physical printer the job went to
+  result.printerId = job.printerId || null;
+  if (job.groupId) {
+    result.groupId = job.groupId;
+  }
+
+  // Printer failures are retried with backoff until the policy runs out
+  if (!result.success && result.retryable && hasRetriesLeft(job)) {
+    return retryJob(job, result);
+  }
+
+  if (result.cancelled) {
+    return finishCancelledJob(job, result);
+  }
+
+  // Keep jobs the printer could not take so they can be re-submitted later
+  if (!result.success && (result.retryable || result.timedOut)) {
+    const deadLetter = deadLetters.add(job, result.error, job.attempt);
+    console.error(
+      `Job ${job.id || "unknown"} moved to dead letters (${
+        deadLetter.id
+      }) after ${job.attempt} attempt(s)`
+    );
+  }
+
+  jobJournal.record(
+    job.journalId,
+    result.success ? JOB_STATES.COMPLETED : JOB_STATES.FAILED,
+    { error: result.error }
+  );
+
+  if (result.success) {
+    jobEvents.publish(EVENT_TYPES.JOB_COMPLETED, {
+      ...getEventDetails(job),
+      attempts: job.attempt,
+    });
+  } else {
+    jobEvents.publish(EVENT_TYPES.JOB_FAILED, {
+      ...getEventDetails(job),
+      error: result.error,
+      attempts: job.attempt,
+      timedOut: !!result.timedOut,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Wait for the backoff delay and queue a failed job again
+ * @param {Object} job - The print job that failed
+ * @param {Object} result - Result of the failed attempt
+ * @returns {Promise<Object>} Result of the next attempt
+ */
+async function retryJob(job, result) {
+  const policy = getRetryPolicy(job);
+  const delay = getRetryDelay(policy, job.attempt);
+
+  console.warn(
+    `Job ${job.id || "unknown"} attempt ${job.attempt}/${
+      policy.maxAttempts
+    } failed (${result.error}), retrying in ${delay}ms`
+  );
+  jobJournal.record(job.journalId, JOB_STATES.RETRYING, {
+    attempt: job.attempt,
+    error: result.error,
+  });
+  jobEvents.publish(EVENT_TYPES.JOB_RETRIED, {
+    ...getEventDetails(job),
+    attempt: job.attempt,
+    maxAttempts: policy.maxAttempts,
+    delay,
+    error: result.error,
+  });
+
+  // Wait for the backoff delay; the wait can be cut short by cancelJob
+  const cancelled = await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      retryingJobs.delete(job.journalId);
+      resolve(false);
+    }, delay);
+
+    retryingJobs.set(job.journalId, {
+      job,
+      cancel: () => {
+        clearTimeout(timer);
+        retryingJobs.delete(job.journalId);
+        resolve(true);
+      },
+    });
+  });
+
+  if (cancelled) {
+    return finishCancelledJob(job, {
+      success: false,
+      error: "Job cancelled",
+      cancelled: true,
+    });
+  }
+
+  job.attempt++;
+  return runJob(job);
+}
+
+/**
+ * Record a cancelled job and announce the cancellation
+ * @param {Object} job - The cancelled print job
+ * @param {Object} result - Cancellation result
+ * @returns {Object} The cancellation result
+ */
+function finishCancelledJob(job, result) {
+  console.log(`Job ${job.id || job.journalId} cancelled`);
+
+  jobJournal.record(job.journalId, JOB_STATES.CANCELLED);
+  jobEvents.publish(EVENT_TYPES.JOB_CANCELLED, {
+    ...getEventDetails(job),
+    error: result.error,
+  });
+
+  return result;
+}
+
+/**
+ * Cancel a job that has not started printing yet
+ * @param {string} id - Job ID or journal ID
+ * @returns {{cancelled: boolean, error: string|null}}
+ */
+function cancelJob(id) {
+  // An order split across printers is cancelled part by part
+  if (routedParts.has(id)) {
+    const results = routedParts.get(id).map((partId) => cancelJob(partId));
+    const cancelled = results.some((result) => result.cancelled);
+    return {
+      cancelled,
+      error: cancelled ? null : results[0].error,
+    };
+  }
+
+  // Scheduled jobs have not been queued yet
+  const scheduled = jobScheduler.cancel(id);
+  if (scheduled) {
+    console.log(`Scheduled job ${scheduled.jobId || scheduled.id} cancelled`);
+    jobEvents.publish(EVENT_TYPES.JOB_CANCELLED, {
+      ...getEventDetails(scheduled.job),
+      scheduleId: scheduled.id,
+    });
+    return { cancelled: true, error: null };
+  }
+
+  // Jobs waiting to be retried are not in any queue
+  for (const [journalId, waiting] of retryingJobs) {
+    if (waiting.job.id === id || journalId === id) {
+      waiting.cancel();
+      return { cancelled: true, error: null };
+    }
+  }
+
+  return printQueue.cancel(id);
+}
+
+/**
+ * Send data to a job's printer, journaling the send first so that an
+ * interrupted write is flagged for confirmation instead of being reprinted.
+ * The printer's status is checked before and after the send, since a printer
+ * with an open cover or no paper still accepts the data.
+ * @param {Object} job - The print job being sent
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @param {string} data - Data to send to the printer
+ * @param {AbortSignal} [signal] - Once aborted, the data is no longer sent
+ * @returns {Promise<{success: boolean, error: string|null, warning: string|null}>}
+ *   Whether the job printed, and any fault the printer reported afterwards
+ */
+async function sendToPrinter(job, printerConfig, data, signal) {
+  const statusBefore = await checkPrinterStatus(printerConfig);
+  if (statusBefore && !statusBefore.ok) {
+    printerHealth.record(printerConfig.id, {
+      reachable: true,
+      status: statusBefore,
+    });
+    return {
+      success: false,
+      error: handlePrinterFault(printerConfig, statusBefore),
+    };
+  }
+
+  if (signal && signal.aborted) {
+    return { success: false, error: "Job was abandoned after timing out" };
+  }
+
+  jobJournal.record(job.journalId, JOB_STATES.SENDING, {
+    printerId: printerConfig.id,
+  });
+
+  const startTime = Date.now();
+  const details = describeJob(job);
+  const sent = await getTransport(printerConfig).write(printerConfig, data, {
+    // Shown in the queue of office printers
+    jobName:
+      [details.type, details.invoice || details.kotNumber]
+        .filter(Boolean)
+        .join(" ") ||
+      job.id ||
+      "Print job",
+    signal,
+  });
+
+  const success = sent;
+  const error = sent ? null : "Failed to print";
+
+  // Paper running out or the cover opening mid-job only shows up afterwards.
+  // The printer has taken the job by then, so the fault is reported with the
+  // printer's health and the job is not sent again.
+  const statusAfter = sent ? await checkPrinterStatus(printerConfig) : null;
+  const warning =
+    statusAfter && !statusAfter.ok
+      ? handlePrinterFault(printerConfig, statusAfter)
+      : null;
+
+  // Keep the sent bytes so the job can be found and reprinted later
+  jobHistory.record(
+    {
+      id: job.journalId,
+      jobId: job.id || null,
+      printerId: printerConfig.id,
+      ...details,
+      status: success ? "completed" : "failed",
+      error,
+      warning,
+      sentAt: startTime,
+      durationMs: Date.now() - startTime,
+      reprintOf: job.reprintOf || null,
+    },
+    data
+  );
+
+  printerHealth.record(printerConfig.id, {
+    reachable: sent,
+    status: statusAfter,
+    error,
+  });
+  if (success) {
+    jobEvents.publish(EVENT_TYPES.JOB_SENT, {
+      ...getEventDetails(job),
+      printerId: printerConfig.id,
+      bytes: Buffer.byteLength(data, "binary"),
+      durationMs: Date.now() - startTime,
+      warning,
+    });
+  }
+
+  // A drawer that fails to open never fails the bill; the audit log shows it
+  if (success && shouldOpenDrawer(job, printerConfig)) {
+    await cashDrawer.open(printerConfig.id, {
+      source: "bill",
+      jobId: job.id,
+      invoice: details.invoice,
+    });
+  }
+
+  return { success, error, warning };
+}
+
+/**
+ * Check whether a printed job is a cash bill that opens the drawer of its
+ * printer. Printers need a "drawer" section, and reprints never open it.
+ * @param {Object} job - The print job that was sent
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @returns {boolean} True if the drawer should open
+ */
+function shouldOpenDrawer(job, printerConfig) {
+  const drawer = printerConfig.drawer;
+  if (!drawer || drawer.openOnCash === false) return false;
+
+  // Reprints from the history and forced reprints from the cloud
+  if (job.reprintOf || isForcedReprint(job)) return false;
+  if ((job.options || {}).openDrawer === false) return false;
+
+  const { type, body } = getJobContent(job);
+  return (
+    type === "BILL" &&
+    CashDrawer.isCashPayment(body.summary && body.summary.payment)
+  );
+}
+
+/**
+ * Send a drawer kick command straight to a printer
+ * @param {string} printerId - Printer the drawer is wired to
+ * @param {string} data - Kick command as a binary string
+ * @returns {Promise<{success: boolean, error: string|null}>} Whether the printer took the command
+ */
+async function sendDrawerKick(printerId, data) {
+  const printerConfig = getPrinterConfig(printerId);
+  if (!printerConfig) {
+    return { success: false, error: "Printer not found" };
+  }
+  if (
+    printerConfig.output !== "escpos" ||
+    printerConfig.capabilities.drawer === false
+  ) {
+    return { success: false, error: "Printer has no cash drawer port" };
+  }
+
+  const sent = await getTransport(printerConfig).write(printerConfig, data, {
+    jobName: "Cash drawer",
+  });
+  return { success: sent, error: sent ? null : "Failed to reach printer" };
+}
+
+/**
+ * Open the cash drawer of a printer on request
+ * @param {string} printerId - Printer the drawer is wired to
+ * @param {Object} details - Source, reason and user for the audit log
+ * @returns {Promise<Object>} Result with success flag, error message and audit ID
+ */
+async function openCashDrawer(printerId, details) {
+  if (!config.printerMappings[printerId]) {
+    return { success: false, error: "Printer not found", auditId: null };
+  }
+
+  return cashDrawer.open(printerId, details);
+}
+
+/**
+ * Probe a printer now, e.g. for the test button of the setup page
+ * @param {string} printerId - Mapped printer ID
+ * @returns {Promise<Object>} Result with success flag, error message and the printer's health
+ */
+async function testPrinterConnection(printerId) {
+  const printerConfig = getPrinterConfig(printerId);
+  if (!printerConfig || !getTransport(printerConfig)) {
+    return {
+      success: false,
+      error: "Printer is not configured correctly",
+      health: null,
+    };
+  }
+
+  // Many printers accept one connection only, so a busy one is left alone
+  if (printQueue.isBusy(printerId)) {
+    return {
+      success: false,
+      error: "Printer is busy printing, try again when it is idle",
+      health: printerHealth.get(printerId),
+    };
+  }
+
+  const health = await printerHealth.probe(printerConfig);
+  return { success: health.state === "online", error: health.error, health };
+}
+
+/**
+ * Print an alignment page, to check the paper width set for a printer
+ * @param {string} printerId - Mapped printer ID
+ * @returns {Promise<Object>} Result with success flag and error message
+ */
+async function printAlignmentPage(printerId) {
+  const printerConfig = getPrinterConfig(printerId);
+  if (!printerConfig) {
+    return { success: false, error: "Printer is not configured correctly" };
+  }
+  if (printerConfig.output === "pdf") {
+    return {
+      success: false,
+      error: "Alignment pages are printed on ESC/POS and text printers only",
+    };
+  }
+
+  const formatter = getFormatter(printerConfig);
+  const page = formatter.formatAlignmentPage({
+    printerId,
+    name: printerConfig.name,
+    profile: printerConfig.profile.id,
+    paperWidth: printerConfig.paperWidth,
+  });
+
+  return runJob({
+    printerId,
+    content:
+      printerConfig.output === "text"
+        ? Buffer.from(
+            formatter.stripControlCodes(page) + "\f",
+            "utf8"
+          ).toString("binary")
+        : formatter.addCuttingCommands(page),
+    options: { priority: "urgent" },
+  });
+}
+
+/**
+ * Query a printer's ESC/POS status, unless status checks are turned off
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.probe] - Health probe: do not keep a connection open to the printer
+ * @returns {Promise<Object|null>} Decoded status, or null if unknown
+ */
+async function checkPrinterStatus(printerConfig, options = {}) {
+  // Status is only read back from network printers
+  if (
+    !config.printerStatusCheck ||
+    getTransport(printerConfig) !== connectionPool ||
+    printerConfig.statusCheck === false ||
+    printersWithoutStatus.has(printerConfig.id)
+  ) {
+    return null;
+  }
+
+  // Ask over the pooled connection; many printers accept only one at a time
+  const query = async (socket) => {
+    const status = await PrinterStatus.read(socket, {
+      timeout: config.printerStatusTimeout,
+    });
+
+    // Only a query the printer ignored on a working connection counts
+    // against it; several in a row mean it does not support them
+    if (status) {
+      unansweredStatusQueries.delete(printerConfig.id);
+    } else if (!socket.destroyed) {
+      const unanswered =
+        (unansweredStatusQueries.get(printerConfig.id) || 0) + 1;
+      unansweredStatusQueries.set(printerConfig.id, unanswered);
+
+      if (unanswered >= MAX_UNANSWERED_STATUS_QUERIES) {
+        logger.warn(
+          `Printer ${printerConfig.id} did not answer ${unanswered} status queries in a row; no longer querying it`
+        );
+        printersWithoutStatus.add(printerConfig.id);
+      }
+    }
+
+    return status;
+  };
+
+  return (
+    options.probe
+      ? connectionPool.probe(printerConfig, query)
+      : connectionPool.use(printerConfig, query)
+  ).catch(() => null);
+}
+
+/**
+ * Act on a printer fault. A printer that needs an operator (cover open or
+ * out of paper) is held so its jobs wait instead of using up their retries.
+ * @param {Object} printerConfig - Printer configuration from getPrinterConfig
+ * @param {Object} status - Decoded printer status
+ * @returns {string} Error message for the job
+ */
+function handlePrinterFault(printerConfig, status) {
+  const error = status.errors[0];
+  logger.error(`Printer ${printerConfig.id}: ${status.errors.join(", ")}`);
+
+  if (status.coverOpen || status.paperOut) {
+    logger.warn(
+      `Holding printer ${printerConfig.id} until it is released after the fault is fixed`
+    );
+    printQueue.hold(printerConfig.id);
+  }
+
+  return error;
+}
+
+/**
+ * Get the content type and the body (header, items, ...) of a job's content
+ * @param {Object} job - The print job
+ * @returns {{type: string, body: Object}} Content type and body
+ */
+function getJobContent(job) {
+  let content =
+    (job.options && job.options.structuredContent) || job.content || {};
+  if (typeof content === "string") {
+    try {
+      content = JSON.parse(content);
+    } catch (error) {
+      content = {};
+    }
+  }
+
+  const type = detectContentType(content);
+  const body = content.type && content.content ? content.content : content;
+
+  return { type, body: body && typeof body === "object" ? body : {} };
+}
+
+/**
+ * Extract the searchable details of a job's content for the job history
+ * @param {Object} job - The print job
+ * @returns {Object} Type, KOT/bill number, customer name and order type
+ */
+function describeJob(job) {
+  // Reprints carry the details of the job they reprint
+  if (job.historyDetails) {
+    return job.historyDetails;
+  }
+
+  const { type, body } = getJobContent(job);
+  const header = body.header || {};
+
+  return {
+    type,
+    kotNumber: header.kotNumber || null,
+    invoice: header.invoice || null,
+    customerName: header.customerName || null,
+    orderType: header.orderType || null,
+  };
+}
+
+/**
+ * Send the stored bytes of a history entry to a printer again
+ * @param {string} id - History entry ID
+ * @param {string} [printerId] - Printer to use instead of the original one
+ * @returns {Promise<Object>} Result with success flag and error message
+ */
+async function reprintFromHistory(id, printerId) {
+  const entry = jobHistory.get(id);
+  const data = entry ? jobHistory.getData(id) : null;
+
+  if (!entry || data === null) {
+    return { success: false, error: "History entry not found" };
+  }
+
+  logger.info(`Reprinting history entry ${id}`);
+
+  return processJob({
+    printerId: printerId || entry.printerId,
+    content: data,
+    options: {},
+    force: true,
+    reprintOf: id,
+    historyDetails: {
+      type: entry.type,
+      kotNumber: entry.kotNumber,
+      invoice: entry.invoice,
+      customerName: entry.customerName,
+      orderType: entry.orderType,
+    },
+  });
+}
+
+/**
+ * Format and print a single job
+ * @param {Object} job - The print job to execute
+ * @param {AbortSignal} [signal] - Aborted when the print queue gives up on
+ *   the job; the job is then not sent, since it has already failed
+ * @returns {Promise<Object>} Result with success flag and error message
+ */
+async function executeJob(job, signal) {
+  const startTime = Date.now();
+  const abandoned = () => !!signal && signal.aborted;
+
+  try {
+    console.log(`Started processing job: ${job.id || "unknown"}`);
+
+    // Generate a cache key based on job content, copies and template
+    const cacheKey =
+      job.printerId +
+      "-" +
+      JSON.stringify(job.content) +
+      "-" +
+      JSON.stringify(getCopyOptions(job)) +
+      "-" +
+      ((job.options && job.options.template) || "");
+
+    // Check if we have a cached response
+    const cachedResponse = jobCache.get(cacheKey);
+    if (cachedResponse && Date.now() - cachedResponse.timestamp < CACHE_TTL) {
+      console.log(
+        `Using cached formatted content for job: ${job.id || "unknown"}`
+      );
+
+      // Still print the cached content
+      const printerConfig = getPrinterConfig(job.printerId);
+      const { success, error } = await sendToPrinter(
+        job,
+        printerConfig,
+        cachedResponse.formattedContent,
+        signal
+      );
+
+      const result = {
+        success,
+        error,
+        retryable: !success,
+      };
+      console.log(
+        `Completed job ${job.id || "unknown"} from cache in ${
+          Date.now() - startTime
+        }ms`
+      );
+      return result;
+    }
+
+    console.log(`Processing job: ${job.id || "unknown"}`);
+
+    // Validate job object
+    if (!job) {
+      console.error("Job object is undefined");
+      return { success: false, error: "Job object is undefined" };
+    }
+
+    // Get printer mapping
+    const printerId = job.printerId;
+    if (!printerId) {
+      console.error("Printer ID is undefined");
+      return { success: false, error: "Printer ID is undefined" };
+    }
+
+    // Check if printer exists in mappings (processJob has already tried a default)
+    if (!config.printerMappings[printerId]) {
+      console.error(`Printer ${printerId} not found in mappings`);
+      return { success: false, error: "Printer not found in mappings" };
+    }
+
+    const printerConfig = getPrinterConfig(job.printerId);
+
+    if (!printerConfig) {
+      console.error(
+        `No printer configuration found for printer ID: ${job.printerId}`
+      );
+      return { success: false, error: "Printer not configured" };
+    }
+
+    if (!getTransport(printerConfig)) {
+      const error = `Unsupported printer type: ${printerConfig.type}`;
+      console.error(error);
+      return { success: false, error };
+    }
+
+    if (
+      printerConfig.output !== "escpos" &&
+      !OUTPUT_FORMATS[printerConfig.output]
+    ) {
+      const error = `Unsupported printer output: ${printerConfig.output}`;
+      console.error(error);
+      return { success: false, error };
+    }
+
+    // Parse the content and options
+    let content = job.content;
+    const options = job.options || {};
+
+    console.log("Original content type:", typeof content);
+    if (typeof content === "string") {
+      console.log(
+        "Original content (first 100 chars):",
+        content.substring(0, 100)
+      );
+    } else if (content && typeof content === "object") {
+      console.log(
+        "Original content (object):",
+        JSON.stringify(content).substring(0, 100)
+      );
+    } else {
+      console.log("Original content: undefined or null");
+    }
+
+    // Handle direct JSON object in content field
+    if (content && typeof content === "object") {
+      // If content is already an object with type and content properties, use it directly
+      if (content.type && content.content) {
+        console.log(
+          `Content is already a structured object with type: ${content.type}`
+        );
+      }
+      // If content is a raw object without type/content structure, wrap it
+      else if (!content.type && !content.content) {
+        console.log(
+          "Content is a raw object, wrapping it with proper structure"
+        );
+        // Try to determine the type based on content properties
+        const type = detectContentType(content);
+
+        // Wrap the content in a proper structure
+        content = {
+          type: type,
+          content: content,
+        };
+      }
+    }
+    // Clean up content if it's a string with "VA" prefixes
+    else if (typeof content === "string") {
+      try {
+        // First, try to parse the content directly as JSON
+        content = JSON.parse(content);
+        console.log("Successfully parsed content from JSON string");
+      } catch (parseError) {
+        console.warn("Initial JSON parse failed:", parseError.message);
+
+        // Handle the specific pattern with multiple VA prefixes
+        // First, try to extract the first valid JSON object
         const jsonRegex = /\{.*?\}/;
         const match = content.match(jsonRegex);
 
@@ -504,29 +2475,23 @@ async function processJob(job) {
     // Check if content is defined
     if (!content && !rawData) {
       console.error("Print content and raw data are undefined");
-      if (job.id) {
-        await updateJobStatus(job.id, false, "Print content is undefined");
-      }
       return { success: false, error: "Print content is undefined" };
     }
 
     // Handle direct string content (for test prints)
     if (typeof content === "string" && !content.trim().startsWith("{")) {
-      const success = await printToTCPPrinter(
-        printerConfig.ipAddress,
-        printerConfig.port || 9100,
-        content
+      const { success, error } = await sendToPrinter(
+        job,
+        printerConfig,
+        content,
+        signal
       );
 
-      if (job.id) {
-        await updateJobStatus(
-          job.id,
-          success,
-          success ? null : "Failed to print"
-        );
-      }
-
-      return { success, error: success ? null : "Failed to print" };
+      return {
+        success,
+        error,
+        retryable: !success,
+      };
     }
 
     // Handle raw data if it's a base64 string and no structured content is available
@@ -538,23 +2503,17 @@ async function processJob(job) {
         try {
           // Try to decode the base64 data
           const decodedData = Buffer.from(rawData, "base64").toString("utf8");
-          const success = await printToTCPPrinter(
-            printerConfig.ipAddress,
-            printerConfig.port || 9100,
-            decodedData
+          const { success, error } = await sendToPrinter(
+            job,
+            printerConfig,
+            decodedData,
+            signal
           );
 
-          if (job.id) {
-            await updateJobStatus(
-              job.id,
-              success,
-              success ? null : "Failed to print raw data"
-            );
-          }
-
           return {
             success,
-            error: success ? null : "Failed to print raw data",
+            error,
+            retryable: !success,
           };
         } catch (error) {
           console.error("Error decoding raw data:", error);
@@ -563,50 +2522,56 @@ async function processJob(job) {
       }
     }
 
-    // Extract paper width from the job
-    const paperWidth = extractPaperWidth(job);
+    // Office printers use their own paper, whatever the job asks for
+    const paperWidth =
+      (printerConfig.output === "escpos" && extractPaperWidth(job)) ||
+      printerConfig.paperWidth;
     console.log(
       `Using paper width: ${paperWidth} for job:`,
       job.id || "unknown"
     );
 
-    // Get format rules for the paper width
-    const formatConfig = formatRules[paperWidth] || formatRules.MM_58;
+    jobJournal.record(job.journalId, JOB_STATES.FORMATTING);
 
-    // Update formatter configuration
-    formatter.updateConfig(formatConfig);
+    // Get the formatter for the printer's profile and the paper width
+    const formatter = getFormatter(printerConfig, paperWidth);
+    const copyOptions = getCopyOptions(job);
 
     // Format the content based on type
     let formattedContent = "";
-    const printFormat = job.options.printFormat || "TEXT";
+    let printFormat =
+      OUTPUT_FORMATS[printerConfig.output] || options.printFormat || "TEXT";
+    if (
+      printFormat === "IMAGE" &&
+      printerConfig.capabilities.raster === false
+    ) {
+      console.warn(
+        `Printer ${printerConfig.id} cannot print images, printing job ${
+          job.id || "unknown"
+        } as text`
+      );
+      printFormat = "TEXT";
+    }
 
     // Check if we have structured content with type and content properties
     if (content && content.type && content.content) {
       console.log(`Formatting structured ${content.type} content`);
-      if (content.type === "KOT") {
-        if (printFormat === "TEXT") {
-          formattedContent = await formatter.printContentAsText(
-            content.content,
-            "kot"
-          );
-        } else if (printFormat === "IMAGE") {
-          formattedContent = await formatter.printContentAsImage(
-            content.content,
-            "kot"
-          );
-        }
-      } else if (content.type === "BILL") {
-        if (printFormat === "TEXT") {
-          formattedContent = await formatter.printContentAsText(
-            content.content,
-            "bill"
-          );
-        } else if (printFormat === "IMAGE") {
-          formattedContent = await formatter.printContentAsImage(
-            content.content,
-            "bill"
-          );
-        }
+      if (content.type === "KOT" || content.type === "BILL") {
+        formattedContent = await formatContent(
+          formatter,
+          printFormat,
+          content.content,
+          content.type.toLowerCase(),
+          {
+            ...copyOptions,
+            pageSize: printerConfig.pageSize,
+            template: getTemplateName(
+              job,
+              printerConfig,
+              content.type.toLowerCase()
+            ),
+          }
+        );
       } else {
         console.warn(`Unknown content type: ${content.type}`);
         // Try to format as generic content
@@ -618,81 +2583,33 @@ async function processJob(job) {
       formattedContent = JSON.stringify(content, null, 2);
     }
 
+    jobEvents.publish(EVENT_TYPES.JOB_FORMATTED, {
+      ...getEventDetails(job),
+      contentType: content && content.type ? content.type : null,
+      printFormat,
+      copies: copyOptions.copies,
+    });
+
     console.log(
       "Formatted content preview (first 100 chars):",
       formattedContent.substring(0, 100)
     );
 
     // Print the formatted content
-    const success = await printToTCPPrinter(
-      printerConfig.ipAddress,
-      printerConfig.port || 9100,
-      formattedContent
+    const { success, error } = await sendToPrinter(
+      job,
+      printerConfig,
+      formattedContent,
+      signal
     );
 
-    // Update job status with formatted content
+    // Keep the formatted content to store along with the job's outcome
+    if (reportsStatus(job) && !abandoned()) {
+      formattedContents.set(job.journalId, formattedContent);
+    }
     if (success) {
-      if (job.id) {
-        // Store the formatted content when updating job status
-        await updateJobStatus(job.id, true, null, formattedContent);
-
-        // Also update the job in the database with the formatted content
-        try {
-          const apiUrl = process.env.API_URL;
-          const url = `${apiUrl}/print-jobs/${job.id}/formatted-content`;
-
-          await fetch(url, {
-            method: "PUT",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${process.env.API_TOKEN}`,
-            },
-            body: JSON.stringify({
-              formattedContent: formattedContent,
-            }),
-          });
-
-          console.log(`Updated job ${job.id} with formatted content`);
-        } catch (error) {
-          console.error(
-            `Error updating job with formatted content: ${error.message}`
-          );
-        }
-      }
       console.log(`Job ${job.id || "unknown"} printed successfully`);
     } else {
-      if (job.id) {
-        // Store the formatted content even when the job fails
-        await updateJobStatus(
-          job.id,
-          false,
-          "Failed to print",
-          formattedContent
-        );
-
-        // Also update the job in the database with the formatted content
-        try {
-          const apiUrl = process.env.API_URL;
-          const url = `${apiUrl}/print-jobs/${job.id}/formatted-content`;
-
-          await fetch(url, {
-            method: "PUT",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${process.env.API_TOKEN}`,
-            },
-            body: JSON.stringify({
-              formattedContent: formattedContent,
-            }),
-          });
-
-          console.log(`Updated failed job ${job.id} with formatted content`);
-        } catch (error) {
-          console.error(
-            `Error updating failed job with formatted content: ${error.message}`
-          );
-        }
-      }
       console.error(`Failed to print job ${job.id || "unknown"}`);
     }
 
@@ -708,133 +2625,17 @@ async function processJob(job) {
     console.log(
       `Completed job ${job.id || "unknown"} in ${Date.now() - startTime}ms`
     );
-    return { success, error: success ? null : "Failed to print" };
+    return {
+      success,
+      error,
+      retryable: !success,
+    };
   } catch (error) {
     console.error(`Error processing job ${job.id || "unknown"}:`, error);
-    if (job && job.id) {
-      await updateJobStatus(job.id, false, error.message);
-    }
     return { success: false, error: error.message };
-  } finally {
-    isProcessingJob = false;
-
-    // Process next job from queue if any
-    if (pendingJobs.length > 0) {
-      const nextJob = pendingJobs.shift();
-      console.log(
-        `Processing next job from queue (${pendingJobs.length} remaining)`
-      );
-      processJob(nextJob.job).then(nextJob.resolve);
-    }
   }
 }
 
-// Modified printToTCPPrinter function
-function printToTCPPrinter(ipAddress, port, data) {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-    try {
-      const key = `${ipAddress}:${port}`;
-      let client;
-
-      // Check if we have an existing connection
-      if (
-        printerConnections.has(key) &&
-        printerConnections.get(key).connected
-      ) {
-        client = printerConnections.get(key);
-        console.log(`Reusing existing printer connection to ${key}`);
-      } else {
-        client = new net.Socket();
-        client.setTimeout(3000);
-
-        // Store in connection pool
-        printerConnections.set(key, client);
-
-        // Connect to printer
-        client.connect(port, ipAddress);
-      }
-
-      let resolved = false;
-
-      client.on("connect", () => {
-        console.log(
-          `Connected to printer at ${ipAddress}:${port} in ${
-            Date.now() - startTime
-          }ms`
-        );
-
-        try {
-          // Convert string to buffer, preserving binary data
-          const buffer = Buffer.from(data, "binary");
-
-          // Send data with higher buffer size
-          client.bufferSize = 65536; // 64KB buffer
-          client.write(buffer, (err) => {
-            if (err) {
-              console.error("Error writing to printer:", err);
-              client.end();
-              if (!resolved) {
-                resolved = true;
-                resolve(false);
-              }
-            } else {
-              console.log(
-                `Data sent to printer in ${Date.now() - startTime}ms`
-              );
-              client.end();
-              if (!resolved) {
-                resolved = true;
-                resolve(true);
-              }
-            }
-          });
-        } catch (error) {
-          console.error("Error preparing data for printer:", error);
-          client.end();
-          if (!resolved) {
-            resolved = true;
-            resolve(false);
-          }
-        }
-      });
-
-      client.on("timeout", () => {
-        console.error(
-          `Connection to printer at ${ipAddress}:${port} timed out`
-        );
-        client.destroy();
-        if (!resolved) {
-          resolved = true;
-          resolve(false);
-        }
-      });
-
-      client.on("error", (err) => {
-        console.error(
-          `Error connecting to printer at ${ipAddress}:${port}:`,
-          err.message
-        );
-        if (!resolved) {
-          resolved = true;
-          resolve(false);
-        }
-      });
-
-      client.on("close", () => {
-        console.log(`Connection to printer at ${ipAddress}:${port} closed`);
-        if (!resolved) {
-          resolved = true;
-          resolve(false);
-        }
-      });
-    } catch (error) {
-      console.error(`Error in printToTCPPrinter:`, error);
-      resolve(false);
-    }
-  });
-}
-
 // WebSocket connection for real-time print jobs
 let ws;
 let wsReconnectTimeout;
@@ -870,19 +2671,39 @@ function connectWebSocket() {
             `Received print job via WebSocket: ${message.substring(0, 100)}...`
           );
 
-          // Create a job object
+          // Create a job object, keeping the cloud's job ID when it is sent
+          // so the same job arriving through polling is recognised
           const job = {
-            id: "ws-" + Date.now(),
+            id: data.jobId || data.id || "ws-" + Date.now(),
+            idempotencyKey: data.idempotencyKey,
+            force: data.force,
             printerId: data.printerId,
             content: data.content,
             options: data.options || {}, // Ensure options exists
           };
 
           // Process the job
-          await processJob(job);
+          const result = await processJob(job);
 
           // Send success response
-          ws.send(JSON.stringify({ success: true }));
+          ws.send(
+            JSON.stringify({ success: true, duplicate: !!result.duplicate })
+          );
+        } else if (data.type === "open_drawer") {
+          const result = await openCashDrawer(data.printerId, {
+            source: "websocket",
+            reason: data.reason,
+            user: data.user,
+          });
+
+          ws.send(
+            JSON.stringify({
+              type: "drawer_result",
+              requestId: data.requestId,
+              printerId: data.printerId,
+              ...result,
+            })
+          );
         }
       } catch (error) {
         logger.error("Error processing WebSocket message:", error);
@@ -942,7 +2763,16 @@ async function pollPrintJobs() {
     if (printJobs && printJobs.length > 0) {
       logger.info(`Found ${printJobs.length} pending print jobs`);
 
-      for (const printJob of printJobs) {
+      // Hand every job to its printer's queue without waiting for it, so
+      // that a slow or offline printer does not hold up polling for the
+      // others. Jobs still printing from an earlier poll are skipped.
+      printJobs.forEach((printJob) => {
+        const idempotencyKey = printJob && getIdempotencyKey(printJob);
+        if (idempotencyKey && idempotencyStore.isPending(idempotencyKey)) {
+          logger.debug(`Job ${idempotencyKey} is already being printed`);
+          return;
+        }
+
         // Log the received print job
         logger.info(
           "Received print job via polling:",
@@ -967,12 +2797,16 @@ async function pollPrintJobs() {
             content: printJob.content,
           };
 
-          await processJob(formattedJob);
+          processJob(formattedJob).catch((error) => {
+            logger.error("Error processing polled print job:", error);
+          });
         } else {
           // Process the job as is
-          await processJob(printJob);
+          processJob(printJob).catch((error) => {
+            logger.error("Error processing polled print job:", error);
+          });
         }
-      }
+      });
     } else {
       logger.debug("No pending print jobs found");
     }
@@ -984,6 +2818,70 @@ async function pollPrintJobs() {
   pollTimeout = setTimeout(pollPrintJobs, config.pollInterval);
 }
 
+// Host names a request made on this machine is addressed to
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Check whether a token is the agent's API token
+ * @param {string} token - Token sent with a request
+ * @returns {boolean} True if an API token is set and the token matches it
+ */
+function isApiToken(token) {
+  if (!config.apiToken || typeof token !== "string") return false;
+
+  const expected = Buffer.from(config.apiToken);
+  const actual = Buffer.from(token);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+/**
+ * Check whether a request comes from this machine itself: from a loopback
+ * address, addressed to a local host name, not forwarded by a tunnel such
+ * as ngrok, and not sent by a page from another site
+ * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade request
+ * @returns {boolean} True if the request is local
+ */
+function isLocalRequest(req) {
+  const address = (req.socket.remoteAddress || "").replace(/^::ffff:/, "");
+  if (address !== "127.0.0.1" && address !== "::1") return false;
+  if (req.headers["x-forwarded-for"] || req.headers.forwarded) return false;
+
+  const host = (req.headers.host || "").replace(/:\d+$/, "");
+  if (!LOCAL_HOSTS.includes(host)) return false;
+
+  // Browsers send the origin of the page making the request
+  const origin = req.headers.origin;
+  return !origin || origin === `http://${req.headers.host}`;
+}
+
+/**
+ * Check whether a request may open the cash drawer or change the printers:
+ * it carries the API token as a Bearer token, or it is local
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean} True if the request is authorized
+ */
+function isAuthorized(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return (scheme === "Bearer" && isApiToken(token)) || isLocalRequest(req);
+}
+
+/**
+ * Answer a request that is not authorized
+ * @param {http.ServerResponse} res - HTTP response
+ */
+function sendUnauthorized(res) {
+  res.writeHead(401, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      success: false,
+      error: "Send the API token as a Bearer token, or call from this machine",
+    })
+  );
+}
+
 // Create HTTP server for status page and browser integration
 const server = http.createServer((req, res) => {
   // Add CORS headers to all responses
@@ -1006,15 +2904,29 @@ const server = http.createServer((req, res) => {
     res.end(
       JSON.stringify({
         status: "running",
+        unconfirmedJobs: jobJournal.getUnconfirmedJobs().length,
+        queues: printQueue.getStatus(),
+        groups: printerGroups.getStatus(),
+        connections: connectionPool.getStatus(),
         config: {
           ...config,
           apiToken: config.apiToken ? "***" : null,
         },
       })
     );
-  } else if (req.url === "/printers") {
+  } else if (req.url === "/printers" && req.method === "GET") {
+    // Printers keyed by ID, with their address and health
+    const printers = {};
+    for (const { id, ...printer } of listPrinters()) {
+      printers[id] = printer;
+    }
+
     res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify(config.printerMappings));
+    res.end(JSON.stringify(printers));
+  } else if (req.url === "/printer-groups") {
+    // Groups keyed by ID, with each member's availability and load
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(printerGroups.getStatus()));
   } else if (req.url === "/") {
     res.writeHead(200, { "Content-Type": "text/html" });
     res.end(`
@@ -1056,9 +2968,9 @@ const server = http.createServer((req, res) => {
           
           <h2>Configured Printers</h2>
           <div class="printers">
-            ${Object.entries(config.printerMappings)
+            ${listPrinters()
               .map(
-                ([id, address]) => `
+                ({ id, address }) => `
               <div class="printer-item">
                 <strong>${id}:</strong> ${address}
               </div>
@@ -1066,6 +2978,7 @@ const server = http.createServer((req, res) => {
               )
               .join("")}
           </div>
+          <a href="/setup" class="button">Manage Printers</a>
           
           <h2>Test Print</h2>
           <form id="testPrintForm">
@@ -1146,6 +3059,510 @@ const server = http.createServer((req, res) => {
         </body>
       </html>
     `);
+  } else if (req.url === "/setup" && req.method === "GET") {
+    // Page to add, edit, rename, test and delete printers
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(`
+      <html>
+        <head>
+          <title>Printer Setup - Restaurant Print Agent</title>
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { font-family: Arial, sans-serif; margin: 20px; }
+            h1 { color: #333; }
+            table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
+            th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+            th { background: #f0f0f0; }
+            .card { padding: 15px; background: #f0f0f0; border-radius: 5px; max-width: 480px; }
+            .form-group { margin-bottom: 10px; }
+            label { display: block; margin-bottom: 4px; font-weight: bold; }
+            input[type=text], input[type=number], select { width: 100%; padding: 6px; }
+            button {
+              padding: 6px 10px;
+              background-color: #4CAF50;
+              color: white;
+              border: none;
+              border-radius: 4px;
+              cursor: pointer;
+              margin: 2px;
+            }
+            button.secondary { background-color: #607d8b; }
+            button.danger { background-color: #d9534f; }
+            .status { padding: 10px; border-radius: 4px; margin: 15px 0; display: none; white-space: pre-wrap; }
+            .success { background-color: #dff0d8; color: #3c763d; }
+            .error { background-color: #f2dede; color: #a94442; }
+            .online { color: #3c763d; }
+            .offline, .health-error { color: #a94442; }
+          </style>
+        </head>
+        <body>
+          <h1>Printer Setup</h1>
+          <p><a href="/">Back to status</a></p>
+
+          <div id="statusMessage" class="status"></div>
+
+          <table>
+            <thead>
+              <tr><th>ID</th><th>Type</th><th>Address</th><th>Health</th><th>Actions</th></tr>
+            </thead>
+            <tbody id="printerRows"></tbody>
+          </table>
+
+          <h2 id="formTitle">Add Printer</h2>
+          <form id="printerForm" class="card">
+            <div class="form-group">
+              <label for="id">Printer ID</label>
+              <input type="text" id="id" required>
+            </div>
+            <div class="form-group">
+              <label for="name">Name</label>
+              <input type="text" id="name">
+            </div>
+            <div class="form-group">
+              <label for="type">Type</label>
+              <select id="type">
+                <option value="tcp">Network (tcp)</option>
+                <option value="usb">USB (usb)</option>
+                <option value="serial">Serial (serial)</option>
+                <option value="ipp">Office printer (ipp)</option>
+                <option value="lpd">Office printer (lpd)</option>
+              </select>
+            </div>
+            <div class="form-group" data-types="tcp lpd">
+              <label for="ipAddress">IP address</label>
+              <input type="text" id="ipAddress">
+            </div>
+            <div class="form-group" data-types="tcp lpd">
+              <label for="port">Port</label>
+              <input type="number" id="port" placeholder="9100 (tcp), 515 (lpd)">
+            </div>
+            <div class="form-group" data-types="usb serial">
+              <label for="path">Device path</label>
+              <input type="text" id="path" placeholder="/dev/usb/lp0">
+            </div>
+            <div class="form-group" data-types="ipp">
+              <label for="url">URL</label>
+              <input type="text" id="url" placeholder="ipp://localhost:631/printers/Office">
+            </div>
+            <div class="form-group" data-types="lpd">
+              <label for="queue">Queue</label>
+              <input type="text" id="queue" placeholder="lp">
+            </div>
+            <div class="form-group">
+              <label for="output">Output</label>
+              <select id="output">
+                <option value="">Default for the type</option>
+                <option value="escpos">ESC/POS</option>
+                <option value="pdf">PDF</option>
+                <option value="text">Plain text</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="profile">Profile</label>
+              <select id="profile">
+                <option value="">Generic for the paper width</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="paperWidth">Paper width</label>
+              <select id="paperWidth">
+                <option value="">Profile's paper width</option>
+                <option value="MM_58">58 mm</option>
+                <option value="MM_76">76 mm</option>
+                <option value="MM_80">80 mm</option>
+                <option value="A4">A4</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="capStatus">Status queries</label>
+              <select id="capStatus" class="capability">
+                <option value="">Profile default</option>
+                <option value="true">Yes</option>
+                <option value="false">No</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="capDrawer">Cash drawer</label>
+              <select id="capDrawer" class="capability">
+                <option value="">Profile default</option>
+                <option value="true">Yes</option>
+                <option value="false">No</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="capRaster">Images</label>
+              <select id="capRaster" class="capability">
+                <option value="">Profile default</option>
+                <option value="true">Yes</option>
+                <option value="false">No</option>
+              </select>
+            </div>
+            <button type="submit" id="saveButton">Add Printer</button>
+            <button type="button" class="secondary" id="cancelButton" style="display:none;">Cancel</button>
+          </form>
+
+          <h2>Find Printers</h2>
+          <p>Scan the network for printers. Leave the subnets empty to scan the network this machine is on.</p>
+          <form id="discoverForm">
+            <input type="text" id="subnets" placeholder="192.168.1.0/24, 10.0.0.0/24" style="max-width: 320px;">
+            <button type="submit" id="discoverButton">Scan Network</button>
+          </form>
+          <table id="devicesTable" style="display:none;">
+            <thead>
+              <tr><th>IP Address</th><th>Ports</th><th>Printer</th><th>Mapped As</th><th>Actions</th></tr>
+            </thead>
+            <tbody id="deviceRows"></tbody>
+          </table>
+
+          <script>
+            // Settings the form edits; the address fields only apply to some types
+            const FIELDS = ['name', 'ipAddress', 'port', 'path', 'url', 'queue', 'output', 'profile', 'paperWidth'];
+            // Capability selects; an empty value leaves it to the profile
+            const CAPABILITIES = { capStatus: 'status', capDrawer: 'drawer', capRaster: 'raster' };
+            const ADDRESS_FIELDS = {
+              tcp: ['ipAddress', 'port'],
+              lpd: ['ipAddress', 'port', 'queue'],
+              usb: ['path'],
+              serial: ['path'],
+              ipp: ['url']
+            };
+
+            // Printer being edited, as stored in the mappings file
+            let editing = null;
+
+            function showStatus(message, success) {
+              const status = document.getElementById('statusMessage');
+              status.textContent = message;
+              status.className = 'status ' + (success ? 'success' : 'error');
+              status.style.display = 'block';
+            }
+
+            function showResult(result, message) {
+              if (result.success) {
+                showStatus(message, true);
+              } else {
+                showStatus([result.error].concat(result.errors || []).join('\\n'), false);
+              }
+              return result;
+            }
+
+            // Pages opened from another machine need the API token to
+            // change printers; it is asked for once and kept for the session
+            function request(method, url, body, retried) {
+              const headers = { 'Content-Type': 'application/json' };
+              const token = sessionStorage.getItem('apiToken');
+              if (token) headers.Authorization = 'Bearer ' + token;
+
+              return fetch(url, {
+                method: method,
+                headers: headers,
+                body: body ? JSON.stringify(body) : undefined
+              }).then(response => {
+                if (response.status === 401) sessionStorage.removeItem('apiToken');
+                if (response.status === 401 && !retried) {
+                  const entered = prompt('API token of the print agent');
+                  if (entered) {
+                    sessionStorage.setItem('apiToken', entered);
+                    return request(method, url, body, true);
+                  }
+                }
+                return response.json();
+              });
+            }
+
+            function cell(row, text, className) {
+              const td = document.createElement('td');
+              td.textContent = text;
+              if (className) td.className = className;
+              row.appendChild(td);
+              return td;
+            }
+
+            function button(parent, label, className, onClick) {
+              const element = document.createElement('button');
+              element.textContent = label;
+              element.className = className || '';
+              element.addEventListener('click', onClick);
+              parent.appendChild(element);
+            }
+
+            function loadPrinters() {
+              return fetch('/printers')
+                .then(response => response.json())
+                .then(printers => {
+                  const rows = document.getElementById('printerRows');
+                  rows.innerHTML = '';
+
+                  Object.keys(printers).forEach(id => {
+                    const printer = printers[id];
+                    const health = printer.health;
+                    const row = document.createElement('tr');
+
+                    cell(row, id);
+                    cell(row, printer.type);
+                    cell(row, printer.address);
+                    cell(
+                      row,
+                      health ? health.state + (health.error ? ' - ' + health.error : '') : 'unknown',
+                      health ? (health.state === 'error' ? 'health-error' : health.state) : ''
+                    );
+
+                    const actions = cell(row, '');
+                    button(actions, 'Edit', '', () => editPrinter(id));
+                    button(actions, 'Rename', 'secondary', () => renamePrinter(id));
+                    button(actions, 'Test', 'secondary', () => testPrinter(id));
+                    button(actions, 'Alignment Page', 'secondary', () => printAlignment(id));
+                    button(actions, 'Delete', 'danger', () => deletePrinter(id));
+
+                    rows.appendChild(row);
+                  });
+                })
+                .catch(error => showStatus('Error loading printers: ' + error.message, false));
+            }
+
+            function loadProfiles() {
+              return fetch('/printer-profiles')
+                .then(response => response.json())
+                .then(profiles => {
+                  const select = document.getElementById('profile');
+                  profiles.forEach(profile => {
+                    const option = document.createElement('option');
+                    option.value = profile.id;
+                    option.textContent = profile.id + ' - ' + profile.description;
+                    select.appendChild(option);
+                  });
+                })
+                .catch(error => showStatus('Error loading profiles: ' + error.message, false));
+            }
+
+            function updateTypeFields() {
+              const type = document.getElementById('type').value;
+              document.querySelectorAll('[data-types]').forEach(group => {
+                group.style.display = group.dataset.types.split(' ').includes(type) ? 'block' : 'none';
+              });
+            }
+
+            function resetForm() {
+              editing = null;
+              document.getElementById('printerForm').reset();
+              document.getElementById('id').disabled = false;
+              document.getElementById('formTitle').textContent = 'Add Printer';
+              document.getElementById('saveButton').textContent = 'Add Printer';
+              document.getElementById('cancelButton').style.display = 'none';
+              updateTypeFields();
+            }
+
+            function editPrinter(id) {
+              fetch('/printers/' + encodeURIComponent(id))
+                .then(response => response.json())
+                .then(printer => {
+                  if (printer.success === false) {
+                    showStatus(printer.error, false);
+                    return;
+                  }
+
+                  editing = printer;
+                  const capabilities = printer.capabilities || {};
+                  document.getElementById('id').value = id;
+                  document.getElementById('id').disabled = true;
+                  document.getElementById('type').value = printer.type || 'tcp';
+                  FIELDS.forEach(field => {
+                    document.getElementById(field).value = printer[field] !== undefined ? printer[field] : '';
+                  });
+                  Object.keys(CAPABILITIES).forEach(field => {
+                    const value = capabilities[CAPABILITIES[field]];
+                    document.getElementById(field).value = value === undefined ? '' : String(value);
+                  });
+
+                  document.getElementById('formTitle').textContent = 'Edit Printer ' + id;
+                  document.getElementById('saveButton').textContent = 'Save Changes';
+                  document.getElementById('cancelButton').style.display = 'inline-block';
+                  updateTypeFields();
+                  window.scrollTo(0, document.body.scrollHeight);
+                });
+            }
+
+            // Settings the form does not show, such as timeouts or the drawer,
+            // are kept as they are
+            function readForm() {
+              const printer = Object.assign({}, editing || {});
+              delete printer.id;
+              delete printer.health;
+
+              printer.type = document.getElementById('type').value;
+              FIELDS.forEach(field => {
+                const value = document.getElementById(field).value.trim();
+                if (value) {
+                  printer[field] = field === 'port' ? parseInt(value, 10) : value;
+                } else {
+                  delete printer[field];
+                }
+              });
+
+              // Drop address settings left over from another type
+              Object.keys(ADDRESS_FIELDS).forEach(type => {
+                ADDRESS_FIELDS[type].forEach(field => {
+                  if (!ADDRESS_FIELDS[printer.type].includes(field)) delete printer[field];
+                });
+              });
+
+              const capabilities = Object.assign({}, printer.capabilities);
+              Object.keys(CAPABILITIES).forEach(field => {
+                const value = document.getElementById(field).value;
+                if (value) {
+                  capabilities[CAPABILITIES[field]] = value === 'true';
+                } else {
+                  delete capabilities[CAPABILITIES[field]];
+                }
+              });
+              if (Object.keys(capabilities).length > 0) {
+                printer.capabilities = capabilities;
+              } else {
+                delete printer.capabilities;
+              }
+
+              return printer;
+            }
+
+            function renamePrinter(id) {
+              const newId = prompt('New ID for printer ' + id, id);
+              if (!newId || newId === id) return;
+
+              request('POST', '/printers/' + encodeURIComponent(id) + '/rename', { id: newId })
+                .then(result => showResult(result, 'Printer ' + id + ' renamed to ' + newId))
+                .then(loadPrinters);
+            }
+
+            function testPrinter(id) {
+              showStatus('Testing ' + id + '...', true);
+              request('POST', '/printers/' + encodeURIComponent(id) + '/test')
+                .then(result => {
+                  const latency = result.health && result.health.latency !== null
+                    ? ' (' + result.health.latency + ' ms)'
+                    : '';
+                  showResult(result, 'Printer ' + id + ' is online' + latency);
+                })
+                .then(loadPrinters);
+            }
+
+            function printAlignment(id) {
+              showStatus('Printing alignment page on ' + id + '...', true);
+              request('POST', '/printers/' + encodeURIComponent(id) + '/alignment')
+                .then(result => showResult(result, 'Alignment page printed on ' + id));
+            }
+
+            function deletePrinter(id) {
+              if (!confirm('Delete printer ' + id + '?')) return;
+
+              request('DELETE', '/printers/' + encodeURIComponent(id))
+                .then(result => showResult(result, 'Printer ' + id + ' deleted'))
+                .then(loadPrinters);
+            }
+
+            // Devices found by the last scan
+            let devices = [];
+
+            function describeDevice(device) {
+              const name = [device.manufacturer, device.model].filter(Boolean).join(' ');
+              if (name) return name;
+              if (device.escpos) return 'ESC/POS printer';
+              if (device.ports.includes(631)) return 'Office printer (IPP)';
+              if (device.escpos === false) return 'Did not answer ESC/POS queries';
+              return 'Unknown';
+            }
+
+            function showDevices() {
+              const rows = document.getElementById('deviceRows');
+              rows.innerHTML = '';
+
+              devices.forEach(device => {
+                const row = document.createElement('tr');
+                cell(row, device.ipAddress);
+                cell(row, device.ports.join(', '));
+                cell(row, describeDevice(device));
+                cell(row, device.mappedAs.join(', ') || '-');
+
+                const actions = cell(row, '');
+                if (device.mappedAs.length === 0) {
+                  button(actions, 'Add', '', () => mapDevice(device));
+                }
+
+                rows.appendChild(row);
+              });
+
+              document.getElementById('devicesTable').style.display = 'table';
+            }
+
+            function mapDevice(device) {
+              const id = prompt('ID for the printer at ' + device.ipAddress, device.suggestedId);
+              if (!id) return;
+
+              request('POST', '/printers', Object.assign({ id: id }, device.suggested))
+                .then(result => {
+                  showResult(result, 'Printer ' + id + ' added');
+                  if (result.success) {
+                    device.mappedAs.push(id);
+                    showDevices();
+                  }
+                })
+                .then(loadPrinters);
+            }
+
+            document.getElementById('discoverForm').addEventListener('submit', function(e) {
+              e.preventDefault();
+              const subnets = document.getElementById('subnets').value
+                .split(',')
+                .map(subnet => subnet.trim())
+                .filter(Boolean);
+              const scanButton = document.getElementById('discoverButton');
+
+              scanButton.disabled = true;
+              showStatus('Scanning the network, this can take a minute...', true);
+              request('POST', '/printers/discover', { subnets: subnets })
+                .then(result => {
+                  showResult(
+                    result,
+                    'Found ' + (result.devices || []).length + ' device(s) on ' + (result.subnets || []).join(', ')
+                  );
+                  if (result.success) {
+                    devices = result.devices;
+                    showDevices();
+                  }
+                })
+                .catch(error => showStatus('Error scanning the network: ' + error.message, false))
+                .then(() => {
+                  scanButton.disabled = false;
+                });
+            });
+
+            document.getElementById('type').addEventListener('change', updateTypeFields);
+            document.getElementById('cancelButton').addEventListener('click', resetForm);
+
+            document.getElementById('printerForm').addEventListener('submit', function(e) {
+              e.preventDefault();
+              const id = document.getElementById('id').value.trim();
+              const printer = readForm();
+
+              const saved = editing
+                ? request('PUT', '/printers/' + encodeURIComponent(id), printer)
+                : request('POST', '/printers', Object.assign({ id: id }, printer));
+
+              saved
+                .then(result => {
+                  showResult(result, 'Printer ' + id + ' saved');
+                  if (result.success) resetForm();
+                })
+                .then(loadPrinters)
+                .catch(error => showStatus('Error saving printer: ' + error.message, false));
+            });
+
+            updateTypeFields();
+            loadProfiles();
+            loadPrinters();
+          </script>
+        </body>
+      </html>
+    `);
   } else if (req.url === "/mobile-print" && req.method === "POST") {
     // Special endpoint for mobile printing
     let body = "";
@@ -1158,7 +3575,7 @@ const server = http.createServer((req, res) => {
         const printData = JSON.parse(body);
         const { printerId, content, options } = printData;
 
-        if (!printerId) {
+        if (!printerId && !routingEngine.hasRules()) {
           // If no printer ID is specified, use the first available printer
           const printerIds = Object.keys(config.printerMappings);
           if (printerIds.length === 0) {
@@ -1188,9 +3605,10 @@ const server = http.createServer((req, res) => {
             ...result,
             printerId: printData.printerId,
             // Include a preview URL that can be used to view the print
-            previewUrl: result.success
-              ? `/print-preview/${printData.printerId}/${Date.now()}`
-              : null,
+            previewUrl:
+              result.success && printData.printerId
+                ? `/print-preview/${printData.printerId}/${Date.now()}`
+                : null,
           })
         );
       } catch (error) {
@@ -1544,11 +3962,530 @@ const server = http.createServer((req, res) => {
 
     req.on("end", async () => {
       try {
-        const printJob = JSON.parse(body);
-        const result = await processJob(printJob);
+        const printJob = JSON.parse(body);
+        const result = await processJob(printJob);
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (
+    (req.url === "/events" || req.url.startsWith("/events?")) &&
+    req.method === "GET"
+  ) {
+    // Stream job events as Server-Sent Events, e.g. /events?types=job.failed
+    const { searchParams } = new URL(req.url, "http://localhost");
+    const types = searchParams.get("types")
+      ? searchParams.get("types").split(",")
+      : null;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    const sendEvent = (event) => {
+      if (types && !types.includes(event.type)) return;
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event
+        )}\n\n`
+      );
+    };
+
+    // Catch up on events missed since the last one the listener saw
+    const since = searchParams.get("since") || req.headers["last-event-id"];
+    if (since) {
+      jobEvents.getRecent({ since, types }).forEach(sendEvent);
+    }
+
+    jobEvents.on("event", sendEvent);
+    req.on("close", () => {
+      jobEvents.off("event", sendEvent);
+    });
+  } else if (
+    (req.url === "/history" || req.url.startsWith("/history?")) &&
+    req.method === "GET"
+  ) {
+    // Search printed jobs, e.g. /history?type=BILL&q=table 7
+    const { searchParams } = new URL(req.url, "http://localhost");
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify(jobHistory.search(Object.fromEntries(searchParams)))
+    );
+  } else if (/^\/history\/[^/]+$/.test(req.url) && req.method === "GET") {
+    const entry = jobHistory.get(decodeURIComponent(req.url.split("/")[2]));
+
+    res.writeHead(entry ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify(
+        entry || { success: false, error: "History entry not found" }
+      )
+    );
+  } else if (
+    /^\/history\/[^/]+\/reprint$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const id = decodeURIComponent(req.url.split("/")[2]);
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", async () => {
+      try {
+        const { printerId } = body ? JSON.parse(body) : {};
+        const result = await reprintFromHistory(id, printerId);
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (req.url === "/routing/rules" && req.method === "GET") {
+    // Routing rules in the order they are checked
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(routingEngine.getRules()));
+  } else if (req.url === "/routing/dry-run" && req.method === "POST") {
+    // Show where a sample job would print, without printing it
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", () => {
+      try {
+        const { at, ...job } = JSON.parse(body);
+        const now = parseDryRunTime(at);
+
+        if (!now) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify({
+              success: false,
+              error: `Invalid time "${at}", use HH:MM or an ISO date`,
+            })
+          );
+          return;
+        }
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: true, ...dryRunRoute(job, now) }));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (req.url === "/scheduled" && req.method === "GET") {
+    // Jobs waiting for their print time, soonest first
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(jobScheduler.list()));
+  } else if (/^\/scheduled\/[^/]+$/.test(req.url) && req.method === "DELETE") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const result = cancelJob(decodeURIComponent(req.url.split("/")[2]));
+
+    res.writeHead(result.cancelled ? 200 : 404, {
+      "Content-Type": "application/json",
+    });
+    res.end(JSON.stringify({ success: result.cancelled, error: result.error }));
+  } else if (req.url === "/dead-letters" && req.method === "GET") {
+    // Jobs that failed after exhausting their retries
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(deadLetters.list()));
+  } else if (
+    /^\/dead-letters\/[^/]+\/resubmit$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const deadLetter = deadLetters.get(
+      decodeURIComponent(req.url.split("/")[2])
+    );
+
+    if (!deadLetter) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({ success: false, error: "Dead letter not found" })
+      );
+      return;
+    }
+
+    // Remove it first; if it fails again it is dead-lettered afresh
+    deadLetters.remove(deadLetter.id);
+    logger.info(`Re-submitting dead letter ${deadLetter.id}`);
+
+    processJob({ ...deadLetter.job })
+      .then((result) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result));
+      })
+      .catch((error) => {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      });
+  } else if (
+    /^\/dead-letters\/[^/]+$/.test(req.url) &&
+    req.method === "DELETE"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const removed = deadLetters.remove(
+      decodeURIComponent(req.url.split("/")[2])
+    );
+
+    res.writeHead(removed ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        success: removed,
+        error: removed ? null : "Dead letter not found",
+      })
+    );
+  } else if (/^\/jobs\/[^/]+\/cancel$/.test(req.url) && req.method === "POST") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const result = cancelJob(decodeURIComponent(req.url.split("/")[2]));
+
+    res.writeHead(result.cancelled ? 200 : 409, {
+      "Content-Type": "application/json",
+    });
+    res.end(JSON.stringify({ success: result.cancelled, error: result.error }));
+  } else if (req.url === "/printers/reload" && req.method === "POST") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    // Apply printer-mappings.json now instead of waiting for the watcher
+    const result = mappingsWatcher.reload();
+
+    res.writeHead(result.success ? 200 : 400, {
+      "Content-Type": "application/json",
+    });
+    res.end(JSON.stringify(result));
+  } else if (
+    /^\/printers\/[^/]+\/(hold|release)$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const [, , encodedPrinterId, action] = req.url.split("/");
+    const printerId = decodeURIComponent(encodedPrinterId);
+
+    if (!config.printerMappings[printerId]) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: "Printer not found" }));
+      return;
+    }
+
+    if (action === "hold") {
+      printQueue.hold(printerId);
+      logger.info(`Printer ${printerId} held`);
+    } else {
+      printQueue.release(printerId);
+      logger.info(`Printer ${printerId} released`);
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: true, error: null }));
+  } else if (
+    /^\/printers\/[^/]+\/drawer$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const printerId = decodeURIComponent(req.url.split("/")[2]);
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", async () => {
+      try {
+        const { reason, user } = body ? JSON.parse(body) : {};
+        const result = await openCashDrawer(printerId, {
+          source: "http",
+          reason,
+          user,
+        });
+
+        res.writeHead(result.success ? 200 : result.auditId ? 502 : 404, {
+          "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (req.url === "/printers" && req.method === "POST") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    // Add a printer, e.g. { "id": "bar", "type": "tcp", "ipAddress": "..." }
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", () => {
+      try {
+        const { id, ...printer } = JSON.parse(body);
+        const result = mappingsStore.add(id, printer);
+
+        res.writeHead(result.success ? 201 : STORE_ERROR_STATUS[result.code], {
+          "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (req.url === "/printers/discover" && req.method === "POST") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    // Scan the network for printers, e.g. { "subnets": ["192.168.1.0/24"] }
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", async () => {
+      let options;
+      try {
+        options = body ? JSON.parse(body) : {};
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+        return;
+      }
+
+      try {
+        const scan = await printerDiscovery.scan({
+          subnets: options.subnets,
+          identify: options.identify,
+        });
+        logger.info(
+          `Printer discovery found ${
+            scan.devices.length
+          } device(s) on ${scan.subnets.join(", ")}`
+        );
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: true, error: null, ...scan }));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (req.url === "/printers/discover" && req.method === "GET") {
+    // Result of the last scan, without scanning again
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(printerDiscovery.getLastScan()));
+  } else if (req.url === "/printer-profiles" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(printerProfiles.list()));
+  } else if (req.url === "/templates" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(receiptTemplates.list()));
+  } else if (
+    /^\/printers\/[^/]+\/rename$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const printerId = decodeURIComponent(req.url.split("/")[2]);
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", () => {
+      try {
+        const { id } = JSON.parse(body);
+        const result = mappingsStore.rename(printerId, id);
+
+        res.writeHead(result.success ? 200 : STORE_ERROR_STATUS[result.code], {
+          "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (
+    /^\/printers\/[^/]+\/(test|alignment)$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    const [, , encodedPrinterId, action] = req.url.split("/");
+    const printerId = decodeURIComponent(encodedPrinterId);
 
+    if (!config.printerMappings[printerId]) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: "Printer not found" }));
+      return;
+    }
+
+    const run = action === "test" ? testPrinterConnection : printAlignmentPage;
+    run(printerId)
+      .then((result) => {
         res.writeHead(200, { "Content-Type": "application/json" });
         res.end(JSON.stringify(result));
+      })
+      .catch((error) => {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      });
+  } else if (/^\/printers\/[^/]+$/.test(req.url) && req.method === "GET") {
+    // A printer as it is stored in printer-mappings.json, with its health
+    const printerId = decodeURIComponent(req.url.split("/")[2]);
+
+    try {
+      const printer = mappingsStore.get(printerId);
+
+      res.writeHead(printer ? 200 : 404, {
+        "Content-Type": "application/json",
+      });
+      res.end(
+        JSON.stringify(
+          printer
+            ? {
+                id: printerId,
+                ...printer,
+                health: printerHealth.get(printerId),
+              }
+            : { success: false, error: "Printer not found" }
+        )
+      );
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  } else if (/^\/printers\/[^/]+$/.test(req.url) && req.method === "PUT") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    // Replace a printer's settings; rename it with POST /printers/:id/rename
+    const printerId = decodeURIComponent(req.url.split("/")[2]);
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", () => {
+      try {
+        const { id, ...printer } = JSON.parse(body);
+        const result = mappingsStore.update(printerId, printer);
+
+        res.writeHead(result.success ? 200 : STORE_ERROR_STATUS[result.code], {
+          "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    });
+  } else if (/^\/printers\/[^/]+$/.test(req.url) && req.method === "DELETE") {
+    if (!isAuthorized(req)) {
+      sendUnauthorized(res);
+      return;
+    }
+
+    const result = mappingsStore.remove(
+      decodeURIComponent(req.url.split("/")[2])
+    );
+
+    res.writeHead(result.success ? 200 : STORE_ERROR_STATUS[result.code], {
+      "Content-Type": "application/json",
+    });
+    res.end(JSON.stringify(result));
+  } else if (
+    (req.url === "/drawer/audit" || req.url.startsWith("/drawer/audit?")) &&
+    req.method === "GET"
+  ) {
+    // Drawer openings, e.g. /drawer/audit?printerId=counter&limit=20
+    const { searchParams } = new URL(req.url, "http://localhost");
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify(cashDrawer.getAuditLog(Object.fromEntries(searchParams)))
+    );
+  } else if (req.url === "/jobs/unconfirmed" && req.method === "GET") {
+    // Jobs that were interrupted mid-send and need an operator decision
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify(
+        jobJournal.getUnconfirmedJobs().map((entry) => ({
+          journalId: entry.journalId,
+          jobId: entry.job ? entry.job.id : null,
+          printerId: entry.printerId,
+          receivedAt: entry.receivedAt,
+          updatedAt: entry.updatedAt,
+        }))
+      )
+    );
+  } else if (
+    /^\/jobs\/[^/]+\/confirm$/.test(req.url) &&
+    req.method === "POST"
+  ) {
+    const journalId = decodeURIComponent(req.url.split("/")[2]);
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk.toString();
+    });
+
+    req.on("end", async () => {
+      try {
+        const { reprint } = body ? JSON.parse(body) : {};
+        const result = await confirmInterruptedJob(journalId, reprint === true);
+
+        res.writeHead(result.success ? 200 : 400, {
+          "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(result));
       } catch (error) {
         res.writeHead(500, { "Content-Type": "application/json" });
         res.end(JSON.stringify({ success: false, error: error.message }));
@@ -1567,6 +4504,70 @@ const server = http.createServer((req, res) => {
 // Browser integration WebSocket server
 let browserWsServer;
 
+/**
+ * List all mapped printers with their address and health
+ * @returns {Array<Object>} Printers
+ */
+function listPrinters() {
+  const printers = [];
+
+  // Add legacy format printers
+  for (const [id, address] of Object.entries(config.printerMappings)) {
+    if (typeof address === "string") {
+      const [ipAddress, port] = address.split(":");
+      printers.push({
+        id,
+        address,
+        ipAddress,
+        port: parseInt(port, 10),
+        type: "tcp",
+        health: printerHealth.get(id),
+      });
+    }
+  }
+
+  // Add new format printers
+  for (const [id, printerConfig] of Object.entries(config.printerMappings)) {
+    if (typeof printerConfig === "object") {
+      const port =
+        printerConfig.port || (printerConfig.type === "lpd" ? 515 : 9100);
+      printers.push({
+        id,
+        address:
+          printerConfig.path ||
+          printerConfig.url ||
+          `${printerConfig.ipAddress || printerConfig.address}:${port}`,
+        ipAddress: printerConfig.ipAddress || printerConfig.address,
+        port: printerConfig.path || printerConfig.url ? undefined : port,
+        path: printerConfig.path,
+        url: printerConfig.url,
+        queue: printerConfig.queue,
+        type: printerConfig.type || "tcp",
+        health: printerHealth.get(id),
+      });
+    }
+  }
+
+  return printers;
+}
+
+/**
+ * Send the printer list to every connected browser
+ */
+function broadcastPrinters() {
+  if (!browserWsServer) return;
+
+  const message = JSON.stringify({
+    type: "printers",
+    printers: listPrinters(),
+  });
+  for (const client of browserWsServer.clients) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  }
+}
+
 function setupBrowserIntegration() {
   if (!config.enableBrowserIntegration) {
     logger.info("Browser integration is disabled");
@@ -1581,9 +4582,14 @@ function setupBrowserIntegration() {
 
   browserWsServer = new WebSocket.Server({ server: browserServer });
 
-  browserWsServer.on("connection", (ws) => {
+  browserWsServer.on("connection", (ws, req) => {
     logger.info("Browser connected to print agent");
 
+    // Pages from other sites connect too, so they must send the API token
+    // to open the drawer, cancel jobs or hold printers
+    const local = isLocalRequest(req);
+    const authorized = (message) => local || isApiToken(message.token);
+
     ws.on("message", async (data) => {
       try {
         const message = JSON.parse(data);
@@ -1603,47 +4609,96 @@ function setupBrowserIntegration() {
               error: result.error,
             })
           );
-        } else if (message.type === "get_printers") {
-          // Get all printers from mappings
-          const printers = [];
-
-          // Add legacy format printers
-          for (const [id, address] of Object.entries(config.printerMappings)) {
-            if (typeof address === "string") {
-              const [ipAddress, port] = address.split(":");
-              printers.push({
-                id,
-                address,
-                ipAddress,
-                port: parseInt(port, 10),
-                type: "tcp",
-              });
-            }
-          }
+        } else if (message.type === "cancel_job") {
+          const result = authorized(message)
+            ? cancelJob(message.jobId)
+            : { cancelled: false, error: "Not authorized to cancel jobs" };
 
-          // Add new format printers
-          for (const [id, printerConfig] of Object.entries(
-            config.printerMappings
-          )) {
-            if (typeof printerConfig === "object") {
-              printers.push({
-                id,
-                address: `${printerConfig.ipAddress || printerConfig.address}:${
-                  printerConfig.port || 9100
-                }`,
-                ipAddress: printerConfig.ipAddress || printerConfig.address,
-                port: printerConfig.port || 9100,
-                type: printerConfig.type || "tcp",
-              });
-            }
+          ws.send(
+            JSON.stringify({
+              type: "cancel_result",
+              requestId: message.requestId,
+              jobId: message.jobId,
+              success: result.cancelled,
+              error: result.error,
+            })
+          );
+        } else if (
+          message.type === "hold_printer" ||
+          message.type === "release_printer"
+        ) {
+          const hold = message.type === "hold_printer";
+          const found = !!config.printerMappings[message.printerId];
+          const allowed = authorized(message);
+
+          if (allowed && found && hold) {
+            printQueue.hold(message.printerId);
+          } else if (allowed && found) {
+            printQueue.release(message.printerId);
           }
 
+          ws.send(
+            JSON.stringify({
+              type: hold ? "hold_result" : "release_result",
+              requestId: message.requestId,
+              printerId: message.printerId,
+              success: allowed && found,
+              error: !allowed
+                ? "Not authorized to hold or release printers"
+                : found
+                ? null
+                : "Printer not found",
+            })
+          );
+        } else if (message.type === "open_drawer") {
+          const result = authorized(message)
+            ? await openCashDrawer(message.printerId, {
+                source: "browser",
+                reason: message.reason,
+                user: message.user,
+              })
+            : { success: false, error: "Not authorized to open the drawer" };
+
+          ws.send(
+            JSON.stringify({
+              type: "drawer_result",
+              requestId: message.requestId,
+              printerId: message.printerId,
+              ...result,
+            })
+          );
+        } else if (message.type === "subscribe_events") {
+          // An empty or missing list subscribes to every event type
+          ws.eventTypes =
+            Array.isArray(message.events) && message.events.length > 0
+              ? message.events
+              : Object.values(EVENT_TYPES);
+
+          ws.send(
+            JSON.stringify({
+              type: "subscribe_result",
+              requestId: message.requestId,
+              success: true,
+              events: ws.eventTypes,
+            })
+          );
+        } else if (message.type === "unsubscribe_events") {
+          ws.eventTypes = null;
+
+          ws.send(
+            JSON.stringify({
+              type: "unsubscribe_result",
+              requestId: message.requestId,
+              success: true,
+            })
+          );
+        } else if (message.type === "get_printers") {
           // Send printer list to browser
           ws.send(
             JSON.stringify({
               type: "printers",
               requestId: message.requestId,
-              printers,
+              printers: listPrinters(),
             })
           );
         }
@@ -1666,14 +4721,24 @@ function setupBrowserIntegration() {
     ws.send(
       JSON.stringify({
         type: "printers",
-        printers: Object.keys(config.printerMappings).map((id) => ({
-          id,
-          address: config.printerMappings[id],
-        })),
+        printers: listPrinters(),
       })
     );
   });
 
+  // Forward job events to browsers that subscribed to them
+  jobEvents.on("event", (event) => {
+    for (const client of browserWsServer.clients) {
+      if (
+        client.readyState === WebSocket.OPEN &&
+        client.eventTypes &&
+        client.eventTypes.includes(event.type)
+      ) {
+        client.send(JSON.stringify({ type: "job_event", event }));
+      }
+    }
+  });
+
   // Start browser integration server
   browserServer.listen(config.browserPort, () => {
     logger.info(
@@ -1682,10 +4747,109 @@ function setupBrowserIntegration() {
   });
 }
 
+/**
+ * Replay jobs left open in the job journal by a previous run. Jobs that never
+ * reached the printer are queued again; jobs that were interrupted while
+ * sending are held until an operator confirms whether they printed.
+ */
+function recoverJournaledJobs() {
+  const { recoverable, unconfirmed } = jobJournal.load();
+
+  for (const entry of unconfirmed) {
+    logger.warn(
+      `Job ${
+        (entry.job && entry.job.id) || entry.journalId
+      } was interrupted while printing and needs confirmation (POST /jobs/${
+        entry.journalId
+      }/confirm)`
+    );
+  }
+
+  // Parts of routed orders are resumed with their order, which reports
+  // the combined status once they are done
+  const isOrderPart = (entry) =>
+    !!entry.job &&
+    !!entry.job.parentJournalId &&
+    !!jobJournal.getJob(entry.job.parentJournalId);
+  const recoverableParts = new Map(
+    recoverable.filter(isOrderPart).map((entry) => [entry.job.id, entry])
+  );
+  const unconfirmedParts = new Set(
+    unconfirmed.filter(isOrderPart).map((entry) => entry.job.id)
+  );
+
+  for (const entry of recoverable) {
+    if (!entry.job) {
+      jobJournal.record(entry.journalId, JOB_STATES.FAILED, {
+        error: "Job payload missing from journal",
+      });
+      continue;
+    }
+
+    if (isOrderPart(entry)) continue;
+
+    logger.info(
+      `Recovering job ${entry.job.id || entry.journalId} from journal`
+    );
+    const job = { ...entry.job, journalId: entry.journalId };
+    processJobInBackground(job, () =>
+      entry.parts
+        ? resumeRoutedJob(entry, recoverableParts, unconfirmedParts)
+        : processJob(job)
+    );
+  }
+}
+
+/**
+ * Resolve a job that was interrupted while it was being sent
+ * @param {string} journalId - Journal ID of the job
+ * @param {boolean} reprint - Send the job again instead of marking it printed
+ * @returns {Promise<Object>} Result with success flag and error message
+ */
+async function confirmInterruptedJob(journalId, reprint) {
+  const entry = jobJournal.getJob(journalId);
+  if (!entry || entry.state !== JOB_STATES.UNCONFIRMED) {
+    return { success: false, error: "Job is not awaiting confirmation" };
+  }
+
+  let result;
+  if (reprint) {
+    logger.info(`Reprinting interrupted job ${journalId}`);
+    jobJournal.record(journalId, JOB_STATES.RECEIVED);
+    result = await processJob({ ...entry.job, journalId });
+  } else {
+    logger.info(`Interrupted job ${journalId} confirmed as printed`);
+    jobJournal.record(journalId, JOB_STATES.COMPLETED, { error: null });
+    if (entry.job) {
+      jobEvents.publish(EVENT_TYPES.JOB_COMPLETED, {
+        ...getEventDetails({ ...entry.job, journalId }),
+        confirmed: true,
+      });
+    }
+    result = { success: true, error: null };
+  }
+
+  // The last part of a routed order to be confirmed reports the order
+  if (entry.job && recordRoutedResult(entry.job, result)) {
+    settleRoutedJob(entry.job.parentJournalId);
+  }
+
+  return result;
+}
+
 // Start the application
 async function start() {
   logger.info("Starting Restaurant Print Agent");
 
+  // Report job outcomes to the API, including those of recovered jobs
+  startStatusReporter();
+
+  // Pick up jobs that were still open when the agent last stopped
+  recoverJournaledJobs();
+
+  // Restart timers for scheduled jobs; overdue ones print right away
+  jobScheduler.load();
+
   // Start HTTP server
   server.listen(config.port, () => {
     logger.info(`HTTP server listening on port ${config.port}`);
@@ -1699,6 +4863,16 @@ async function start() {
 
   // Start polling as a fallback
   startPolling();
+
+  // Probe printers in the background so outages show before jobs fail
+  if (config.printerHealthInterval > 0) {
+    printerHealth.start();
+  }
+
+  // Pick up printers added or changed while the agent runs
+  if (config.mappingsWatchInterval > 0) {
+    mappingsWatcher.start();
+  }
 }
 
 // Start the application
@@ -0,0 +1,260 @@
+/**
+ * LPD Transport
+ *
+ * Sends documents to printers and print servers that accept jobs through the
+ * Line Printer Daemon protocol (RFC 1179, TCP port 515), which most office
+ * laser printers and every CUPS server with LPD sharing still support. Each
+ * job is a control file and a data file sent over a new connection.
+ */
+
+const net = require("net");
+const os = require("os");
+
+// LPD servers accept at most 100 characters in most control file lines
+const MAX_LINE_LENGTH = 99;
+
+class LpdTransport {
+  /**
+   * Create a new LPD transport
+   * @param {Object} options - Transport options
+   * @param {number} options.connectTimeout - Default time in ms to wait for a connection (default: 3000)
+   * @param {number} options.writeTimeout - Default time in ms to wait for the printer to accept a job (default: 10000)
+   * @param {string} options.userName - Name the jobs are submitted under (default: print-agent)
+   */
+  constructor(options = {}) {
+    this.connectTimeout = options.connectTimeout || 3000;
+    this.writeTimeout = options.writeTimeout || 10000;
+    this.userName = options.userName || "print-agent";
+    this.hostName = os
+      .hostname()
+      .replace(/[^\w.-]/g, "")
+      .slice(0, 31);
+
+    // Job numbers go from 000 to 999 and then start over
+    this.jobNumber = 0;
+  }
+
+  /**
+   * Send a document to a printer's LPD queue
+   * @param {Object} printerConfig - Printer configuration with ipAddress, port and queue
+   * @param {string} data - Document to print, as a binary string
+   * @param {Object} [options] - Job options
+   * @param {string} [options.jobName] - Job name shown in the printer's queue
+   * @param {AbortSignal} [options.signal] - Once aborted, the job is not submitted
+   * @returns {Promise<boolean>} Whether the printer accepted the job
+   */
+  async write(printerConfig, data, options = {}) {
+    const address = `${printerConfig.ipAddress}:${printerConfig.port || 515}`;
+
+    if (options.signal && options.signal.aborted) {
+      console.log(`Not sending abandoned job to LPD printer at ${address}`);
+      return false;
+    }
+
+    try {
+      await this.sendJob(
+        printerConfig,
+        Buffer.from(data, "binary"),
+        options.jobName || "Print job"
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        `Error sending job to LPD queue ${
+          printerConfig.queue || "lp"
+        } at ${address}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Check that a printer accepts connections on its LPD port
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @returns {Promise<string|null>} Error message, or null if the printer is reachable
+   */
+  async check(printerConfig) {
+    try {
+      const socket = await this.connect(printerConfig);
+      socket.destroy();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Run the "receive a printer job" command on a new connection
+   * @param {Object} printerConfig - Printer configuration with ipAddress, port and queue
+   * @param {Buffer} buffer - Document data
+   * @param {string} jobName - Job name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async sendJob(printerConfig, buffer, jobName) {
+    const queue = printerConfig.queue || "lp";
+    const timeout = printerConfig.writeTimeout || this.writeTimeout;
+    // Control file lines end at a newline
+    const name = jobName.replace(/\s+/g, " ");
+
+    this.jobNumber = (this.jobNumber + 1) % 1000;
+    const fileName = `A${String(this.jobNumber).padStart(3, "0")}${
+      this.hostName
+    }`;
+
+    // "l" prints the data file as is, so PDF and PCL pass through untouched
+    const controlFile = Buffer.from(
+      [
+        `H${this.hostName}`,
+        `P${this.userName}`,
+        `J${name}`,
+        `ldf${fileName}`,
+        `Udf${fileName}`,
+        `N${name}`,
+      ]
+        .map((line) => line.slice(0, MAX_LINE_LENGTH))
+        .join("\n") + "\n",
+      "utf8"
+    );
+
+    const socket = await this.connect(printerConfig);
+    const reader = createAckReader(socket, timeout);
+
+    try {
+      await this.command(socket, reader, `\x02${queue}\n`, "queue");
+      await this.command(
+        socket,
+        reader,
+        `\x02${controlFile.length} cf${fileName}\n`,
+        "control file"
+      );
+      await this.command(
+        socket,
+        reader,
+        Buffer.concat([controlFile, Buffer.from([0])]),
+        "control file"
+      );
+      await this.command(
+        socket,
+        reader,
+        `\x03${buffer.length} df${fileName}\n`,
+        "data file"
+      );
+      await this.command(
+        socket,
+        reader,
+        Buffer.concat([buffer, Buffer.from([0])]),
+        "data file"
+      );
+    } finally {
+      socket.end();
+    }
+  }
+
+  /**
+   * Send one part of a job and wait for the server to acknowledge it
+   * @param {net.Socket} socket - Connected socket
+   * @param {Function} reader - Returns a promise for the next acknowledgement byte
+   * @param {string|Buffer} data - Data to send
+   * @param {string} step - What is being sent, for error messages
+   * @returns {Promise<void>}
+   * @private
+   */
+  async command(socket, reader, data, step) {
+    socket.write(data);
+    const ack = await reader();
+
+    if (ack !== 0) {
+      throw new Error(`Printer refused the ${step} (code ${ack})`);
+    }
+  }
+
+  /**
+   * Open a TCP connection to a printer's LPD port
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @returns {Promise<net.Socket>} Connected socket
+   * @private
+   */
+  connect(printerConfig) {
+    const host = printerConfig.ipAddress;
+    const port = printerConfig.port || 515;
+    const timeout = printerConfig.connectTimeout || this.connectTimeout;
+
+    return new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(timeout);
+      socket.once("timeout", () =>
+        fail(new Error(`Connection to ${host}:${port} timed out`))
+      );
+      socket.once("error", fail);
+
+      socket.connect(port, host, () => {
+        socket.setTimeout(0);
+        socket.removeAllListeners("timeout");
+        socket.removeListener("error", fail);
+        resolve(socket);
+      });
+    });
+  }
+}
+
+/**
+ * Read acknowledgement bytes from a socket one at a time
+ * @param {net.Socket} socket - Connected socket
+ * @param {number} timeout - Time in ms to wait for each acknowledgement
+ * @returns {Function} Returns a promise for the next byte
+ * @private
+ */
+function createAckReader(socket, timeout) {
+  const received = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+
+    const { resolve, reject, timer } = waiting;
+    if (received.length > 0) {
+      clearTimeout(timer);
+      waiting = null;
+      resolve(received.shift());
+    } else if (failure) {
+      clearTimeout(timer);
+      waiting = null;
+      reject(failure);
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    received.push(...chunk);
+    settle();
+  });
+  socket.on("error", (error) => {
+    failure = error;
+    settle();
+  });
+  socket.on("close", () => {
+    failure = failure || new Error("Printer closed the connection");
+    settle();
+  });
+
+  return () =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting = null;
+        reject(new Error(`No answer from printer after ${timeout}ms`));
+      }, timeout);
+
+      waiting = { resolve, reject, timer };
+      settle();
+    });
+}
+
+module.exports = LpdTransport;
@@ -0,0 +1,147 @@
+/**
+ * Mappings Watcher
+ *
+ * Watches printer-mappings.json while the agent runs, so printers can be
+ * added, changed or removed without a restart. Every change is parsed and
+ * validated as a whole before it is handed on; a file with a syntax error or
+ * an invalid entry is rejected and the running mappings stay as they were.
+ * The file is polled rather than watched with fs.watch, because editors
+ * often save by replacing the file, which ends an fs.watch watcher.
+ */
+
+const fs = require("fs");
+
+class MappingsWatcher {
+  /**
+   * Create a new mappings watcher
+   * @param {Object} options - Watcher options
+   * @param {string} options.filePath - Path of the mappings file
+   * @param {Object} options.current - Mappings the agent loaded at startup
+   * @param {number} options.interval - Time in ms between checks of the file (default: 2000)
+   * @param {Function} options.validate - Returns a list of errors for parsed mappings, empty if they are valid
+   * @param {Function} [options.normalize] - Turns a valid file into mappings keyed by ID
+   * @param {Function} options.onChange - Called with (mappings, changes) when valid new mappings are read
+   * @param {Function} [options.onInvalid] - Called with (errors) when an edit is rejected
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.interval = options.interval || 2000;
+    this.validate = options.validate || (() => []);
+    this.normalize = options.normalize || ((data) => data);
+    this.onChange = options.onChange || (() => {});
+    this.onInvalid = options.onInvalid || (() => {});
+
+    // Mappings currently in use, to work out what an edit changed
+    this.current = clone(options.current || {});
+    this.watching = false;
+  }
+
+  /**
+   * Start watching the file
+   */
+  start() {
+    this.stop();
+    this.watching = true;
+
+    fs.watchFile(this.filePath, { interval: this.interval }, (stat, prev) => {
+      if (stat.mtimeMs === prev.mtimeMs && stat.size === prev.size) return;
+      this.reload();
+    });
+  }
+
+  /**
+   * Stop watching the file
+   */
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Read, validate and apply the file now
+   * @returns {{success: boolean, errors: Array<string>, changes: Object|null}}
+   *   Result, with the added, removed and changed IDs when it was applied
+   */
+  reload() {
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      return this.reject([
+        error.code === "ENOENT"
+          ? "Mappings file was removed"
+          : `Mappings file cannot be read: ${error.message}`,
+      ]);
+    }
+
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      return this.reject(errors);
+    }
+
+    const mappings = this.normalize(data);
+    const changes = MappingsWatcher.diff(this.current, mappings);
+    if (
+      changes.added.length === 0 &&
+      changes.removed.length === 0 &&
+      changes.changed.length === 0
+    ) {
+      return { success: true, errors: [], changes };
+    }
+
+    this.current = clone(mappings);
+    this.onChange(mappings, changes);
+
+    return { success: true, errors: [], changes };
+  }
+
+  /**
+   * Report a rejected edit
+   * @param {Array<string>} errors - Why the edit was rejected
+   * @returns {{success: boolean, errors: Array<string>, changes: null}}
+   * @private
+   */
+  reject(errors) {
+    this.onInvalid(errors);
+    return { success: false, errors, changes: null };
+  }
+
+  /**
+   * Work out which entries an edit added, removed or changed
+   * @param {Object} previous - Mappings before the edit
+   * @param {Object} next - Mappings after the edit
+   * @returns {{added: Array<string>, removed: Array<string>, changed: Array<string>}} IDs
+   */
+  static diff(previous, next) {
+    const added = [];
+    const changed = [];
+
+    for (const [id, entry] of Object.entries(next)) {
+      if (!(id in previous)) {
+        added.push(id);
+      } else if (JSON.stringify(previous[id]) !== JSON.stringify(entry)) {
+        changed.push(id);
+      }
+    }
+
+    const removed = Object.keys(previous).filter((id) => !(id in next));
+
+    return { added, removed, changed };
+  }
+}
+
+/**
+ * Copy mappings, so changes the agent makes to its own copy never show up
+ * as edits of the file
+ * @param {Object} mappings - Parsed mappings
+ * @returns {Object} Deep copy
+ * @private
+ */
+function clone(mappings) {
+  return JSON.parse(JSON.stringify(mappings));
+}
+
+module.exports = MappingsWatcher;
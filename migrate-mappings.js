@@ -0,0 +1,83 @@
+/**
+ * Migrate printer mappings
+ *
+ * Upgrades printer-mappings.json to the current schema version: legacy
+ * "IP:port" strings become full printer objects with their type, port,
+ * output, paper width and profile, and groups move to their own
+ * section. The old file is kept as printer-mappings.json.bak.
+ *
+ * Usage: node migrate-mappings.js [--dry-run] [path/to/printer-mappings.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AppendLog = require("./append-log");
+const PrinterMappingsSchema = require("./printer-mappings-schema");
+
+function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const mappingsPath = path.resolve(
+    args.find((arg) => !arg.startsWith("--")) ||
+      path.join(__dirname, "printer-mappings.json")
+  );
+
+  if (!fs.existsSync(mappingsPath)) {
+    console.error(`No printer mappings file at ${mappingsPath}`);
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(mappingsPath, "utf8"));
+  } catch (error) {
+    console.error(`Cannot read ${mappingsPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Fix the file first; migrating a broken entry would only hide the problem
+  const before = PrinterMappingsSchema.validate(data);
+  if (before.length > 0) {
+    console.error(`${mappingsPath} has errors, fix them and run again:`);
+    before.forEach((error) =>
+      console.error(`  ${PrinterMappingsSchema.formatError(error)}`)
+    );
+    process.exit(1);
+  }
+
+  const { mappings, changed } = PrinterMappingsSchema.migrate(data);
+  if (!changed) {
+    console.log(
+      `${mappingsPath} is already at version ${PrinterMappingsSchema.SCHEMA_VERSION}`
+    );
+    return;
+  }
+
+  const after = PrinterMappingsSchema.validate(mappings);
+  if (after.length > 0) {
+    console.error("Migrated mappings do not match the schema:");
+    after.forEach((error) =>
+      console.error(`  ${PrinterMappingsSchema.formatError(error)}`)
+    );
+    process.exit(1);
+  }
+
+  const output = JSON.stringify(mappings, null, 2) + "\n";
+  if (dryRun) {
+    process.stdout.write(output);
+    return;
+  }
+
+  fs.copyFileSync(mappingsPath, `${mappingsPath}.bak`);
+  AppendLog.writeFile(mappingsPath, output);
+
+  console.log(
+    `Migrated ${mappingsPath} to version ${
+      PrinterMappingsSchema.SCHEMA_VERSION
+    } (${Object.keys(mappings.printers).length} printer(s), ${
+      Object.keys(mappings.groups).length
+    } group(s)); the old file is at ${mappingsPath}.bak`
+  );
+}
+
+main();
@@ -2,15 +2,27 @@
  * Print Formatter
  *
  * This utility provides HTML-to-image based printing and raw text-based printing
- * for thermal printers using ESC/POS commands.
+ * for thermal printers using ESC/POS commands. KOTs and bills are laid out
+ * with receipt templates, rendered to ESC/POS for text and to HTML for
+ * images and PDFs.
  */
 
 const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const ReceiptTemplates = require("./receipt-templates");
+const TemplateRenderer = require("./template-renderer");
+
+// Templates of formatters that are not given their own
+const defaultTemplates = new ReceiptTemplates();
 
 class PrintFormatter {
-  constructor(config = {}) {
+  constructor(options = {}) {
+    const { templates, ...config } = options;
+
+    // Templates KOTs and bills are laid out with
+    this.templates = templates || defaultTemplates;
+
     // Default configuration for the printer
     this.config = {
       lineWidth: config.lineWidth || 384, // Default printer width in pixels
@@ -21,6 +33,11 @@ class PrintFormatter {
       largeSize: config.largeSize || 24, // Double width and height (24)
       mediumSize: config.mediumSize || 16, // Double height (16)
       smallSize: config.smallSize || 0, // Normal size (0)
+      cutter: config.cutter || "full", // "full", "partial" or "none"
+      buzzer: config.buzzer || "bel", // "bel", "esc-b" or "none"
+      feedLines: config.feedLines !== undefined ? config.feedLines : 3, // Lines fed before the cut
+      font: null, // ESC M font number, null for the printer's default font
+      codePage: null, // ESC t code page number, null for the printer's default
       ...config,
     };
 
@@ -100,25 +117,21 @@ class PrintFormatter {
    * Print content as text using direct ESC/POS commands
    * @param {Object} content - Content to print (KOT or Bill object)
    * @param {String} type - "kot" or "bill"
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options including copies, copyLabels and template
    * @returns {string} ESC/POS commands for printing
    */
   printContentAsText(content, type, options = {}) {
     try {
-      // Format content based on type
-      let formattedContent;
-      if (type.toLowerCase() === "kot") {
-        formattedContent = this.formatKOTContent(content);
-      } else if (type.toLowerCase() === "bill") {
-        formattedContent = this.formatBillContent(content);
-      } else {
-        throw new Error(`Unsupported format type: ${type}`);
-      }
+      let formattedContent = this.formatTextContent(
+        content,
+        type,
+        options.template
+      );
 
       // Add the cutting commands to the end
       formattedContent = this.addCuttingCommands(formattedContent);
 
-      return formattedContent;
+      return this.formatCopies(formattedContent, options);
     } catch (error) {
       console.error(`Error printing ${type} as text:`, error);
       throw error;
@@ -131,23 +144,137 @@ class PrintFormatter {
    * @returns {string} Content with cutting and beep commands
    */
   addCuttingCommands(content) {
-    // ESC/POS commands
     const ESC = "\x1B";
-    const GS = "\x1D";
-    const BEL = "\x07"; // Bell character for beep
 
     // Add just enough line feeds for clean cutting
-    content += `${ESC}d\x03`; // Feed 3 lines instead of 8
+    content += `${ESC}d${String.fromCharCode(this.config.feedLines)}`;
 
-    // Add beep command - simple and effective
-    content += BEL + BEL; // Two beeps using standard bell character
+    content += this.beepCommands();
 
     // Add single cut command - avoid multiple cuts
-    content += `${GS}V\x00`; // Full cut (most common)
+    content += this.cutCommand();
 
     return content;
   }
 
+  /**
+   * Get the commands that start every print: initialize the printer, then
+   * select the configured font and code page
+   * @returns {string} ESC/POS commands
+   */
+  initCommands() {
+    const ESC = "\x1B";
+    let commands = `${ESC}@`; // Initialize printer
+
+    if (this.config.font !== null && this.config.font !== undefined) {
+      commands += `${ESC}M${String.fromCharCode(this.config.font)}`;
+    }
+    if (this.config.codePage !== null && this.config.codePage !== undefined) {
+      commands += `${ESC}t${String.fromCharCode(this.config.codePage)}`;
+    }
+
+    return commands;
+  }
+
+  /**
+   * Get the commands that sound the printer's buzzer
+   * @returns {string} ESC/POS commands, empty for printers without a buzzer
+   */
+  beepCommands() {
+    const ESC = "\x1B";
+    const BEL = "\x07"; // Bell character for beep
+
+    switch (this.config.buzzer) {
+      case "none":
+        return "";
+      case "esc-b":
+        return `${ESC}B\x02\x03`; // 2 beeps of 300 ms
+      default:
+        return BEL + BEL; // Two beeps using standard bell character
+    }
+  }
+
+  /**
+   * Get the command that cuts the paper
+   * @returns {string} ESC/POS command, empty for printers without a cutter
+   */
+  cutCommand() {
+    const GS = "\x1D";
+
+    switch (this.config.cutter) {
+      case "none":
+        return "";
+      case "partial":
+        return `${GS}V\x01`; // Partial cut
+      default:
+        return `${GS}V\x00`; // Full cut (most common)
+    }
+  }
+
+  /**
+   * Repeat a formatted print once per copy, with a cut between copies and
+   * the copy's label (e.g. "CUSTOMER COPY") at the top of each one
+   * @param {string} output - ESC/POS commands for a single copy, ending with a cut
+   * @param {Object} options - Options with copies (default: 1, or one per label) and copyLabels
+   * @returns {string} ESC/POS commands for all copies
+   */
+  formatCopies(output, options = {}) {
+    const { copies, copyLabels } = this.getCopies(options);
+
+    let result = "";
+    for (let i = 0; i < copies; i++) {
+      result += copyLabels[i]
+        ? this.addCopyLabel(output, copyLabels[i])
+        : output;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the number of copies to print and their labels
+   * @param {Object} options - Options with copies and copyLabels
+   * @returns {{copies: number, copyLabels: Array}}
+   * @private
+   */
+  getCopies(options = {}) {
+    const copyLabels = Array.isArray(options.copyLabels)
+      ? options.copyLabels
+      : [];
+    const copies = Math.max(
+      1,
+      parseInt(options.copies, 10) || copyLabels.length || 1
+    );
+
+    return { copies, copyLabels };
+  }
+
+  /**
+   * Add a centered, bold label line to the top of a formatted copy
+   * @param {string} output - ESC/POS commands for a single copy
+   * @param {string} label - Label text
+   * @returns {string} Commands with the label after the printer initialization
+   */
+  addCopyLabel(output, label) {
+    // ESC/POS commands
+    const ESC = "\x1B";
+    const INIT = this.initCommands();
+    const CENTER = `${ESC}a\x01`;
+    const LEFT = `${ESC}a\x00`;
+    const BOLD_ON = `${ESC}E\x01`;
+    const BOLD_OFF = `${ESC}E\x00`;
+
+    const labelLine =
+      CENTER + BOLD_ON + String(label).toUpperCase() + BOLD_OFF + LEFT + "\n";
+
+    // Keep the initialization first so it does not reset the label
+    if (output.startsWith(INIT)) {
+      return INIT + labelLine + output.substring(INIT.length);
+    }
+
+    return labelLine + output;
+  }
+
   /**
    * Main entry point for printing content as image
    * @param {Object} content - Content to print (KOT or Bill object)
@@ -162,8 +289,9 @@ class PrintFormatter {
         this.updateCacheConfig(options.cacheConfig);
       }
 
-      // Generate a unique hash for this content
-      const contentHash = this.generateContentHash(content, type);
+      // Generate a unique hash for this content and its template
+      const template = this.getTemplate(type, options.template);
+      const contentHash = this.generateContentHash(content, type, template);
 
       // Check if content is in memory cache
       let imageResult;
@@ -193,7 +321,7 @@ class PrintFormatter {
         console.log("Generating new rasterized image");
 
         // 1. Generate HTML from content
-        const htmlContent = this.formatToHTML(content, type);
+        const htmlContent = this.formatToHTML(content, type, options.template);
 
         // 2. Convert HTML to image and format for printer
         imageResult = await this.convertHTMLToImageNode(htmlContent);
@@ -214,32 +342,167 @@ class PrintFormatter {
 
       // ESC/POS commands for cutting and beeping
       const ESC = "\x1B";
-      const GS = "\x1D";
-      const INIT = `${ESC}@`; // Initialize printer
-      const BEL = "\x07"; // Bell character for beep
 
       // Create the complete print command sequence
-      let output = INIT;
+      let output = this.initCommands();
       output += printCommands;
 
       // Add multiple line feeds to ensure enough paper before cutting
       output += `${ESC}d\x08`; // Feed 8 lines
 
-      // Add beep
-      output += BEL + BEL;
-      output += `${ESC}B\x03\x03\x01`; // 3 beeps, duration 3, interval 1
-
-      // Add cuts
-      output += `${GS}V\x00`; // Full cut
-      output += `${GS}V\x41\x03`; // Partial cut with 3-dot feed
+      // Beep and cut the way the printer's profile says
+      output += this.beepCommands();
+      output += this.cutCommand();
 
-      return output;
+      return this.formatCopies(output, options);
     } catch (error) {
       console.error(`Error printing ${type} as image:`, error);
       throw new Error(`Failed to print ${type}: ${error.message}`);
     }
   }
 
+  /**
+   * Render content as a PDF document for office printers (IPP or LPD)
+   * @param {Object} content - Content to print (KOT or Bill object)
+   * @param {String} type - "kot" or "bill"
+   * @param {Object} options - Additional options including copies, copyLabels, pageSize and template
+   * @returns {Promise<string>} PDF document as a binary string
+   */
+  async printContentAsPDF(content, type, options = {}) {
+    const puppeteer = require("puppeteer");
+    let browser = null;
+
+    try {
+      const htmlContent = this.formatHTMLCopies(
+        this.formatToHTML(content, type, options.template),
+        options
+      );
+
+      browser = await puppeteer.launch({
+        headless: "new",
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      });
+
+      const page = await browser.newPage();
+      await page.setContent(htmlContent);
+
+      const pdf = await page.pdf({
+        format: options.pageSize || "A4",
+        printBackground: true,
+        margin: { top: "10mm", right: "10mm", bottom: "10mm", left: "10mm" },
+      });
+      console.log(`PDF rendered: ${pdf.length} bytes`);
+
+      return Buffer.from(pdf).toString("binary");
+    } catch (error) {
+      console.error(`Error printing ${type} as PDF:`, error);
+      throw new Error(`Failed to print ${type}: ${error.message}`);
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+
+  /**
+   * Repeat the body of an HTML document once per copy, each copy on a new
+   * page with its label at the top
+   * @param {string} html - HTML document for a single copy
+   * @param {Object} options - Options with copies and copyLabels
+   * @returns {string} HTML document with all copies
+   * @private
+   */
+  formatHTMLCopies(html, options = {}) {
+    const { copies, copyLabels } = this.getCopies(options);
+    const match = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    if (!match) return html;
+
+    let body = "";
+    for (let i = 0; i < copies; i++) {
+      const label = copyLabels[i]
+        ? `<div style="text-align: center; font-weight: bold;">${escapeHTML(
+            String(copyLabels[i]).toUpperCase()
+          )}</div>`
+        : "";
+      const pageBreak = i > 0 ? ' style="break-before: page;"' : "";
+      body += `<div${pageBreak}>${label}${match[1]}</div>`;
+    }
+
+    return html.replace(match[0], () => `<body>${body}</body>`);
+  }
+
+  /**
+   * Print content as plain text for office printers (IPP or LPD), with
+   * every copy on its own page
+   * @param {Object} content - Content to print (KOT or Bill object)
+   * @param {String} type - "kot" or "bill"
+   * @param {Object} options - Additional options including copies, copyLabels and template
+   * @returns {string} UTF-8 text as a binary string
+   */
+  printContentAsPlainText(content, type, options = {}) {
+    try {
+      const text = this.stripControlCodes(
+        this.formatTextContent(content, type, options.template)
+      );
+      const { copies, copyLabels } = this.getCopies(options);
+
+      const pages = [];
+      for (let i = 0; i < copies; i++) {
+        const label = copyLabels[i]
+          ? this.center(String(copyLabels[i]).toUpperCase()).trimEnd() + "\n"
+          : "";
+        pages.push(label + text);
+      }
+
+      // A form feed starts each copy on a new page
+      return Buffer.from(pages.join("\f"), "utf8").toString("binary");
+    } catch (error) {
+      console.error(`Error printing ${type} as plain text:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn ESC/POS formatted content into plain text. Lines the printer would
+   * center or right-align are padded to the center or end of the line width.
+   * @param {string} content - ESC/POS formatted content
+   * @returns {string} Plain text, keeping tabs and line breaks
+   */
+  stripControlCodes(content) {
+    let alignment = "\x00";
+
+    return content
+      .split("\n")
+      .map((line) => {
+        // Alignment (ESC a n) stays in effect until it is changed again
+        const alignments = Array.from(line.matchAll(/\x1Ba([\s\S])/g));
+        const lineAlignment =
+          alignments.length > 0 ? alignments[0][1] : alignment;
+        if (alignments.length > 0) {
+          alignment = alignments[alignments.length - 1][1];
+        }
+
+        const text = line
+          // ESC @ (initialize) has no parameter
+          .replace(/\x1B@/g, "")
+          // ESC and GS commands used by the formatter take one parameter byte
+          .replace(/[\x1B\x1D][\s\S][\s\S]/g, "")
+          .replace(/[\x00-\x08\x0B-\x1F\x7F]/g, "");
+
+        if (!text.trim()) {
+          return text;
+        }
+        if (lineAlignment === "\x01") {
+          return this.center(text.trim()).trimEnd();
+        }
+        if (lineAlignment === "\x02") {
+          return text.trim().padStart(this.config.charsPerLine);
+        }
+        return text;
+      })
+      .join("\n");
+  }
+
   /**
    * Save cache entry to disk
    * @param {String} hash - Content hash
@@ -584,987 +847,98 @@ class PrintFormatter {
   }
 
   /**
-   * Convert formatted content to HTML
-   * @param {Object} content - Content object (KOT or Bill)
+   * Get the template to lay out content with. A template that cannot be
+   * used is logged and the type's own template is used instead, so a
+   * mistake in a custom layout does not stop orders from printing.
    * @param {String} type - "kot" or "bill"
-   * @returns {string} HTML representation
+   * @param {string} [name] - Template name (default: the type, e.g. "kot")
+   * @returns {Object} Template
    */
-  formatToHTML(content, type) {
-    if (type.toLowerCase() === "kot") {
-      return this.formatKOTToHTML(content);
-    } else if (type.toLowerCase() === "bill") {
-      return this.formatBillToHTML(content);
+  getTemplate(type, name) {
+    const defaultName = type.toLowerCase();
+    if (!["kot", "bill"].includes(defaultName)) {
+      throw new Error(`Unsupported format type: ${type}`);
     }
-    throw new Error(`Unsupported format type: ${type}`);
-  }
-
-  /**
-   * Format KOT content as HTML
-   * @param {Object} content - KOT content
-   * @returns {string} HTML representation of KOT
-   */
-  formatKOTToHTML(content) {
-    const { header, items, footer, note, orderedBy } = content;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <style>
-          body {
-            font-family: Arial, 'Helvetica Neue', sans-serif;
-            width: ${this.config.lineWidth}px;
-            margin: 0;
-            padding: 0;
-            font-size: 30px;
-          }
-          .center { text-align: center; }
-          .left { text-align: left; }
-          .right { text-align: right; }
-          .bold { font-weight: bold; }
-          .large { 
-            font-size: 32px;
-          }
-          .medium { 
-            font-size: 30px;
-          }
-          .small {
-            font-size: 24px;
-          }
-          .divider {
-            border-bottom: 3px dashed #000000;
-            width: 100%;
-            margin: 10px 0;
-          }
-          .key-value-row {
-            display: flex;
-            justify-content: space-between;
-            margin: 8px 0;
-          }
-          .key-value-left {
-            display: flex;
-            justify-content: flex-start;
-            margin: 8px 0;
-            flex: 1;
-          }
-          .key-value-right {
-            display: flex;
-            justify-content: flex-end;
-            margin: 8px 0;
-            flex: 1;
-            text-align: right;
-          }
-          table {
-            width: 100%;
-            border-collapse: collapse;
-          }
-          th, td {
-            padding: 8px 4px;
-            text-align: left;
-            vertical-align: top;
-          }
-          td.item {
-            text-transform: uppercase;
-            padding-right: 15px;
-            width: 80%;
-            font-weight: bold;
-          }
-          th.status, td.status {
-            text-align: right;
-            width: 20%;
-          }
-          .print-method {
-            color: transparent;
-            font-size: 1px;
-            position: absolute;
-            bottom: 0;
-            left: 0;
-          }
-          .instructions {
-            font-style: italic;
-            margin-top: 10px;
-          }
-          .order-type {
-            font-size: 30px;
-            font-weight: bold;
-          }
-        </style>
-      </head>
-      <body>
-        <!-- Hidden marker to identify this was printed using HTML method -->
-        <div class="print-method">HTML-IMAGE-PRINT</div>
-
-        <div class="center">(${header.kotType})</div>
-        <div class="center bold">Order No: #${
-          header.kotNumber || "2403250001"
-        }</div>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-row small">
-          <div style="flex: 1;">
-            <span>To: ${header.customerName}</span>
-          </div>
-          <div style="flex: 1; text-align: right;">
-            <span class="order-type">Table: ${header.orderType}</span>
-          </div>
-        </div>
-        
-        <div class="key-value-row small">
-          <div style="flex: 1;">
-            <span>Date: ${
-              header.date ? header.date.split(" ")[0] : "24/03/2025"
-            }</span>
-          </div>
-          <div style="flex: 1; text-align: right;">
-            <span>Time: ${
-              header.date ? header.date.split(" ")[1] : "10:00 AM"
-            }</span>
-          </div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        <table>
-          <tr>
-            <th>Qty x Item</th>
-            <th class="status">Status</th>
-          </tr>
-        </table>
-        
-        <div class="divider"></div>
-        
-        <table>
-          ${items
-            .map((item) => {
-              const statusIndicator = this.getStatusIndicator(
-                item.status || ""
-              );
-              const statusDisplay = statusIndicator
-                ? `[${statusIndicator}]`
-                : "";
-
-              return `
-              <tr>
-                <td class="item">${
-                  item.quantity || 0
-                } <span style="font-size: 16px;">x</span> ${item.name}</td>
-                <td class="status">${statusDisplay}</td>
-              </tr>
-            `;
-            })
-            .join("")}
-        </table>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-row">
-          <div class="key-value-left">
-            <span>Ordered By:</span>
-          </div>
-          <div class="key-value-right">
-            <span>${orderedBy || header.waiterName || ""}</span>
-          </div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        ${
-          note &&
-          `
-          <div class="instructions">
-            <span>Instructions: ${note}</span>
-          </div>
-        `
-        }
-        
-        <!-- Add extra space at the bottom for cutting -->
-        <div style="height: 30px;"></div>
-      </body>
-      </html>
-    `;
-  }
 
-  /**
-   * Format Bill content as HTML
-   * @param {Object} content - Bill content
-   * @returns {string} HTML representation of Bill
-   */
-  formatBillToHTML(content) {
-    const { header, items, summary } = content;
-
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <style>
-          body {
-            font-family: Arial, 'Helvetica Neue', sans-serif;
-            width: ${this.config.lineWidth}px;
-            margin: 0;
-            padding: 0;
-            font-size: 28px;
-          }
-          .center { text-align: center; }
-          .left { text-align: left; }
-          .right { text-align: right; }
-          .bold { font-weight: bold; }
-          .large { 
-            font-size: 30px;
-            font-weight: bold;
-          }
-          .medium { 
-            font-size: 28px;
-            font-weight: bold;
-          }
-          .small {
-            font-size: 22px;
-          }
-          .divider {
-            border-bottom: 3px dashed #000000;
-            width: 100%;
-            margin: 10px 0;
-          }
-          .key-value-row {
-            display: flex;
-            justify-content: space-between;
-            margin: 8px 0;
-          }
-          .key-value-full {
-            display: flex;
-            justify-content: space-between;
-            margin: 8px 0;
-          }
-          table {
-            width: 100%;
-            border-collapse: collapse;
-            table-layout: fixed;
-          }
-          th, td {
-            padding: 6px 4px;
-            text-align: left;
-            vertical-align: top;
-          }
-          th {
-            font-weight: normal;
-          }
-          th.item-name, td.item-name {
-            width: 50%;
-            text-align: left;
-            word-wrap: break-word;
-            text-transform: uppercase;
-          }
-          th.price, td.price {
-            width: 18%;
-            text-align: right;
-          }
-          th.qty, td.qty {
-            width: 12%;
-            text-align: right;
-          }
-          th.total, td.total {
-            width: 20%;
-            text-align: right;
-          }
-          .thank-you {
-            text-align: center;
-            margin: 20px 0;
-            font-size: 28px;
-            font-weight: bold;
-          }
-          .print-method {
-            color: transparent;
-            font-size: 1px;
-            position: absolute;
-            bottom: 0;
-            left: 0;
-          }
-          .gst-box {
-            margin: 10px auto;
-            border: 1px solid #000;
-            width: 95%;
-            text-align: center;
-            padding: 5px;
-          }
-          .gst-title {
-            text-align: center;
-            padding: 3px 0;
-            border-bottom: 1px dashed #000;
-          }
-          .gst-values {
-            text-align: center;
-            padding: 3px 0;
-          }
-          .summary-row {
-            display: flex;
-            justify-content: space-between;
-            margin: 5px 0;
-          }
-          .summary-label {
-            text-align: left;
-          }
-          .summary-value {
-            text-align: right;
-          }
-          .total-row {
-            font-weight: bold;
-            font-size: 28px;
-          }
-        </style>
-      </head>
-      <body>
-        <!-- Hidden marker to identify this was printed using HTML method -->
-        <div class="print-method">HTML-IMAGE-PRINT</div>
-
-        <div class="center large">${header.restaurantName.toUpperCase()}</div>
-        ${
-          header.description
-            ? `<div class="center">(${header.description})</div>`
-            : ""
-        }
-        ${header.address ? `<div class="center">${header.address}</div>` : ""}
-        ${header.phoneNo ? `<div class="center">${header.phoneNo}</div>` : ""}
-         ${
-           header.email ? `<div class="center small">${header.email}</div>` : ""
-         }
-        ${
-          header.gstin ? `<div class="center">GSTIN: ${header.gstin}</div>` : ""
-        }
+    if (name && name !== defaultName) {
+      try {
+        return this.templates.get(name);
+      } catch (error) {
+        console.error(`${error.message}\nPrinting with ${defaultName}`);
+      }
+    }
 
-        
-        <div class="divider"></div>
-        
-        <div class="center medium">Bill No: ${header.invoice || "NA"}</div>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-row">
-          <div style="flex: 1;">
-            <span>To: ${header.customerName}</span>
-          </div>
-          <div style="flex: 1; text-align: right;">
-            <span class="bold"> ${header.orderType}</span>
-          </div>
-        </div>
-        
-        <div class="key-value-row">
-          <div style="flex: 1;">
-            <span>Date: ${
-              header.date ? header.date.split(" ")[0] : "24/03/2025"
-            }</span>
-          </div>
-          <div style="flex: 1; text-align: right;">
-            <span>Time: ${
-              header.date ? header.date.split(" ")[1] : "10:00 AM"
-            }</span>
-          </div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        <table>
-          <thead>
-            <tr>
-              <th class="item-name">Item</th>
-              <th class="price">Price (Rs)</th>
-              <th class="qty">Qty</th>
-              <th class="total">Total (Rs)</th>
-            </tr>
-          </thead>
-          <tbody>
-            <tr><td colspan="4"><div class="divider" style="margin: 4px 0;"></div></td></tr>
-            ${items
-              .map((item) => {
-                // Ensure price and quantity are numbers
-                const price = Number(item.price || 0);
-                const quantity = Number(item.quantity || 0);
-                const total = price * quantity;
-
-                return `
-                <tr>
-                  <td class="item-name">${item.name}</td>
-                  <td class="price">${price.toFixed(2)}</td>
-                  <td class="qty">${quantity}</td>
-                  <td class="total">${total.toFixed(2)}</td>
-                </tr>
-              `;
-              })
-              .join("")}
-          </tbody>
-        </table>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-full">
-          <div class="summary-label">Subtotal:</div>
-          <div class="summary-value">Rs. ${Number(
-            summary.subTotal || 0
-          ).toFixed(2)}</div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-full">
-          <div class="summary-label">Discount (${summary.discount || 0}%)</div>
-          <div class="summary-value">-Rs. ${Number(
-            summary.discountAmount || 0
-          ).toFixed(2)}</div>
-        </div>
-        
-        <div class="key-value-full">
-          <div class="summary-label">GST</div>
-          <div class="summary-value">+Rs. ${(
-            Number(summary.sgst || 0) + Number(summary.cgst || 0)
-          ).toFixed(2)}</div>
-        </div>
-        
-        <div class="gst-box">
-          <div class="gst-title">SGST+CGST=GST</div>
-          <div class="gst-values">Rs.${Number(summary.sgst || 0).toFixed(
-            2
-          )} + Rs.${Number(summary.cgst || 0).toFixed(2)} = Rs.${(
-      Number(summary.sgst || 0) + Number(summary.cgst || 0)
-    ).toFixed(2)}</div>
-        </div>
-        
-        <div class="key-value-full">
-          <div class="summary-label">Round Off</div>
-          <div class="summary-value">-Rs. ${Number(
-            summary.rounded || 0
-          ).toFixed(2)}</div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        <div class="key-value-full total-row">
-          <div class="summary-label">Total Payable</div>
-          <div class="summary-value">Rs. ${Number(summary.total || 0).toFixed(
-            2
-          )}</div>
-        </div>
-        
-        <div class="divider"></div>
-        
-        <div class="thank-you">Thank you & Visit us again!</div>
-        
-       
-        <!-- Add extra space at the bottom for cutting -->
-        <div style="height: 30px;"></div>
-      </body>
-      </html>
-    `;
+    return this.templates.get(defaultName);
   }
 
   /**
-   * Get status indicator for KOT items
-   * @private
+   * Get the values template placeholders are filled from: the content,
+   * plus the totals the layouts show but the content does not carry
+   * @param {Object} content - Content object (KOT or Bill)
+   * @param {String} type - "kot" or "bill"
+   * @returns {Object} Template data
    */
-  getStatusIndicator(status) {
-    switch (status.toUpperCase()) {
-      case "NEW":
-        return "N";
-      case "MODIFIED":
-        return "M";
-      case "CANCEL":
-      case "CANCELLED":
-        return "C";
-      case "REPEAT":
-        return "R";
-      default:
-        return "";
+  getTemplateData(content, type) {
+    const header = content.header || {};
+    const items = content.items || [];
+
+    if (type.toLowerCase() === "kot") {
+      return {
+        ...content,
+        header,
+        items,
+        orderedBy: content.orderedBy || header.waiterName || "",
+      };
     }
+
+    const summary = content.summary || {};
+    return {
+      ...content,
+      header,
+      items: items.map((item) => ({
+        ...item,
+        lineTotal: Number(item.price || 0) * Number(item.quantity || 0),
+      })),
+      summary: {
+        ...summary,
+        gst: Number(summary.sgst || 0) + Number(summary.cgst || 0),
+      },
+    };
   }
 
   /**
-   * Format a KOT content
-   * @param {Object} content - KOT content
-   * @returns {string} Formatted KOT content
+   * Format content as ESC/POS text with its template
+   * @param {Object} content - Content object (KOT or Bill)
+   * @param {String} type - "kot" or "bill"
+   * @param {string} [templateName] - Template name (default: the type)
+   * @returns {string} ESC/POS commands, without the cut
    */
-  formatKOTContent(content) {
-    const { header, items, footer, note, orderedBy } = content;
-    let output = "";
-
-    // ESC/POS commands for text alignment and formatting
-    const ESC = "\x1B";
-    const CENTER = `${ESC}a\x01`;
-    const LEFT = `${ESC}a\x00`;
-    const BOLD_ON = `${ESC}E\x01`;
-    const BOLD_OFF = `${ESC}E\x00`;
-    const INIT = `${ESC}@`; // Initialize printer
-
-    // Font size commands - adjust sizes as needed
-    const NORMAL_SIZE = `${ESC}!\x00`; // Normal size
-    const LARGE_SIZE = `${ESC}!\x18`; // Double width and height (24 = 0x18) - medium large
-    const MEDIUM_SIZE = `${ESC}!\x10`; // Double height (16 = 0x10)
-    const SMALL_SIZE = `${ESC}!\x00`; // Small size (0 = 0x00)
-
-    // Initialize printer
-    output += INIT;
-
-    // KOT Type
-    output += CENTER + MEDIUM_SIZE + `(${header.kotType})` + NORMAL_SIZE + "\n";
-
-    // KOT Number
-    output +=
-      CENTER +
-      BOLD_ON +
-      MEDIUM_SIZE +
-      `Order No: #${header.kotNumber || ""}` +
-      NORMAL_SIZE +
-      BOLD_OFF +
-      "\n";
-
-    // Divider
-    output += LEFT + this.divider() + "\n";
-
-    // Customer and Table info - Make orderType bold and medium large
-    output +=
-      LEFT +
-      SMALL_SIZE +
-      `To: ${header.customerName}` +
-      " ".repeat(
-        Math.max(0, this.config.charsPerLine - header.customerName.length - 15)
-      ) +
-      BOLD_ON +
-      LARGE_SIZE +
-      `${header.orderType}` +
-      NORMAL_SIZE +
-      BOLD_OFF +
-      "\n";
-
-    // Date and Time info
-    const dateStr = header.date ? header.date.split(" ")[0] : "";
-    const timeStr = header.date ? header.date.split(" ")[1] : "";
-
-    output +=
-      LEFT +
-      SMALL_SIZE +
-      `Date: ${dateStr}` +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine - dateStr.length - timeStr.length - 12
-        )
-      ) +
-      `Time: ${timeStr}` +
-      NORMAL_SIZE +
-      "\n";
-
-    // Divider
-    output += LEFT + this.divider() + "\n";
-
-    // Table header
-    output +=
-      LEFT +
-      BOLD_ON +
-      "Qty x Item" +
-      " ".repeat(Math.max(0, this.config.charsPerLine - 16)) +
-      "Status" +
-      BOLD_OFF +
-      "\n";
-
-    // Divider below header
-    output += LEFT + this.divider() + "\n";
-
-    // Add items with MEDIUM-LARGE formatting instead of LARGE
-    if (items && items.length > 0) {
-      items.forEach((item) => {
-        // Get status indicator if available
-        let statusDisplay = "";
-        if (item.status) {
-          const statusIndicator = this.getStatusIndicator(item.status);
-          if (statusIndicator) {
-            statusDisplay = `[${statusIndicator}]`;
-          }
-        }
-
-        // Calculate available width for item name
-        const nameWidth = Math.max(10, this.config.charsPerLine - 10);
-
-        // Format the item name with proper wrapping if needed
-        // Convert item name to uppercase for better visibility
-        const name = item.name.trim().toUpperCase();
-        const qtyStr = `${item.quantity || 0}`;
-
-        // Format with QTY x ITEM - MEDIUM-LARGE instead of LARGE
-        if (name.length <= nameWidth - qtyStr.length - 3) {
-          const itemText = `${qtyStr} x ${name}`;
-          const paddingWidth =
-            this.config.charsPerLine - itemText.length - statusDisplay.length;
-
-          output +=
-            LEFT +
-            BOLD_ON +
-            LARGE_SIZE + // Use LARGE_SIZE (0x18) which is medium-large
-            itemText +
-            " ".repeat(Math.max(0, paddingWidth)) +
-            statusDisplay +
-            NORMAL_SIZE +
-            BOLD_OFF +
-            "\n";
-        } else {
-          // Complex case: name needs to be wrapped
-          const firstLinePart = name.substring(
-            0,
-            nameWidth - qtyStr.length - 3
-          );
-          const firstLine = `${qtyStr} x ${firstLinePart}`;
-          const remainingText = name.substring(nameWidth - qtyStr.length - 3);
-          const paddingWidth =
-            this.config.charsPerLine - firstLine.length - statusDisplay.length;
-
-          output +=
-            LEFT +
-            BOLD_ON +
-            LARGE_SIZE + // Use LARGE_SIZE (0x18) which is medium-large
-            firstLine +
-            " ".repeat(Math.max(0, paddingWidth)) +
-            statusDisplay +
-            NORMAL_SIZE +
-            BOLD_OFF +
-            "\n";
-
-          // Additional lines for the wrapped text, if any
-          if (remainingText) {
-            // Split remaining text into chunks
-            for (let i = 0; i < remainingText.length; i += nameWidth) {
-              const chunk = remainingText.substring(
-                i,
-                Math.min(i + nameWidth, remainingText.length)
-              );
-              output +=
-                LEFT +
-                BOLD_ON +
-                LARGE_SIZE + // Use LARGE_SIZE (0x18) which is medium-large
-                " ".repeat(qtyStr.length + 3) + // Indent to align with first line text
-                chunk +
-                NORMAL_SIZE +
-                BOLD_OFF +
-                "\n";
-            }
-          }
-        }
-      });
-    }
-
-    // Divider
-    output += LEFT + this.divider() + "\n";
-
-    // Ordered By section
-    output +=
-      LEFT +
-      "Ordered By:" +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine -
-            15 -
-            (orderedBy || header.waiterName || "").length
-        )
-      ) +
-      (orderedBy || header.waiterName || "") +
-      "\n";
-
-    // Divider
-    output += LEFT + this.divider() + "\n";
-
-    // Chef notes
-    if (note) {
-      output += LEFT + BOLD_ON + "Instructions: " + BOLD_OFF + note + "\n";
-    }
-
-    // Only add 1 line of extra space instead of multiple
-    output += "\n";
-
-    // Add beep sound
-    const BEL = "\x07"; // Bell character for beep
-    output += BEL + BEL; // Two beeps using standard bell character
+  formatTextContent(content, type, templateName) {
+    const template = this.getTemplate(type, templateName);
+    const body = TemplateRenderer.renderText(
+      template,
+      this.getTemplateData(content, type),
+      { charsPerLine: this.config.charsPerLine }
+    );
 
-    return output;
+    return this.initCommands() + body + this.beepCommands();
   }
 
   /**
-   * Format a bill content
-   * @param {Object} content - Bill content
-   * @returns {string} Formatted bill content
+   * Convert formatted content to HTML
+   * @param {Object} content - Content object (KOT or Bill)
+   * @param {String} type - "kot" or "bill"
+   * @param {string} [templateName] - Template name (default: the type)
+   * @returns {string} HTML representation
    */
-  formatBillContent(content) {
-    const { header, items, summary } = content;
-    let output = "";
-
-    // ESC/POS commands for text alignment and formatting
-    const ESC = "\x1B";
-    const CENTER = `${ESC}a\x01`;
-    const LEFT = `${ESC}a\x00`;
-    const BOLD_ON = `${ESC}E\x01`;
-    const BOLD_OFF = `${ESC}E\x00`;
-    const INIT = `${ESC}@`; // Initialize printer
-
-    // Font size commands
-    const NORMAL_SIZE = `${ESC}!\x00`; // Normal size
-    const LARGE_SIZE = `${ESC}!\x18`; // Double width and height (24 = 0x18)
-    const MEDIUM_SIZE = `${ESC}!\x10`; // Double height (16 = 0x10)
-    const SMALL_SIZE = `${ESC}!\x00`; // Small size (0 = 0x00)
-
-    // Initialize
-    output += INIT;
-    // Start BOLD for the entire content
-    output += BOLD_ON;
-
-    // Restaurant name
-    output +=
-      CENTER +
-      MEDIUM_SIZE +
-      header.restaurantName.toUpperCase() +
-      NORMAL_SIZE +
-      "\n";
-
-    // Restaurant details
-    if (header.description) {
-      output += CENTER + `(${header.description})` + "\n";
-    }
-
-    if (header.address) {
-      output += CENTER + header.address + "\n";
-    }
-
-    if (header.phoneNo) {
-      output += CENTER + header.phoneNo + "\n";
-    }
-
-    if (header.email) {
-      output += CENTER + SMALL_SIZE + header.email + NORMAL_SIZE + "\n";
-    }
-
-    if (header.gstin) {
-      output += CENTER + `GSTIN: ${header.gstin}` + "\n";
-    }
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Invoice number
-    output +=
-      CENTER +
-      MEDIUM_SIZE +
-      `BILL NO: ${header.invoice || "NA"}` +
-      NORMAL_SIZE +
-      "\n";
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Customer and Order Type
-    output +=
-      LEFT +
-      `To: ${header.customerName}` +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine -
-            header.customerName.length -
-            4 - // "To: " is 4 characters
-            header.orderType.length
-        )
-      ) +
-      `${header.orderType}` +
-      "\n";
-
-    // Date and Time
-    const dateStr = header.date ? header.date.split(" ")[0] : "";
-    const timeStr = header.date ? header.date.split(" ")[1] : "";
-
-    output +=
-      LEFT +
-      `Date: ${dateStr}` +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine - dateStr.length - timeStr.length - 12
-        )
-      ) +
-      `Time: ${timeStr}` +
-      "\n";
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Table header
-    const itemWidth = Math.floor(this.config.charsPerLine * 0.5);
-    const priceWidth = Math.floor(this.config.charsPerLine * 0.2);
-    const qtyWidth = Math.floor(this.config.charsPerLine * 0.1);
-    const totalWidth =
-      this.config.charsPerLine - itemWidth - priceWidth - qtyWidth;
-
-    output +=
-      LEFT +
-      "Item".padEnd(itemWidth) +
-      "Price(Rs)".padStart(priceWidth) +
-      "Qty".padStart(qtyWidth) +
-      "Total(Rs)".padStart(totalWidth) +
-      "\n";
-
-    // Divider below header
-    output += this.divider() + "\n";
-
-    // Add items with formatting matching the HTML table
-    if (items && items.length > 0) {
-      items.forEach((item) => {
-        // Ensure price and quantity are numbers
-        const price = Number(item.price || 0);
-        const quantity = Number(item.quantity || 0);
-        const total = price * quantity;
-
-        // Format item name to fit in itemWidth
-        let nameLines = [];
-        let tempName = item.name.trim();
-
-        // Create word-wrapping for names that are too long
-        while (tempName.length > itemWidth) {
-          const cutPoint = tempName.substring(0, itemWidth).lastIndexOf(" ");
-          if (cutPoint === -1) {
-            // No space found, just cut at itemWidth
-            nameLines.push(tempName.substring(0, itemWidth));
-            tempName = tempName.substring(itemWidth);
-          } else {
-            // Cut at last space
-            nameLines.push(tempName.substring(0, cutPoint));
-            tempName = tempName.substring(cutPoint + 1);
-          }
-        }
-
-        if (tempName.length > 0) {
-          nameLines.push(tempName);
-        }
-
-        // First line with all columns
-        output +=
-          LEFT +
-          nameLines[0].padEnd(itemWidth) +
-          price.toFixed(2).padStart(priceWidth) +
-          quantity.toString().padStart(qtyWidth) +
-          total.toFixed(2).padStart(totalWidth) +
-          "\n";
-
-        // If there are wrapped lines, print them
-        for (let i = 1; i < nameLines.length; i++) {
-          output +=
-            LEFT +
-            nameLines[i].padEnd(itemWidth) +
-            "".padStart(priceWidth + qtyWidth + totalWidth) +
-            "\n";
-        }
-      });
-    }
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Summary section
-    output +=
-      LEFT +
-      "Subtotal:" +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine - 15 - summary.subTotal.toFixed(2).length
-        )
-      ) +
-      `Rs. ${summary.subTotal.toFixed(2)}` +
-      "\n";
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Discount
-    output +=
-      LEFT +
-      `Discount (${summary.discount || 0}%)` +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine -
-            16 -
-            summary.discount.toString().length -
-            summary.discountAmount.toFixed(2).length
-        )
-      ) +
-      `-Rs. ${summary.discountAmount.toFixed(2)}` +
-      "\n";
-
-    // GST
-    const gstTotal = (
-      Number(summary.sgst || 0) + Number(summary.cgst || 0)
-    ).toFixed(2);
-    output +=
-      LEFT +
-      "GST" +
-      " ".repeat(Math.max(0, this.config.charsPerLine - 10 - gstTotal.length)) +
-      `+Rs. ${gstTotal}` +
-      "\n";
-
-    // GST box - simplified
-    output += LEFT + this.divider() + "\n";
-    output += LEFT + "SGST+CGST=GST" + "\n";
-    output +=
-      LEFT +
-      `Rs.${Number(summary.sgst || 0).toFixed(2)} + Rs.${Number(
-        summary.cgst || 0
-      ).toFixed(2)} = Rs.${gstTotal}` +
-      "\n";
-    output += LEFT + this.divider() + "\n";
-
-    // Round off
-    output +=
-      LEFT +
-      "Round Off" +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine - 15 - summary.rounded.toFixed(2).length
-        )
-      ) +
-      `-Rs. ${summary.rounded.toFixed(2)}` +
-      "\n";
-
-    // Divider
-    output += this.divider() + "\n";
+  formatToHTML(content, type, templateName) {
+    const template = this.getTemplate(type, templateName);
 
-    // Total Payable
-    output +=
-      LEFT +
-      MEDIUM_SIZE +
-      "Total Payable" +
-      " ".repeat(
-        Math.max(
-          0,
-          this.config.charsPerLine - 20 - summary.total.toFixed(2).length
-        )
-      ) +
-      `Rs. ${summary.total.toFixed(2)}` +
-      NORMAL_SIZE +
-      "\n";
-
-    // Divider
-    output += this.divider() + "\n";
-
-    // Thank you message
-    output +=
-      CENTER + MEDIUM_SIZE + "Thank you & Visit us again!" + NORMAL_SIZE + "\n";
-
-    // Only add 1 line of extra space
-    output += "\n";
-
-    // End BOLD for the entire content
-    output += BOLD_OFF;
-
-    // Add beep sound
-    const BEL = "\x07"; // Bell character for beep
-    output += BEL + BEL; // Two beeps using standard bell character
-
-    return output;
+    return TemplateRenderer.renderHTML(
+      template,
+      this.getTemplateData(content, type),
+      { lineWidth: this.config.lineWidth }
+    );
   }
 
   /**
@@ -1641,6 +1015,73 @@ class PrintFormatter {
     return output;
   }
 
+  /**
+   * Format an alignment page: rulers and edge markers that show whether the
+   * configured characters per line match the paper in the printer
+   * @param {Object} details - Printer details
+   * @param {string} details.printerId - Printer ID
+   * @param {string} [details.name] - Printer name
+   * @param {string} details.paperWidth - Paper width key, e.g. MM_80
+   * @param {string} [details.profile] - Printer profile ID
+   * @returns {string} Formatted alignment page, without the cut
+   */
+  formatAlignmentPage(details) {
+    const { charsPerLine, lineWidth } = this.config;
+    let output = "";
+
+    const ESC = "\x1B";
+    const CENTER = `${ESC}a\x01`;
+    const LEFT = `${ESC}a\x00`;
+    const BOLD_ON = `${ESC}E\x01`;
+    const BOLD_OFF = `${ESC}E\x00`;
+    const NORMAL_SIZE = `${ESC}!\x00`;
+    const MEDIUM_SIZE = `${ESC}!\x10`;
+    const LARGE_SIZE = `${ESC}!\x18`;
+
+    output += this.initCommands();
+    output += CENTER + BOLD_ON + MEDIUM_SIZE + "ALIGNMENT PAGE" + NORMAL_SIZE;
+    output += BOLD_OFF + "\n";
+    output += CENTER + (details.name || details.printerId) + "\n";
+    output += LEFT + this.divider() + "\n";
+
+    output += this.keyValue("Printer ID", details.printerId) + "\n";
+    if (details.profile) {
+      output += this.keyValue("Profile", details.profile) + "\n";
+    }
+    output += this.keyValue("Paper width", details.paperWidth) + "\n";
+    output += this.keyValue("Chars/line", String(charsPerLine)) + "\n";
+    output += this.keyValue("Dots/line", String(lineWidth)) + "\n";
+    output += this.divider() + "\n";
+
+    // Column rulers: tens on the first line, units on the second
+    let tens = "";
+    let units = "";
+    for (let column = 1; column <= charsPerLine; column++) {
+      tens += column % 10 === 0 ? String((column / 10) % 10) : " ";
+      units += String(column % 10);
+    }
+    output += tens + "\n" + units + "\n";
+
+    // Edge markers: both ends must be on the paper, on one line each
+    output += "<" + "=".repeat(Math.max(0, charsPerLine - 2)) + ">\n";
+    output += "|" + " ".repeat(Math.max(0, charsPerLine - 2)) + "|\n";
+    output += "Left\n";
+    output += this.center("Center").trimEnd() + "\n";
+    output += " ".repeat(Math.max(0, charsPerLine - 5)) + "Right\n";
+    output += this.divider() + "\n";
+
+    output += MEDIUM_SIZE + "Double height" + NORMAL_SIZE + "\n";
+    output += LARGE_SIZE + "Large" + NORMAL_SIZE + "\n";
+    output += BOLD_ON + "Bold" + BOLD_OFF + "\n";
+    output += this.divider() + "\n";
+
+    // Wrapped rulers mean the paper is narrower than the paper width
+    output += "Rulers and markers must not\n";
+    output += "wrap or be cut off.\n";
+
+    return output;
+  }
+
   /**
    * Center text within the line width
    * @param {string} text - Text to center
@@ -1686,15 +1127,18 @@ class PrintFormatter {
    * Generate a unique hash for content caching
    * @param {Object} content - Content to hash
    * @param {String} type - Content type
+   * @param {Object} [template] - Template the content is laid out with
    * @returns {string} Content hash
    * @private
    */
-  generateContentHash(content, type) {
+  generateContentHash(content, type, template) {
     try {
-      // Create a string that includes both content and type
+      // Create a string that includes content, type and template, so an
+      // edited template is not answered with an image of the old layout
       const contentString = JSON.stringify({
         content,
         type,
+        template,
         config: this.config, // Include config to ensure different configs get different caches
       });
 
@@ -1708,4 +1152,18 @@ class PrintFormatter {
   }
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 module.exports = PrintFormatter;
@@ -0,0 +1,349 @@
+/**
+ * Print Queue
+ *
+ * Keeps an independent queue and worker pool for every printer, so a slow
+ * or offline printer only delays its own jobs and never the others. Within a
+ * printer's queue, jobs are taken by priority and then in arrival order.
+ */
+
+// Priority levels, higher runs first
+const PRIORITY_LEVELS = {
+  urgent: 2,
+  normal: 1,
+  bulk: 0,
+};
+
+class PrintQueue {
+  /**
+   * Create a new print queue
+   * @param {Object} options - Queue options
+   * @param {Function} options.worker - Async function that prints a job and resolves with a result; it is passed an AbortSignal that aborts when the job times out
+   * @param {Function} options.getPrinterOptions - Returns { concurrency, timeout } overrides for a printer ID
+   * @param {number} options.concurrency - Default number of jobs in flight per printer (default: 1)
+   * @param {number} options.timeout - Default time in ms before a job is abandoned (default: 60000)
+   * @param {number} options.agingInterval - Time in ms a waiting job needs to move up one priority level (default: 30000)
+   */
+  constructor(options = {}) {
+    this.worker = options.worker;
+    this.getPrinterOptions = options.getPrinterOptions || (() => ({}));
+    this.defaultConcurrency = options.concurrency || 1;
+    this.defaultTimeout = options.timeout || 60000;
+    this.agingInterval = options.agingInterval || 30000;
+
+    // One queue per printer ID
+    this.queues = new Map();
+  }
+
+  /**
+   * Get the queue for a printer, creating it on first use
+   * @param {string} printerId - Printer ID
+   * @returns {Object} Printer queue
+   * @private
+   */
+  getQueue(printerId) {
+    if (!this.queues.has(printerId)) {
+      this.queues.set(printerId, {
+        printerId,
+        pending: [],
+        inFlight: new Map(),
+        held: false,
+        completed: 0,
+        failed: 0,
+      });
+    }
+
+    return this.queues.get(printerId);
+  }
+
+  /**
+   * Get the concurrency and timeout settings for a printer
+   * @param {string} printerId - Printer ID
+   * @returns {{concurrency: number, timeout: number}}
+   * @private
+   */
+  getLimits(printerId) {
+    const overrides = this.getPrinterOptions(printerId) || {};
+
+    return {
+      concurrency: overrides.concurrency || this.defaultConcurrency,
+      timeout: overrides.timeout || this.defaultTimeout,
+    };
+  }
+
+  /**
+   * Add a job to a printer's queue
+   * @param {string} printerId - Printer ID the job is queued for
+   * @param {Object} job - The print job
+   * @param {string} [priority] - "urgent", "normal" or "bulk" (default: normal)
+   * @returns {Promise<Object>} Resolves with the worker result once the job has run
+   */
+  enqueue(printerId, job, priority = "normal") {
+    const queue = this.getQueue(printerId);
+
+    if (!(priority in PRIORITY_LEVELS)) {
+      console.warn(`Unknown priority "${priority}", using normal`);
+      priority = "normal";
+    }
+
+    return new Promise((resolve) => {
+      queue.pending.push({ job, resolve, priority, queuedAt: Date.now() });
+
+      if (queue.inFlight.size > 0) {
+        console.log(
+          `Job ${job.id || "unknown"} queued for printer ${printerId} (${
+            queue.pending.length
+          } waiting)`
+        );
+      }
+
+      this.drain(queue);
+    });
+  }
+
+  /**
+   * Start as many pending jobs as the printer's concurrency allows
+   * @param {Object} queue - Printer queue
+   * @private
+   */
+  drain(queue) {
+    if (queue.held) return;
+
+    const { concurrency, timeout } = this.getLimits(queue.printerId);
+
+    while (queue.inFlight.size < concurrency && queue.pending.length > 0) {
+      const entry = this.takeNext(queue);
+      this.run(queue, entry, timeout);
+    }
+  }
+
+  /**
+   * Remove and return the pending job that should run next. A job's level
+   * rises by one for every agingInterval it has waited, so bulk jobs are
+   * never starved by a steady stream of urgent ones.
+   * @param {Object} queue - Printer queue
+   * @returns {Object} Queue entry
+   * @private
+   */
+  takeNext(queue) {
+    const now = Date.now();
+    let bestIndex = 0;
+    let bestLevel = -Infinity;
+
+    queue.pending.forEach((entry, index) => {
+      const level =
+        PRIORITY_LEVELS[entry.priority] +
+        Math.floor((now - entry.queuedAt) / this.agingInterval);
+
+      // Strictly greater keeps arrival order between equal levels
+      if (level > bestLevel) {
+        bestLevel = level;
+        bestIndex = index;
+      }
+    });
+
+    return queue.pending.splice(bestIndex, 1)[0];
+  }
+
+  /**
+   * Run a single job on a printer's worker slot. A job that times out is
+   * resolved as failed at once, and its worker is told to stop through the
+   * abort signal; the slot stays taken until the worker has settled, so the
+   * printer is never sent a second job while the first may still be writing.
+   * A worker that has not settled another timeout later is given up on, so
+   * one that hangs cannot block the printer for good.
+   * @param {Object} queue - Printer queue
+   * @param {Object} entry - Queue entry with job and resolve callback
+   * @param {number} timeout - Time in ms before the job is abandoned
+   * @private
+   */
+  async run(queue, entry, timeout) {
+    const { job } = entry;
+    const slot = {};
+    const running = { job, startedAt: Date.now(), abandoned: false };
+    const controller = new AbortController();
+    queue.inFlight.set(slot, running);
+
+    const work = Promise.resolve()
+      .then(() => this.worker(job, controller.signal))
+      .catch((error) => ({ success: false, error: error.message }));
+
+    let timer;
+    const result = await Promise.race([
+      work,
+      new Promise((resolve) => {
+        timer = setTimeout(() => {
+          console.error(
+            `Job ${job.id || "unknown"} on printer ${
+              queue.printerId
+            } timed out after ${timeout}ms`
+          );
+          running.abandoned = true;
+          controller.abort();
+          resolve({
+            success: false,
+            error: `Job timed out after ${timeout}ms`,
+            timedOut: true,
+          });
+        }, timeout);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (result.success) {
+      queue.completed++;
+    } else {
+      queue.failed++;
+    }
+
+    entry.resolve(result);
+
+    if (running.abandoned) {
+      let graceTimer;
+      const stopped = await Promise.race([
+        work.then(() => true),
+        new Promise((resolve) => {
+          graceTimer = setTimeout(() => resolve(false), timeout);
+        }),
+      ]);
+      clearTimeout(graceTimer);
+
+      if (!stopped) {
+        console.error(
+          `Job ${job.id || "unknown"} on printer ${
+            queue.printerId
+          } did not stop ${timeout}ms after it was abandoned; freeing its slot`
+        );
+      }
+    }
+    queue.inFlight.delete(slot);
+    this.drain(queue);
+  }
+
+  /**
+   * Cancel a job that is waiting in a queue
+   * @param {string} id - Job ID or journal ID
+   * @returns {{cancelled: boolean, error: string|null}}
+   */
+  cancel(id) {
+    for (const queue of this.queues.values()) {
+      const index = queue.pending.findIndex(
+        ({ job }) => job.id === id || job.journalId === id
+      );
+
+      if (index !== -1) {
+        const [entry] = queue.pending.splice(index, 1);
+        entry.resolve({
+          success: false,
+          error: "Job cancelled",
+          cancelled: true,
+        });
+        return { cancelled: true, error: null };
+      }
+
+      for (const { job } of queue.inFlight.values()) {
+        if (job.id === id || job.journalId === id) {
+          return { cancelled: false, error: "Job is already printing" };
+        }
+      }
+    }
+
+    return { cancelled: false, error: "Job not found in any queue" };
+  }
+
+  /**
+   * Stop starting new jobs on a printer; jobs already printing finish
+   * @param {string} printerId - Printer ID
+   */
+  hold(printerId) {
+    this.getQueue(printerId).held = true;
+  }
+
+  /**
+   * Resume a held printer and start its waiting jobs
+   * @param {string} printerId - Printer ID
+   */
+  release(printerId) {
+    const queue = this.getQueue(printerId);
+    queue.held = false;
+    this.drain(queue);
+  }
+
+  /**
+   * Check whether a printer has jobs printing right now
+   * @param {string} printerId - Printer ID
+   * @returns {boolean} True if any job is in flight
+   */
+  isBusy(printerId) {
+    const queue = this.queues.get(printerId);
+    return !!queue && queue.inFlight.size > 0;
+  }
+
+  /**
+   * Check whether a printer is held
+   * @param {string} printerId - Printer ID
+   * @returns {boolean} True if the printer's queue is held
+   */
+  isHeld(printerId) {
+    const queue = this.queues.get(printerId);
+    return !!queue && queue.held;
+  }
+
+  /**
+   * Get the number of jobs waiting for or printing on a printer
+   * @param {string} printerId - Printer ID
+   * @returns {number} Pending plus in-flight jobs
+   */
+  getLoad(printerId) {
+    const queue = this.queues.get(printerId);
+    return queue ? queue.pending.length + queue.inFlight.size : 0;
+  }
+
+  /**
+   * Get queue depth and in-flight jobs for every printer
+   * @returns {Object} Status keyed by printer ID
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [printerId, queue] of this.queues) {
+      const { concurrency, timeout } = this.getLimits(printerId);
+
+      const byPriority = {};
+      for (const level of Object.keys(PRIORITY_LEVELS)) {
+        byPriority[level] = queue.pending.filter(
+          (entry) => entry.priority === level
+        ).length;
+      }
+
+      status[printerId] = {
+        held: queue.held,
+        depth: queue.pending.length,
+        byPriority,
+        concurrency,
+        timeout,
+        completed: queue.completed,
+        failed: queue.failed,
+        pending: queue.pending.map(({ job, priority, queuedAt }) => ({
+          jobId: job.id || null,
+          journalId: job.journalId || null,
+          priority,
+          queuedAt,
+        })),
+        inFlight: Array.from(queue.inFlight.values()).map(
+          ({ job, startedAt, abandoned }) => ({
+            jobId: job.id || null,
+            journalId: job.journalId || null,
+            startedAt,
+            abandoned,
+          })
+        ),
+      };
+    }
+
+    return status;
+  }
+}
+
+PrintQueue.PRIORITY_LEVELS = PRIORITY_LEVELS;
+
+module.exports = PrintQueue;
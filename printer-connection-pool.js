@@ -0,0 +1,410 @@
+/**
+ * Printer Connection Pool
+ *
+ * Keeps one persistent TCP connection per network printer address, so jobs
+ * do not pay the connection setup time. Everything sent to an address
+ * (print data and status queries) goes through its connection one task at a
+ * time, a broken connection is replaced on the next task, and a connection
+ * that has been idle for a while is closed. Health probes use the open
+ * connection or a short-lived one, so they never keep an idle printer
+ * connected.
+ */
+
+const net = require("net");
+
+class PrinterConnectionPool {
+  /**
+   * Create a new connection pool
+   * @param {Object} options - Default connection options; printers can override each one
+   * @param {number} options.connectTimeout - Time in ms to wait for a connection (default: 3000)
+   * @param {number} options.writeTimeout - Time in ms to wait for data to be written (default: 10000)
+   * @param {number} options.idleTimeout - Time in ms an unused connection stays open; 0 closes it after every task (default: 60000)
+   * @param {number} options.keepAliveDelay - Time in ms before TCP keep-alive probes start (default: 10000)
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      connectTimeout: options.connectTimeout || 3000,
+      writeTimeout: options.writeTimeout || 10000,
+      idleTimeout:
+        options.idleTimeout !== undefined ? options.idleTimeout : 60000,
+      keepAliveDelay: options.keepAliveDelay || 10000,
+    };
+
+    // Connections keyed by "host:port"
+    this.connections = new Map();
+  }
+
+  /**
+   * Get the pooled connection for a printer, creating its entry on first use
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @returns {Object} Connection entry
+   * @private
+   */
+  getConnection(printerConfig) {
+    const host = printerConfig.ipAddress;
+    const port = printerConfig.port || 9100;
+    const key = `${host}:${port}`;
+
+    if (!this.connections.has(key)) {
+      this.connections.set(key, {
+        key,
+        host,
+        port,
+        socket: null,
+        idleTimer: null,
+        // Tasks run one after another on this promise chain
+        chain: Promise.resolve(),
+        lastUsed: null,
+      });
+    }
+
+    return this.connections.get(key);
+  }
+
+  /**
+   * Get the effective timeouts for a printer
+   * @param {Object} printerConfig - Printer configuration
+   * @returns {Object} Connection options
+   * @private
+   */
+  getOptions(printerConfig) {
+    const options = { ...this.defaults };
+
+    for (const name of Object.keys(this.defaults)) {
+      if (printerConfig[name] !== undefined) {
+        options[name] = printerConfig[name];
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Run a task with the printer's connection, after any tasks already
+   * waiting for it
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @param {Function} task - Async function called with the connected socket
+   * @returns {Promise<*>} Resolves with the task's result; rejects if the printer cannot be reached
+   */
+  use(printerConfig, task) {
+    const connection = this.getConnection(printerConfig);
+    const options = this.getOptions(printerConfig);
+
+    const run = async () => {
+      clearTimeout(connection.idleTimer);
+      let socket = null;
+
+      try {
+        socket = await this.connect(connection, options);
+        return await task(socket);
+      } catch (error) {
+        // Drop a connection that failed so the next task opens a new one
+        if (socket) {
+          socket.destroy();
+          if (connection.socket === socket) {
+            connection.socket = null;
+          }
+        }
+        throw error;
+      } finally {
+        if (socket) {
+          socket.reused = true;
+        }
+        connection.lastUsed = Date.now();
+        this.scheduleIdleClose(connection, options);
+      }
+    };
+
+    const result = connection.chain.then(run, run);
+    // Later tasks wait for this one whether it succeeds or fails
+    connection.chain = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Send data to a printer. A reused connection the printer has dropped is
+   * replaced by a fresh one and the data is sent again, but only when the
+   * failure shows that none of it reached the printer (the connection was
+   * already closed, or the write failed with EPIPE); a write that timed out
+   * or broke off may have printed, so it is never repeated.
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @param {string} data - Data to send, as a binary string
+   * @param {Object} [writeOptions] - Write options
+   * @param {AbortSignal} [writeOptions.signal] - Once aborted, data still waiting for the connection is not sent
+   * @returns {Promise<boolean>} Whether the data was written
+   */
+  async write(printerConfig, data, writeOptions = {}) {
+    const { signal } = writeOptions;
+    const buffer = Buffer.from(data, "binary");
+    const options = this.getOptions(printerConfig);
+    const { key } = this.getConnection(printerConfig);
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      let reused = false;
+      let aborted = false;
+      let stale = false;
+
+      try {
+        await this.use(printerConfig, (socket) => {
+          if (signal && signal.aborted) {
+            aborted = true;
+            return null;
+          }
+          reused = !!socket.reused;
+          if (!socket.writable) {
+            stale = true;
+            throw new Error("Connection was closed by the printer");
+          }
+          return this.writeToSocket(socket, buffer, options.writeTimeout);
+        });
+        if (aborted) {
+          console.log(`Not sending abandoned job to printer at ${key}`);
+          return false;
+        }
+        return true;
+      } catch (error) {
+        console.error(`Error writing to printer at ${key}:`, error.message);
+
+        if (!reused || !(stale || error.code === "EPIPE")) break;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Run a task for a printer without keeping a connection open for it: the
+   * pooled connection is used if it is open, without restarting its idle
+   * time, and otherwise a connection is opened for the task and closed
+   * again. Tasks still wait for the ones already queued for the printer.
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @param {Function} task - Async function called with the connected socket
+   * @returns {Promise<*>} Resolves with the task's result; rejects if the printer cannot be reached
+   */
+  probe(printerConfig, task) {
+    const connection = this.getConnection(printerConfig);
+    const options = this.getOptions(printerConfig);
+
+    const run = async () => {
+      const pooled = connection.socket && !connection.socket.destroyed;
+      const socket = pooled
+        ? connection.socket
+        : await this.open(connection, options);
+
+      try {
+        return await task(socket);
+      } catch (error) {
+        if (pooled) {
+          socket.destroy();
+          connection.socket = null;
+        }
+        throw error;
+      } finally {
+        if (!pooled) {
+          socket.destroy();
+        }
+      }
+    };
+
+    const result = connection.chain.then(run, run);
+    connection.chain = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Check that a printer accepts a connection, without keeping one open
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @returns {Promise<string|null>} Error message, or null if the printer is reachable
+   */
+  async check(printerConfig) {
+    try {
+      await this.probe(printerConfig, async () => {});
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Check whether a printer has an open pooled connection
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   * @returns {boolean} True if a connection is open
+   */
+  isConnected(printerConfig) {
+    const key = `${printerConfig.ipAddress}:${printerConfig.port || 9100}`;
+    const connection = this.connections.get(key);
+    return !!(connection && connection.socket);
+  }
+
+  /**
+   * Return the open socket for a connection, connecting first if needed
+   * @param {Object} connection - Connection entry
+   * @param {Object} options - Connection options
+   * @returns {Promise<net.Socket>} Connected socket
+   * @private
+   */
+  async connect(connection, options) {
+    if (connection.socket && !connection.socket.destroyed) {
+      return connection.socket;
+    }
+
+    const startTime = Date.now();
+    const socket = await this.open(connection, options);
+
+    socket.setKeepAlive(true, options.keepAliveDelay);
+    socket.setNoDelay(true);
+
+    // Forget the socket as soon as the printer drops it
+    socket.on("error", (error) => {
+      console.error(
+        `Connection to printer at ${connection.key} failed:`,
+        error.message
+      );
+    });
+    socket.on("close", () => {
+      if (connection.socket === socket) {
+        connection.socket = null;
+      }
+    });
+    // A printer that closes its side will not take any more data
+    socket.on("end", () => socket.destroy());
+
+    console.log(
+      `Connected to printer at ${connection.key} in ${Date.now() - startTime}ms`
+    );
+    connection.socket = socket;
+    return socket;
+  }
+
+  /**
+   * Open a new connection to a printer's address
+   * @param {Object} connection - Connection entry
+   * @param {Object} options - Connection options
+   * @returns {Promise<net.Socket>} Connected socket, not kept in the pool
+   * @private
+   */
+  open(connection, options) {
+    return new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(options.connectTimeout);
+      socket.once("timeout", () =>
+        fail(new Error(`Connection to ${connection.key} timed out`))
+      );
+      socket.once("error", fail);
+
+      socket.connect(connection.port, connection.host, () => {
+        settled = true;
+        socket.setTimeout(0);
+        socket.removeAllListeners("timeout");
+        socket.removeListener("error", fail);
+        // Errors after this show up as the socket closing
+        socket.on("error", () => {});
+        resolve(socket);
+      });
+    });
+  }
+
+  /**
+   * Write a buffer to a socket, failing if it does not drain in time
+   * @param {net.Socket} socket - Connected socket
+   * @param {Buffer} buffer - Data to write
+   * @param {number} timeout - Time in ms to wait for the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  writeToSocket(socket, buffer, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error(`Write timed out after ${timeout}ms`)),
+        timeout
+      );
+
+      socket.write(buffer, (error) => {
+        clearTimeout(timer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Close a connection once it has been idle for the idle timeout
+   * @param {Object} connection - Connection entry
+   * @param {Object} options - Connection options
+   * @private
+   */
+  scheduleIdleClose(connection, options) {
+    clearTimeout(connection.idleTimer);
+
+    if (options.idleTimeout === 0) {
+      this.close(connection);
+      return;
+    }
+
+    connection.idleTimer = setTimeout(() => {
+      console.log(`Closing idle connection to printer at ${connection.key}`);
+      this.close(connection);
+    }, options.idleTimeout);
+  }
+
+  /**
+   * Close a connection gracefully, letting pending data reach the printer
+   * @param {Object} connection - Connection entry
+   * @private
+   */
+  close(connection) {
+    clearTimeout(connection.idleTimer);
+
+    if (connection.socket) {
+      connection.socket.end();
+      connection.socket = null;
+    }
+  }
+
+  /**
+   * Close the pooled connection to a printer
+   * @param {Object} printerConfig - Printer configuration with ipAddress and port
+   */
+  release(printerConfig) {
+    const key = `${printerConfig.ipAddress}:${printerConfig.port || 9100}`;
+    const connection = this.connections.get(key);
+
+    if (connection) {
+      this.close(connection);
+      this.connections.delete(key);
+    }
+  }
+
+  /**
+   * Get the state of every pooled connection
+   * @returns {Object} Status keyed by "host:port"
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [key, connection] of this.connections) {
+      status[key] = {
+        connected: !!connection.socket,
+        lastUsed: connection.lastUsed,
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = PrinterConnectionPool;
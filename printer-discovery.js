@@ -0,0 +1,494 @@
+/**
+ * Printer Discovery
+ *
+ * Scans the local subnet(s) for printers: every host is probed for the raw
+ * printing (9100), LPD (515) and IPP (631) ports. Hosts with port 9100 open
+ * are asked for their real-time status (DLE EOT), which only ESC/POS
+ * printers answer, and then for their maker and model (GS I). Each device
+ * found comes with the settings to map it with, ready for POST /printers.
+ */
+
+const net = require("net");
+const os = require("os");
+const PrinterStatus = require("./printer-status");
+
+// Ports printers listen on
+const PRINTER_PORTS = {
+  RAW: 9100,
+  LPD: 515,
+  IPP: 631,
+};
+
+// GS I queries answered with "_", the text and a NUL
+const ID_COMMANDS = {
+  MANUFACTURER: Buffer.from([0x1d, 0x49, 0x42]), // GS I 66
+  MODEL: Buffer.from([0x1d, 0x49, 0x43]), // GS I 67
+};
+
+// Printer profiles of the makes recognized from their GS I answer
+const MAKE_PROFILES = [
+  { pattern: /epson/i, profile: "epson-tm-80" },
+  { pattern: /star/i, profile: "star-escpos" },
+];
+
+// Widest subnet scanned; larger local networks are scanned around the host
+const MIN_PREFIX = 24;
+
+class PrinterDiscovery {
+  /**
+   * Create a new printer discovery
+   * @param {Object} options - Discovery options
+   * @param {Array<string>} [options.subnets] - Subnets to scan, e.g. ["192.168.1.0/24"] (default: the local subnets)
+   * @param {Function} [options.getMappedPrinters] - Returns the configurations of the mapped printers
+   * @param {number} options.timeout - Time in ms to wait for a port to accept a connection (default: 500)
+   * @param {number} options.identifyTimeout - Time in ms to wait for each answer to an ESC/POS query (default: 1000)
+   * @param {number} options.concurrency - Connections open at the same time (default: 64)
+   * @param {number} options.maxHosts - Most hosts scanned in one go (default: 1024)
+   */
+  constructor(options = {}) {
+    this.subnets = options.subnets || [];
+    this.getMappedPrinters = options.getMappedPrinters || (() => []);
+    this.timeout = options.timeout || 500;
+    this.identifyTimeout = options.identifyTimeout || 1000;
+    this.concurrency = options.concurrency || 64;
+    this.maxHosts = options.maxHosts || 1024;
+
+    // Scan in progress, shared by every caller, and the last one to finish
+    this.scanning = null;
+    this.lastScan = null;
+  }
+
+  /**
+   * Get the subnets of the machine's network interfaces. Subnets wider than
+   * a /24 are narrowed to the /24 around the machine's address.
+   * @returns {Array<string>} Subnets in CIDR notation
+   */
+  static getLocalSubnets() {
+    const subnets = new Set();
+
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if (address.family !== "IPv4" && address.family !== 4) continue;
+        if (address.internal) continue;
+
+        const prefix = Math.max(
+          MIN_PREFIX,
+          countBits(toNumber(address.netmask))
+        );
+        subnets.add(
+          `${toAddress(toNumber(address.address) & toMask(prefix))}/${prefix}`
+        );
+      }
+    }
+
+    return Array.from(subnets);
+  }
+
+  /**
+   * List the host addresses of a subnet
+   * @param {string} subnet - Subnet in CIDR notation, or a single address
+   * @returns {Array<string>} Host addresses, without the network and broadcast addresses
+   */
+  static getHosts(subnet) {
+    const match = /^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/.exec(
+      String(subnet).trim()
+    );
+    const base = match && toNumber(match[1]);
+    const prefix = match && match[2] !== undefined ? Number(match[2]) : 32;
+
+    if (base === null || base === undefined || prefix > 32) {
+      throw new Error(
+        `Invalid subnet "${subnet}", use CIDR notation such as 192.168.1.0/24`
+      );
+    }
+    if (prefix < 16) {
+      throw new Error(`Subnet ${subnet} is too large to scan`);
+    }
+
+    const network = (base & toMask(prefix)) >>> 0;
+    const size = 2 ** (32 - prefix);
+    // /31 and /32 have no network and broadcast addresses
+    const first = size > 2 ? 1 : 0;
+    const last = size > 2 ? size - 2 : size - 1;
+
+    const hosts = [];
+    for (let offset = first; offset <= last; offset++) {
+      hosts.push(toAddress(network + offset));
+    }
+
+    return hosts;
+  }
+
+  /**
+   * Scan for printers. A scan that is already running is shared rather than
+   * started again.
+   * @param {Object} [options] - Scan options
+   * @param {Array<string>} [options.subnets] - Subnets to scan instead of the configured or local ones
+   * @param {boolean} [options.identify] - Ask printers on port 9100 for their status and model (default: true)
+   * @returns {Promise<Object>} Scan with the subnets, the devices found and how long it took
+   */
+  scan(options = {}) {
+    if (!this.scanning) {
+      this.scanning = this.run(options).finally(() => {
+        this.scanning = null;
+      });
+    }
+
+    return this.scanning;
+  }
+
+  /**
+   * Get the last completed scan
+   * @returns {Object|null} Scan, or null if none has finished yet
+   */
+  getLastScan() {
+    return this.lastScan;
+  }
+
+  /**
+   * Run a scan
+   * @param {Object} options - Scan options
+   * @returns {Promise<Object>} Scan result
+   * @private
+   */
+  async run(options) {
+    const startedAt = Date.now();
+    const subnets =
+      options.subnets && options.subnets.length > 0
+        ? options.subnets
+        : this.subnets.length > 0
+        ? this.subnets
+        : PrinterDiscovery.getLocalSubnets();
+
+    const hosts = Array.from(
+      new Set(subnets.flatMap((subnet) => PrinterDiscovery.getHosts(subnet)))
+    );
+    if (hosts.length > this.maxHosts) {
+      throw new Error(
+        `${hosts.length} hosts to scan, more than the limit of ${this.maxHosts}; scan smaller subnets`
+      );
+    }
+
+    // Probe every port of every host, a limited number at a time
+    const ports = Object.values(PRINTER_PORTS);
+    const openPorts = new Map();
+    const probes = hosts.flatMap((host) => ports.map((port) => [host, port]));
+
+    await runLimited(probes, this.concurrency, async ([host, port]) => {
+      if (await this.isOpen(host, port)) {
+        if (!openPorts.has(host)) openPorts.set(host, []);
+        openPorts.get(host).push(port);
+      }
+    });
+
+    const mapped = this.getMappedPrinters();
+    const devices = [];
+
+    // Hosts are identified one by one; they are few and each query waits
+    for (const host of hosts) {
+      if (!openPorts.has(host)) continue;
+
+      const device = {
+        ipAddress: host,
+        ports: openPorts.get(host).sort((a, b) => a - b),
+        mappedAs: mapped
+          .filter((printerConfig) => getHost(printerConfig) === host)
+          .map((printerConfig) => printerConfig.id),
+        escpos: null,
+        manufacturer: null,
+        model: null,
+        status: null,
+      };
+
+      // Office printers print what they get on port 9100, so only hosts
+      // without IPP are queried, and mapped printers are left alone
+      if (
+        options.identify !== false &&
+        device.ports.includes(PRINTER_PORTS.RAW) &&
+        !device.ports.includes(PRINTER_PORTS.IPP) &&
+        device.mappedAs.length === 0
+      ) {
+        Object.assign(device, await this.identify(host, PRINTER_PORTS.RAW));
+      }
+
+      device.suggestedId = `printer-${host.replace(/\./g, "-")}`;
+      device.suggested = PrinterDiscovery.suggest(device);
+      devices.push(device);
+    }
+
+    this.lastScan = {
+      subnets,
+      hostsScanned: hosts.length,
+      devices,
+      startedAt,
+      duration: Date.now() - startedAt,
+    };
+
+    return this.lastScan;
+  }
+
+  /**
+   * Check whether a port accepts connections
+   * @param {string} host - IP address
+   * @param {number} port - Port
+   * @returns {Promise<boolean>} True if the port is open
+   * @private
+   */
+  isOpen(host, port) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      let done = false;
+
+      const finish = (open) => {
+        if (done) return;
+        done = true;
+        socket.destroy();
+        resolve(open);
+      };
+
+      socket.setTimeout(this.timeout);
+      socket.on("connect", () => finish(true));
+      socket.on("timeout", () => finish(false));
+      socket.on("error", () => finish(false));
+
+      socket.connect(port, host);
+    });
+  }
+
+  /**
+   * Ask a printer for its status, maker and model
+   * @param {string} host - IP address
+   * @param {number} port - Raw printing port
+   * @returns {Promise<Object>} escpos flag, manufacturer, model and decoded status
+   * @private
+   */
+  identify(host, port) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      const result = {
+        escpos: false,
+        manufacturer: null,
+        model: null,
+        status: null,
+      };
+      let done = false;
+
+      const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(result);
+      };
+
+      // Up to seven queries, each with its own timeout
+      const timer = setTimeout(finish, this.identifyTimeout * 8);
+      socket.on("error", finish);
+
+      socket.connect(port, host, async () => {
+        try {
+          result.status = await PrinterStatus.read(socket, {
+            timeout: this.identifyTimeout,
+          });
+          // Devices that ignore the status query are not sent anything else
+          if (result.status) {
+            result.escpos = true;
+            result.manufacturer = await this.ask(
+              socket,
+              ID_COMMANDS.MANUFACTURER
+            );
+            result.model = await this.ask(socket, ID_COMMANDS.MODEL);
+          }
+        } catch (error) {
+          // A printer that drops the connection is reported as unidentified
+        }
+        finish();
+      });
+    });
+  }
+
+  /**
+   * Send a GS I query and read its "_text NUL" answer
+   * @param {net.Socket} socket - Connected socket
+   * @param {Buffer} command - GS I command
+   * @returns {Promise<string|null>} Answer text, or null if there was none
+   * @private
+   */
+  ask(socket, command) {
+    return new Promise((resolve) => {
+      let received = Buffer.alloc(0);
+
+      const finish = (text) => {
+        clearTimeout(timer);
+        socket.off("data", onData);
+        socket.off("close", onClose);
+        resolve(text);
+      };
+
+      const onData = (data) => {
+        received = Buffer.concat([received, data]);
+        const start = received.indexOf(0x5f);
+        const end = start === -1 ? -1 : received.indexOf(0x00, start);
+        if (end !== -1) {
+          finish(
+            received
+              .slice(start + 1, end)
+              .toString("latin1")
+              .trim() || null
+          );
+        }
+      };
+      const onClose = () => finish(null);
+      const timer = setTimeout(() => finish(null), this.identifyTimeout);
+
+      socket.on("data", onData);
+      socket.on("close", onClose);
+      socket.write(command);
+    });
+  }
+
+  /**
+   * Work out the settings to map a device with
+   * @param {Object} device - Device found by a scan
+   * @returns {Object} Printer settings for printer-mappings.json
+   */
+  static suggest(device) {
+    const name =
+      [device.manufacturer, device.model].filter(Boolean).join(" ") ||
+      undefined;
+    const has = (port) => device.ports.includes(port);
+
+    if (has(PRINTER_PORTS.RAW) && (device.escpos || !has(PRINTER_PORTS.IPP))) {
+      const make = MAKE_PROFILES.find(({ pattern }) =>
+        pattern.test(device.manufacturer || "")
+      );
+
+      return {
+        type: "tcp",
+        ...(name ? { name } : {}),
+        ipAddress: device.ipAddress,
+        port: PRINTER_PORTS.RAW,
+        output: "escpos",
+        ...(make ? { profile: make.profile } : {}),
+        // Only a printer that answered the status query is queried later
+        ...(device.escpos !== null
+          ? { capabilities: { status: !!device.status } }
+          : {}),
+      };
+    }
+
+    if (has(PRINTER_PORTS.IPP)) {
+      return {
+        type: "ipp",
+        ...(name ? { name } : {}),
+        url: `ipp://${device.ipAddress}:${PRINTER_PORTS.IPP}/ipp/print`,
+        output: "pdf",
+      };
+    }
+
+    return {
+      type: "lpd",
+      ...(name ? { name } : {}),
+      ipAddress: device.ipAddress,
+      port: PRINTER_PORTS.LPD,
+      queue: "lp",
+      output: "text",
+    };
+  }
+}
+
+/**
+ * Run a task for every item, with at most a given number running at once
+ * @param {Array} items - Items
+ * @param {number} limit - Most tasks at once
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runLimited(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+}
+
+/**
+ * Get the IP address or host name a mapped printer is reached at
+ * @param {Object} printerConfig - Printer configuration
+ * @returns {string|null} Host, or null for USB and serial printers
+ * @private
+ */
+function getHost(printerConfig) {
+  if (printerConfig.url) {
+    try {
+      return new URL(printerConfig.url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return printerConfig.path ? null : printerConfig.ipAddress || null;
+}
+
+/**
+ * Turn a dotted IPv4 address into a number
+ * @param {string} address - IPv4 address
+ * @returns {number|null} Address as an unsigned 32-bit number, or null if invalid
+ * @private
+ */
+function toNumber(address) {
+  const parts = String(address).split(".").map(Number);
+  if (
+    parts.length !== 4 ||
+    parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)
+  ) {
+    return null;
+  }
+
+  return parts.reduce((number, part) => number * 256 + part, 0);
+}
+
+/**
+ * Turn a number into a dotted IPv4 address
+ * @param {number} number - Address as an unsigned 32-bit number
+ * @returns {string} IPv4 address
+ * @private
+ */
+function toAddress(number) {
+  return [24, 16, 8, 0].map((shift) => (number >>> shift) & 255).join(".");
+}
+
+/**
+ * Build the netmask of a prefix length
+ * @param {number} prefix - Prefix length, 0 to 32
+ * @returns {number} Netmask as a number
+ * @private
+ */
+function toMask(prefix) {
+  return prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+}
+
+/**
+ * Count the bits set in a netmask
+ * @param {number} mask - Netmask as a number
+ * @returns {number} Prefix length
+ * @private
+ */
+function countBits(mask) {
+  let bits = 0;
+  for (let value = mask >>> 0; value; value >>>= 1) {
+    bits += value & 1;
+  }
+
+  return bits;
+}
+
+PrinterDiscovery.PRINTER_PORTS = PRINTER_PORTS;
+
+module.exports = PrinterDiscovery;
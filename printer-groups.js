@@ -0,0 +1,193 @@
+/**
+ * Printer Groups
+ *
+ * A printer group is an ID that jobs can be sent to like a printer, backed
+ * by several physical printers. Every time a job is queued, one member is
+ * picked by the group's strategy, skipping members that are offline, faulty
+ * or held:
+ *
+ * - failover: the first available member, in the listed order
+ * - round-robin: the next available member after the last one picked
+ * - least-busy: the available member with the fewest queued jobs
+ */
+
+// Supported strategies
+const STRATEGIES = ["failover", "round-robin", "least-busy"];
+
+class PrinterGroups {
+  /**
+   * Create a new set of printer groups
+   * @param {Object} options - Group options
+   * @param {Function} options.hasPrinter - Returns whether a printer ID is mapped
+   * @param {Function} options.isAvailable - Returns whether a printer can take jobs right now
+   * @param {Function} options.getLoad - Returns the number of jobs queued or printing on a printer
+   */
+  constructor(options = {}) {
+    this.hasPrinter = options.hasPrinter || (() => true);
+    this.isAvailable = options.isAvailable || (() => true);
+    this.getLoad = options.getLoad || (() => 0);
+
+    // Groups keyed by group ID
+    this.groups = new Map();
+  }
+
+  /**
+   * Replace the groups with the ones from the mappings file
+   * @param {Object} groups - Group settings keyed by group ID, each with printers and strategy
+   */
+  load(groups) {
+    const previous = this.groups;
+    this.groups = new Map();
+
+    for (const [groupId, settings] of Object.entries(groups || {})) {
+      let strategy = settings.strategy || "failover";
+      if (!STRATEGIES.includes(strategy)) {
+        console.warn(
+          `Unknown strategy "${strategy}" for printer group ${groupId}, using failover`
+        );
+        strategy = "failover";
+      }
+
+      const printers = Array.isArray(settings.printers)
+        ? settings.printers
+        : [];
+      for (const printerId of printers) {
+        if (!this.hasPrinter(printerId)) {
+          console.warn(
+            `Printer group ${groupId} lists unknown printer ${printerId}`
+          );
+        }
+      }
+
+      // Keep the round-robin position and last pick across reloads
+      const old = previous.get(groupId);
+      this.groups.set(groupId, {
+        id: groupId,
+        strategy,
+        printers,
+        next: old ? old.next : 0,
+        lastSelected: old ? old.lastSelected : null,
+      });
+    }
+  }
+
+  /**
+   * Check whether an ID belongs to a printer group
+   * @param {string} groupId - Printer or group ID
+   * @returns {boolean} True if it is a group
+   */
+  has(groupId) {
+    return this.groups.has(groupId);
+  }
+
+  /**
+   * Pick the printer a job sent to a group should print on. When no member
+   * is available the first mapped one is used, so the job waits and retries
+   * there instead of failing straight away.
+   * @param {string} groupId - Group ID
+   * @returns {string|null} Printer ID, or null if the group has no mapped printers
+   */
+  select(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group) return null;
+
+    const members = group.printers.filter((printerId) =>
+      this.hasPrinter(printerId)
+    );
+    if (members.length === 0) {
+      console.error(`Printer group ${groupId} has no mapped printers`);
+      return null;
+    }
+
+    const available = members.filter((printerId) =>
+      this.isAvailable(printerId)
+    );
+
+    let printerId;
+    if (available.length === 0) {
+      printerId = members[0];
+      console.warn(
+        `No printer in group ${groupId} is available, using ${printerId}`
+      );
+    } else if (group.strategy === "round-robin") {
+      printerId = this.selectRoundRobin(group, available);
+    } else if (group.strategy === "least-busy") {
+      printerId = this.selectLeastBusy(available);
+    } else {
+      printerId = available[0];
+    }
+
+    group.lastSelected = printerId;
+    return printerId;
+  }
+
+  /**
+   * Pick the next available member after the last one picked
+   * @param {Object} group - Group
+   * @param {Array<string>} available - Available member IDs
+   * @returns {string} Printer ID
+   * @private
+   */
+  selectRoundRobin(group, available) {
+    const count = group.printers.length;
+
+    for (let i = 0; i < count; i++) {
+      const index = (group.next + i) % count;
+      if (available.includes(group.printers[index])) {
+        group.next = (index + 1) % count;
+        return group.printers[index];
+      }
+    }
+
+    return available[0];
+  }
+
+  /**
+   * Pick the available member with the fewest jobs; ties go to the one
+   * listed first
+   * @param {Array<string>} available - Available member IDs
+   * @returns {string} Printer ID
+   * @private
+   */
+  selectLeastBusy(available) {
+    let best = available[0];
+    let bestLoad = this.getLoad(best);
+
+    for (const printerId of available.slice(1)) {
+      const load = this.getLoad(printerId);
+      if (load < bestLoad) {
+        best = printerId;
+        bestLoad = load;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Get every group with its members' availability and load
+   * @returns {Object} Status keyed by group ID
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [groupId, group] of this.groups) {
+      status[groupId] = {
+        strategy: group.strategy,
+        lastSelected: group.lastSelected,
+        printers: group.printers.map((printerId) => ({
+          printerId,
+          mapped: this.hasPrinter(printerId),
+          available: this.hasPrinter(printerId) && this.isAvailable(printerId),
+          load: this.getLoad(printerId),
+        })),
+      };
+    }
+
+    return status;
+  }
+}
+
+PrinterGroups.STRATEGIES = STRATEGIES;
+
+module.exports = PrinterGroups;
@@ -0,0 +1,166 @@
+/**
+ * Printer Health Monitor
+ *
+ * Periodically probes every mapped printer (connection check plus status query)
+ * and tracks whether it is online, when it was last seen, how quickly it
+ * answered and what is wrong with it. Results of real print jobs are fed in
+ * as well, so a printer that fails a job is marked down without waiting for
+ * the next probe.
+ */
+
+class PrinterHealthMonitor {
+  /**
+   * Create a new health monitor
+   * @param {Object} options - Monitor options
+   * @param {Function} options.getPrinters - Returns the printer configurations to probe
+   * @param {Function} options.connect - Async function returning an error message if a printer cannot be reached, or null
+   * @param {Function} [options.queryStatus] - Async function returning a decoded status for a printer, or null
+   * @param {Function} [options.onChange] - Called with (health, previous) when a printer's health changes
+   * @param {number} options.interval - Time in ms between probes (default: 30000)
+   */
+  constructor(options = {}) {
+    this.getPrinters = options.getPrinters || (() => []);
+    this.connectPrinter = options.connect;
+    this.queryStatus = options.queryStatus || (async () => null);
+    this.onChange = options.onChange || (() => {});
+    this.interval = options.interval || 30000;
+
+    // Health keyed by printer ID
+    this.health = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Probe all printers now and then on every interval
+   */
+  start() {
+    this.stop();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.interval);
+  }
+
+  /**
+   * Stop probing
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe every printer once. A round still running is not overlapped.
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      await Promise.all(
+        this.getPrinters().map((printerConfig) => this.probe(printerConfig))
+      );
+    } catch (error) {
+      console.error(`Error checking printer health: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Probe a single printer
+   * @param {Object} printerConfig - Printer configuration with id, ipAddress and port
+   * @returns {Promise<Object>} The printer's health
+   */
+  async probe(printerConfig) {
+    const startTime = Date.now();
+    const error = await this.connectPrinter(printerConfig);
+
+    if (error) {
+      return this.record(printerConfig.id, { reachable: false, error });
+    }
+
+    const latency = Date.now() - startTime;
+    const status = await this.queryStatus(printerConfig);
+
+    return this.record(printerConfig.id, { reachable: true, latency, status });
+  }
+
+  /**
+   * Record the outcome of a probe or a print job
+   * @param {string} printerId - Printer ID
+   * @param {Object} result - Outcome
+   * @param {boolean} result.reachable - Whether the printer accepted a connection
+   * @param {number} [result.latency] - Connection time in ms
+   * @param {Object} [result.status] - Decoded ESC/POS status, if known
+   * @param {string} [result.error] - Error when the printer was not reachable
+   * @returns {Object} The printer's health
+   */
+  record(printerId, result) {
+    const previous = this.health.get(printerId) || null;
+    const now = Date.now();
+    const { reachable, status } = result;
+
+    let state = "online";
+    let error = null;
+    if (!reachable) {
+      state = "offline";
+      error = result.error || "Printer is not reachable";
+    } else if (status && !status.ok) {
+      state = "error";
+      error = status.errors[0];
+    }
+
+    const health = {
+      printerId,
+      state,
+      error,
+      warnings: status ? status.warnings : previous ? previous.warnings : [],
+      latency:
+        result.latency !== undefined
+          ? result.latency
+          : previous
+          ? previous.latency
+          : null,
+      lastSeen: reachable ? now : previous ? previous.lastSeen : null,
+      lastChecked: now,
+      since: previous && previous.state === state ? previous.since : now,
+    };
+
+    this.health.set(printerId, health);
+
+    if (
+      !previous ||
+      previous.state !== health.state ||
+      previous.error !== health.error ||
+      previous.warnings.join() !== health.warnings.join()
+    ) {
+      try {
+        this.onChange(health, previous);
+      } catch (err) {
+        console.error(`Error handling printer health change: ${err.message}`);
+      }
+    }
+
+    return health;
+  }
+
+  /**
+   * Get the health of a printer
+   * @param {string} printerId - Printer ID
+   * @returns {Object|null} Health, or null if the printer was never checked
+   */
+  get(printerId) {
+    return this.health.get(printerId) || null;
+  }
+
+  /**
+   * Forget a printer, e.g. after it is removed from the mappings
+   * @param {string} printerId - Printer ID
+   */
+  remove(printerId) {
+    this.health.delete(printerId);
+  }
+}
+
+module.exports = PrinterHealthMonitor;
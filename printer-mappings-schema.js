@@ -0,0 +1,419 @@
+/**
+ * Printer Mappings Schema
+ *
+ * Validates and migrates printer-mappings.json against its versioned JSON
+ * schema (printer-mappings.schema.json). Version 2 keeps printers and groups
+ * in sections of their own and spells every printer out in full. The legacy
+ * format (version 1, a file without a "version" key) maps IDs straight to
+ * "IP:port" strings, printer objects or groups with type "group". Both are
+ * accepted; the migration upgrades a legacy file to version 2.
+ *
+ * The schema is checked with a small validator for the JSON Schema keywords
+ * it uses, so no schema library is needed at runtime.
+ */
+
+const PrinterProfiles = require("./printer-profiles");
+const schema = require("./printer-mappings.schema.json");
+
+// Version written by the migration and expected in versioned files
+const SCHEMA_VERSION = schema.properties.version.const;
+
+// Legacy "IP:port" address
+const LEGACY_ADDRESS = /^([^\s:/]+):(\d{1,5})$/;
+
+// Defaults filled in for every printer type when a file is migrated
+const DEFAULT_PORTS = { tcp: 9100, lpd: 515 };
+const DEFAULT_OUTPUTS = {
+  tcp: "escpos",
+  usb: "escpos",
+  serial: "escpos",
+  ipp: "pdf",
+  lpd: "text",
+};
+
+class PrinterMappingsSchema {
+  /**
+   * Get the schema version of a mappings file
+   * @param {Object} data - Parsed printer-mappings.json
+   * @returns {number} 1 for the legacy format, otherwise the file's version
+   */
+  static getVersion(data) {
+    return data && data.version !== undefined ? data.version : 1;
+  }
+
+  /**
+   * Check a mappings file against the schema
+   * @param {Object} data - Parsed printer-mappings.json, in either format
+   * @returns {Array<{id: string|null, path: string, message: string}>} Errors,
+   *   each with the printer or group ID it belongs to (null for the whole
+   *   file), empty if the file is valid
+   */
+  static validate(data) {
+    if (!isObject(data)) {
+      return [{ id: null, path: "(root)", message: "must be an object" }];
+    }
+
+    const version = PrinterMappingsSchema.getVersion(data);
+    if (version === 1) {
+      return validateLegacy(data);
+    }
+    if (version !== SCHEMA_VERSION) {
+      return [
+        {
+          id: null,
+          path: "version",
+          message: `unsupported version ${JSON.stringify(
+            version
+          )}, expected ${SCHEMA_VERSION}`,
+        },
+      ];
+    }
+
+    const errors = check(data, schema, "").map((error) => ({
+      // "printers.kitchen.port" belongs to printer "kitchen"
+      id: /^(printers|groups)\./.test(error.path)
+        ? error.path.split(".")[1]
+        : null,
+      ...error,
+    }));
+
+    for (const id of Object.keys(data.groups || {})) {
+      if (data.printers && id in data.printers) {
+        errors.push({
+          id,
+          path: `groups.${id}`,
+          message: "ID is already used by a printer",
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Turn a mappings file of either format into the agent's flat form: entries
+   * keyed by ID, with groups marked by type "group"
+   * @param {Object} data - Parsed, validated printer-mappings.json
+   * @returns {Object} Printers and groups keyed by ID
+   */
+  static normalize(data) {
+    if (PrinterMappingsSchema.getVersion(data) === 1) {
+      return data;
+    }
+
+    const mappings = { ...data.printers };
+    for (const [id, group] of Object.entries(data.groups || {})) {
+      mappings[id] = { type: "group", ...group };
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Upgrade a mappings file to the current version. Legacy "IP:port" strings
+   * become full printer objects, "address" becomes "ipAddress", and every
+   * printer gets its type, port, output, paper width and profile.
+   * @param {Object} data - Parsed printer-mappings.json
+   * @returns {{mappings: Object, changed: boolean}} Upgraded file, and whether
+   *   anything had to change
+   */
+  static migrate(data) {
+    if (PrinterMappingsSchema.getVersion(data) === SCHEMA_VERSION) {
+      return { mappings: data, changed: false };
+    }
+
+    const mappings = {
+      $schema: "./printer-mappings.schema.json",
+      version: SCHEMA_VERSION,
+      printers: {},
+      groups: {},
+    };
+
+    for (const [id, entry] of Object.entries(data)) {
+      if (isObject(entry) && entry.type === "group") {
+        const { type, ...group } = entry;
+        mappings.groups[id] = { strategy: "failover", ...group };
+      } else {
+        mappings.printers[id] = upgradePrinter(entry, { defaults: true });
+      }
+    }
+
+    return { mappings, changed: true };
+  }
+
+  /**
+   * Format a validation error as "path: message"
+   * @param {Object} error - Error from validate
+   * @returns {string} Error message
+   */
+  static formatError(error) {
+    return `${error.path}: ${error.message}`;
+  }
+}
+
+/**
+ * Check a legacy file entry by entry. Printers are checked as they will be
+ * after migration, so the same rules apply to both formats.
+ * @param {Object} data - Legacy mappings
+ * @returns {Array<Object>} Errors
+ * @private
+ */
+function validateLegacy(data) {
+  const errors = [];
+
+  for (const [id, entry] of Object.entries(data)) {
+    if (typeof entry === "string") {
+      const match = LEGACY_ADDRESS.exec(entry);
+      if (!match || !isPort(Number(match[2]))) {
+        errors.push({
+          id,
+          path: id,
+          message: `"${entry}" is not an IP:port address`,
+        });
+      }
+      continue;
+    }
+
+    if (isObject(entry) && entry.type === "group") {
+      const { type, ...group } = entry;
+      errors.push(
+        ...check(group, schema.definitions.group, id).map((error) => ({
+          id,
+          ...error,
+        }))
+      );
+      continue;
+    }
+
+    errors.push(
+      ...check(
+        isObject(entry) ? upgradePrinter(entry) : entry,
+        schema.definitions.printer,
+        id
+      ).map((error) => ({ id, ...error }))
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a legacy printer entry into a version 2 printer
+ * @param {string|Object} entry - "IP:port" string or printer object
+ * @param {Object} [options] - Upgrade options
+ * @param {boolean} [options.defaults] - Fill in every default setting
+ * @returns {Object} Printer object
+ * @private
+ */
+function upgradePrinter(entry, options = {}) {
+  let printer;
+  if (typeof entry === "string") {
+    const [ipAddress, port] = entry.split(":");
+    printer = { type: "tcp", ipAddress, port: parseInt(port, 10) };
+  } else {
+    const { address, ...rest } = entry;
+    printer = { type: "tcp", ...rest };
+    if (!printer.ipAddress && address) {
+      printer.ipAddress = address;
+    }
+    // Legacy files sometimes quote the port
+    if (typeof printer.port === "string" && /^\d+$/.test(printer.port)) {
+      printer.port = parseInt(printer.port, 10);
+    }
+  }
+
+  if (!options.defaults) {
+    return printer;
+  }
+
+  const type = printer.type;
+  const output = printer.output || DEFAULT_OUTPUTS[type] || "escpos";
+  const paperWidth =
+    printer.paperWidth || (output === "escpos" ? "MM_80" : "A4");
+  const { statusCheck, ...settings } = printer;
+
+  // The profile covers the capabilities; only a turned off status check
+  // is kept as one of its own
+  const capabilities =
+    statusCheck === false
+      ? { status: false, ...printer.capabilities }
+      : printer.capabilities;
+
+  return {
+    type,
+    ...(DEFAULT_PORTS[type] ? { port: DEFAULT_PORTS[type] } : {}),
+    ...settings,
+    output,
+    paperWidth,
+    profile:
+      printer.profile ||
+      PrinterProfiles.getDefaultProfileId(paperWidth, output),
+    ...(capabilities ? { capabilities } : {}),
+  };
+}
+
+/**
+ * Check a value against a schema node. Supports the keywords the mappings
+ * schema uses: $ref, type, const, enum, pattern, minLength, minimum,
+ * maximum, required, properties, additionalProperties, items, minItems,
+ * allOf and if/then.
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema node
+ * @param {string} path - Dotted path of the value, for error messages
+ * @returns {Array<{path: string, message: string}>} Errors
+ * @private
+ */
+function check(value, node, path) {
+  if (node.$ref) {
+    return check(value, resolve(node.$ref), path);
+  }
+
+  const where = path || "(root)";
+  const fail = (message) => [{ path: where, message }];
+
+  if (node.type && !matchesType(value, node.type)) {
+    return fail(`must be ${article(node.type)}`);
+  }
+  if ("const" in node && value !== node.const) {
+    return fail(`must be ${JSON.stringify(node.const)}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    return fail(
+      `must be one of ${node.enum
+        .map((item) => JSON.stringify(item))
+        .join(", ")}`
+    );
+  }
+
+  const errors = [];
+
+  if (typeof value === "string") {
+    if (node.minLength && value.length < node.minLength) {
+      errors.push({ path: where, message: "must not be empty" });
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push({
+        path: where,
+        message: `"${value}" does not match ${node.pattern}`,
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push({ path: where, message: `must be at least ${node.minimum}` });
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push({ path: where, message: `must be at most ${node.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems && value.length < node.minItems) {
+      errors.push({
+        path: where,
+        message: `must list at least ${node.minItems} item(s)`,
+      });
+    }
+    if (node.items) {
+      value.forEach((item, index) =>
+        errors.push(...check(item, node.items, `${path}[${index}]`))
+      );
+    }
+  }
+
+  if (isObject(value)) {
+    const join = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of node.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: join(key), message: "is required" });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (node.properties && node.properties[key]) {
+        errors.push(...check(item, node.properties[key], join(key)));
+      } else if (node.additionalProperties === false) {
+        errors.push({ path: join(key), message: "is not a known setting" });
+      } else if (isObject(node.additionalProperties)) {
+        errors.push(...check(item, node.additionalProperties, join(key)));
+      }
+    }
+  }
+
+  for (const part of node.allOf || []) {
+    if (part.if && check(value, part.if, path).length > 0) continue;
+    errors.push(...check(value, part.then || part, path));
+  }
+
+  return errors;
+}
+
+/**
+ * Look up a local "#/definitions/..." reference
+ * @param {string} ref - Reference
+ * @returns {Object} Schema node
+ * @private
+ */
+function resolve(ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node[key], schema);
+}
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return isObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Describe a JSON Schema type for an error message
+ * @param {string} type - JSON Schema type
+ * @returns {string} e.g. "an integer"
+ * @private
+ */
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays or null
+ * @private
+ */
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Check for a valid TCP port number
+ * @param {number} port - Port
+ * @returns {boolean} True if the port is usable
+ * @private
+ */
+function isPort(port) {
+  return Number.isInteger(port) && port > 0 && port < 65536;
+}
+
+PrinterMappingsSchema.SCHEMA_VERSION = SCHEMA_VERSION;
+PrinterMappingsSchema.schema = schema;
+
+module.exports = PrinterMappingsSchema;
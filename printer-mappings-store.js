@@ -0,0 +1,261 @@
+/**
+ * Printer Mappings Store
+ *
+ * Adds, edits, renames and deletes printers in printer-mappings.json for the
+ * management API. Every change is made to a fresh read of the file, checked
+ * against the schema as a whole and written atomically, so a hand edit made
+ * in between is never lost and a half-written file is never left behind.
+ * The file is always written in the current schema version; a legacy file is
+ * migrated on its first change and kept as printer-mappings.json.bak.
+ */
+
+const fs = require("fs");
+const AppendLog = require("./append-log");
+const PrinterMappingsSchema = require("./printer-mappings-schema");
+
+// IDs end up in URLs and log lines, so new ones are kept to a safe set
+const ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+class PrinterMappingsStore {
+  /**
+   * Create a new mappings store
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the mappings file
+   * @param {Function} [options.onWrite] - Called after the file was written, e.g. to apply it straight away
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.onWrite = options.onWrite || (() => {});
+  }
+
+  /**
+   * Read the file in the current schema version
+   * @returns {Object} Mappings with printers and groups sections; empty if
+   *   there is no file yet
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return PrinterMappingsSchema.migrate({}).mappings;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    const { mappings } = PrinterMappingsSchema.migrate(data);
+    mappings.groups = mappings.groups || {};
+
+    return mappings;
+  }
+
+  /**
+   * Get a printer as it is stored in the file
+   * @param {string} id - Printer ID
+   * @returns {Object|null} Printer settings, or null if there is no such printer
+   */
+  get(id) {
+    const { printers } = this.read();
+    return printers[id] || null;
+  }
+
+  /**
+   * Add a printer
+   * @param {string} id - New printer ID
+   * @param {Object} printer - Printer settings
+   * @returns {Object} Result with success flag, error, errors and the printer
+   */
+  add(id, printer) {
+    return this.change((mappings) => {
+      const error = this.checkNewId(mappings, id);
+      if (error) return error;
+
+      mappings.printers[id] = printer;
+    }, id);
+  }
+
+  /**
+   * Replace the settings of a printer
+   * @param {string} id - Printer ID
+   * @param {Object} printer - New printer settings
+   * @returns {Object} Result with success flag, error, errors and the printer
+   */
+  update(id, printer) {
+    return this.change((mappings) => {
+      if (!mappings.printers[id]) return notFound(id);
+
+      mappings.printers[id] = printer;
+    }, id);
+  }
+
+  /**
+   * Give a printer a new ID. Groups that list the printer are updated too.
+   * @param {string} id - Current printer ID
+   * @param {string} newId - New printer ID
+   * @returns {Object} Result with success flag, error, errors and the printer
+   */
+  rename(id, newId) {
+    return this.change((mappings) => {
+      if (!mappings.printers[id]) return notFound(id);
+
+      const error = this.checkNewId(mappings, newId);
+      if (error) return error;
+
+      // Rebuild the section so the printer keeps its place in the file
+      mappings.printers = Object.fromEntries(
+        Object.entries(mappings.printers).map(([key, printer]) => [
+          key === id ? newId : key,
+          printer,
+        ])
+      );
+
+      for (const group of Object.values(mappings.groups)) {
+        group.printers = group.printers.map((member) =>
+          member === id ? newId : member
+        );
+      }
+    }, newId);
+  }
+
+  /**
+   * Delete a printer. Printers that are still in a group are kept, as the
+   * group would otherwise be left with a member that does not exist.
+   * @param {string} id - Printer ID
+   * @returns {Object} Result with success flag, error and errors
+   */
+  remove(id) {
+    return this.change((mappings) => {
+      if (!mappings.printers[id]) return notFound(id);
+
+      const groups = Object.keys(mappings.groups).filter((groupId) =>
+        mappings.groups[groupId].printers.includes(id)
+      );
+      if (groups.length > 0) {
+        return {
+          code: "CONFLICT",
+          error: `Printer ${id} is in group(s) ${groups.join(
+            ", "
+          )}, remove it from them first`,
+        };
+      }
+
+      delete mappings.printers[id];
+    }, null);
+  }
+
+  /**
+   * Read the file, apply a change to it, then validate and write the result
+   * @param {Function} apply - Changes the mappings in place; returns { code, error } to stop
+   * @param {string|null} id - Printer to return in the result
+   * @returns {Object} Result with success flag, error code, error, errors and the printer
+   * @private
+   */
+  change(apply, id) {
+    let mappings;
+    try {
+      mappings = this.read();
+    } catch (error) {
+      return failure(
+        "INVALID",
+        `Mappings file cannot be read: ${error.message}`
+      );
+    }
+
+    const stopped = apply(mappings);
+    if (stopped) {
+      return failure(stopped.code, stopped.error);
+    }
+
+    const errors = PrinterMappingsSchema.validate(mappings);
+    if (errors.length > 0) {
+      return failure(
+        "INVALID",
+        "Printer settings are not valid",
+        errors.map(PrinterMappingsSchema.formatError)
+      );
+    }
+
+    try {
+      this.write(mappings);
+    } catch (error) {
+      return failure(
+        "WRITE_FAILED",
+        `Mappings file cannot be written: ${error.message}`
+      );
+    }
+
+    this.onWrite(mappings);
+
+    return {
+      success: true,
+      code: null,
+      error: null,
+      errors: [],
+      printer: id ? { id, ...mappings.printers[id] } : null,
+    };
+  }
+
+  /**
+   * Write the file atomically, keeping a legacy file as a backup
+   * @param {Object} mappings - Validated mappings
+   * @private
+   */
+  write(mappings) {
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (
+        PrinterMappingsSchema.getVersion(data) !==
+        PrinterMappingsSchema.SCHEMA_VERSION
+      ) {
+        fs.copyFileSync(this.filePath, `${this.filePath}.bak`);
+      }
+    }
+
+    AppendLog.writeFile(
+      this.filePath,
+      JSON.stringify(mappings, null, 2) + "\n"
+    );
+  }
+
+  /**
+   * Check that an ID can be used for a new or renamed printer
+   * @param {Object} mappings - Current mappings
+   * @param {string} id - Proposed ID
+   * @returns {Object|null} Error to stop the change with, or null if the ID is free
+   * @private
+   */
+  checkNewId(mappings, id) {
+    if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+      return {
+        code: "INVALID",
+        error:
+          "Printer ID must be 1-64 letters, digits, dots, dashes or underscores",
+      };
+    }
+    if (mappings.printers[id] || mappings.groups[id]) {
+      return { code: "CONFLICT", error: `ID ${id} is already in use` };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Build the error for a printer that is not in the file
+ * @param {string} id - Printer ID
+ * @returns {{code: string, error: string}} Error
+ * @private
+ */
+function notFound(id) {
+  return { code: "NOT_FOUND", error: `Printer ${id} not found` };
+}
+
+/**
+ * Build a failed result
+ * @param {string} code - NOT_FOUND, CONFLICT, INVALID or WRITE_FAILED
+ * @param {string} error - Error message
+ * @param {Array<string>} [errors] - Schema errors
+ * @returns {Object} Result
+ * @private
+ */
+function failure(code, error, errors = []) {
+  return { success: false, code, error, errors, printer: null };
+}
+
+module.exports = PrinterMappingsStore;
@@ -0,0 +1,325 @@
+/**
+ * Printer Profiles
+ *
+ * Named capability profiles describing what a printer model can do: its
+ * printable width in dots, the fonts it has (and so the characters per
+ * line), its cutter, its buzzer, the code pages it can select and whether it
+ * prints raster images, answers status queries or has a drawer port. Each
+ * printer in the mappings picks a profile; printers without one get the
+ * generic ESC/POS profile for their paper width, which sends the same text
+ * commands the agent always has. Custom profiles can extend the built-in
+ * ones from printer-profiles.json.
+ */
+
+// Printable width in dots of each paper width
+const PAPER_WIDTHS = {
+  MM_58: { dots: 384 },
+  MM_76: { dots: 512 },
+  MM_80: { dots: 576 },
+  A4: { dots: 718 },
+};
+
+// ESC t table numbers shared by Epson and most ESC/POS compatibles
+const ESCPOS_CODE_PAGES = {
+  PC437: 0,
+  KATAKANA: 1,
+  PC850: 2,
+  PC860: 3,
+  PC863: 4,
+  PC865: 5,
+  WPC1252: 16,
+  PC866: 17,
+  PC852: 18,
+  PC858: 19,
+};
+
+// Character width in dots of ESC/POS fonts A (12x24) and B (9x17)
+const ESCPOS_FONTS = { A: 12, B: 9 };
+
+// ESC M number of each font
+const FONT_NUMBERS = { A: 0, B: 1, C: 2 };
+
+// Cutter and buzzer types PrintFormatter knows the commands for
+const CUTTERS = ["full", "partial", "none"];
+const BUZZERS = ["bel", "esc-b", "none"];
+
+// Settings of the generic ESC/POS profiles, matching the agent's original
+// commands: a full cut and two BEL beeps
+const GENERIC_ESCPOS = {
+  fonts: ESCPOS_FONTS,
+  font: "A",
+  cutter: "full",
+  feedLines: 3,
+  buzzer: "bel",
+  codePages: ESCPOS_CODE_PAGES,
+  codePage: null,
+  capabilities: { status: true, drawer: true, raster: true },
+};
+
+const BUILT_IN_PROFILES = {
+  "escpos-58": {
+    ...GENERIC_ESCPOS,
+    description: "Generic ESC/POS printer, 58 mm",
+    paperWidth: "MM_58",
+  },
+  "escpos-76": {
+    ...GENERIC_ESCPOS,
+    description: "Generic ESC/POS printer, 76 mm",
+    paperWidth: "MM_76",
+  },
+  "escpos-80": {
+    ...GENERIC_ESCPOS,
+    description: "Generic ESC/POS printer, 80 mm",
+    paperWidth: "MM_80",
+  },
+  "epson-tm-80": {
+    ...GENERIC_ESCPOS,
+    description: "Epson TM series (TM-T20, TM-T82, TM-T88, TM-m30), 80 mm",
+    paperWidth: "MM_80",
+    cutter: "partial",
+    // TM printers have no built-in buzzer; an external one is wired to the
+    // drawer port
+    buzzer: "none",
+  },
+  "generic-58": {
+    ...GENERIC_ESCPOS,
+    description: "58 mm ESC/POS clones (Xprinter, Goojprt, Rongta), no cutter",
+    paperWidth: "MM_58",
+    cutter: "none",
+    feedLines: 4,
+    buzzer: "none",
+    capabilities: { status: false, drawer: true, raster: true },
+  },
+  "generic-80": {
+    ...GENERIC_ESCPOS,
+    description: "80 mm ESC/POS clones (Xprinter, Rongta, TVS) with a buzzer",
+    paperWidth: "MM_80",
+    buzzer: "esc-b",
+  },
+  "star-escpos": {
+    ...GENERIC_ESCPOS,
+    description: "Star (TSP100, TSP650, mC-Print) in ESC/POS emulation, 80 mm",
+    paperWidth: "MM_80",
+    cutter: "partial",
+    buzzer: "none",
+  },
+  "office-a4": {
+    description: "Office printer (IPP or LPD), A4",
+    paperWidth: "A4",
+    charsPerLine: 72,
+    fonts: { A: 10 },
+    font: "A",
+    cutter: "none",
+    feedLines: 0,
+    buzzer: "none",
+    codePages: {},
+    codePage: null,
+    capabilities: { status: false, drawer: false, raster: false },
+  },
+};
+
+class PrinterProfiles {
+  /**
+   * Create a new profile set with the built-in profiles
+   * @param {Object} options - Profile options
+   * @param {Object} [options.profiles] - Custom profiles keyed by ID, from printer-profiles.json
+   */
+  constructor(options = {}) {
+    this.profiles = { ...BUILT_IN_PROFILES };
+    this.load(options.profiles || {});
+  }
+
+  /**
+   * Add custom profiles. A profile with "extends" starts from the settings
+   * of that profile; one without it starts from the generic 80 mm profile.
+   * @param {Object} profiles - Profiles keyed by ID
+   */
+  load(profiles) {
+    for (const [id, profile] of Object.entries(profiles)) {
+      const { extends: baseId, ...settings } = profile;
+      const base = this.profiles[baseId || "escpos-80"];
+
+      if (!base) {
+        console.warn(
+          `Skipping printer profile "${id}", it extends unknown profile "${baseId}"`
+        );
+        continue;
+      }
+      if (settings.paperWidth && !PAPER_WIDTHS[settings.paperWidth]) {
+        console.warn(
+          `Skipping printer profile "${id}", unknown paper width "${settings.paperWidth}"`
+        );
+        continue;
+      }
+      if (settings.cutter && !CUTTERS.includes(settings.cutter)) {
+        console.warn(
+          `Skipping printer profile "${id}", unknown cutter "${settings.cutter}"`
+        );
+        continue;
+      }
+      if (settings.buzzer && !BUZZERS.includes(settings.buzzer)) {
+        console.warn(
+          `Skipping printer profile "${id}", unknown buzzer "${settings.buzzer}"`
+        );
+        continue;
+      }
+      const fonts = settings.fonts || base.fonts;
+      if (!fonts[settings.font || base.font]) {
+        console.warn(
+          `Skipping printer profile "${id}", it has no font "${
+            settings.font || base.font
+          }"`
+        );
+        continue;
+      }
+
+      this.profiles[id] = {
+        ...base,
+        description: id,
+        ...settings,
+        capabilities: { ...base.capabilities, ...settings.capabilities },
+      };
+    }
+  }
+
+  /**
+   * Check whether a profile exists
+   * @param {string} id - Profile ID
+   * @returns {boolean} True if the profile is built in or was loaded
+   */
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, id);
+  }
+
+  /**
+   * List every profile
+   * @returns {Array<Object>} Profiles with their ID
+   */
+  list() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({
+      id,
+      builtIn: BUILT_IN_PROFILES[id] === profile,
+      ...profile,
+    }));
+  }
+
+  /**
+   * Get the profile a printer uses when its mapping does not name one
+   * @param {string} [paperWidth] - Paper width key
+   * @param {string} [output] - Printer output, "escpos", "pdf" or "text"
+   * @returns {string} Profile ID
+   */
+  static getDefaultProfileId(paperWidth, output = "escpos") {
+    if (output !== "escpos" || paperWidth === "A4") {
+      return "office-a4";
+    }
+
+    return (
+      {
+        MM_58: "escpos-58",
+        MM_76: "escpos-76",
+      }[paperWidth] || "escpos-80"
+    );
+  }
+
+  /**
+   * Work out the settings a printer is formatted with
+   * @param {Object} settings - Printer settings from the mappings
+   * @param {string} [settings.profile] - Profile ID (default: the generic profile for the paper width)
+   * @param {string} [settings.paperWidth] - Paper width, when it differs from the profile's
+   * @param {string} [settings.font] - Font, when it differs from the profile's
+   * @param {string} [settings.codePage] - Code page, when it differs from the profile's
+   * @param {string} [settings.output] - Printer output (default: "escpos")
+   * @returns {Object} Resolved profile with its dots and characters per line,
+   *   and the ESC M and ESC t numbers of its font and code page
+   */
+  resolve(settings = {}) {
+    const id =
+      settings.profile && this.has(settings.profile)
+        ? settings.profile
+        : PrinterProfiles.getDefaultProfileId(
+            settings.paperWidth,
+            settings.output
+          );
+    const profile = this.profiles[id];
+
+    // A paper width other than the profile's keeps its commands but not
+    // its width, e.g. a 58 mm roll in an 80 mm printer
+    const paperWidth =
+      settings.paperWidth && PAPER_WIDTHS[settings.paperWidth]
+        ? settings.paperWidth
+        : profile.paperWidth;
+    const ownWidth = paperWidth === profile.paperWidth;
+    const dots =
+      ownWidth && profile.dots ? profile.dots : PAPER_WIDTHS[paperWidth].dots;
+
+    const font =
+      settings.font && profile.fonts[settings.font]
+        ? settings.font
+        : profile.font;
+    const charsPerLine =
+      ownWidth && font === profile.font && profile.charsPerLine
+        ? profile.charsPerLine
+        : Math.floor(dots / profile.fonts[font]);
+
+    const codePage =
+      settings.codePage && settings.codePage in profile.codePages
+        ? settings.codePage
+        : profile.codePage;
+
+    return {
+      id,
+      description: profile.description,
+      paperWidth,
+      dots,
+      charsPerLine,
+      font,
+      // Printers start in font A, so only other fonts are selected
+      fontNumber: font === "A" ? null : FONT_NUMBERS[font],
+      cutter: profile.cutter,
+      feedLines: profile.feedLines,
+      buzzer: profile.buzzer,
+      codePage,
+      codePageNumber: codePage ? profile.codePages[codePage] : null,
+      capabilities: { ...profile.capabilities },
+    };
+  }
+
+  /**
+   * Resolve a profile again for another paper width, e.g. one a job asks for
+   * @param {Object} profile - Resolved profile
+   * @param {string} paperWidth - Paper width key
+   * @returns {Object} Resolved profile
+   */
+  resize(profile, paperWidth) {
+    return this.resolve({
+      profile: profile.id,
+      paperWidth,
+      font: profile.font,
+      codePage: profile.codePage,
+    });
+  }
+
+  /**
+   * Turn a resolved profile into PrintFormatter settings
+   * @param {Object} profile - Resolved profile
+   * @returns {Object} Formatter configuration
+   */
+  static toFormatterConfig(profile) {
+    return {
+      lineWidth: profile.dots,
+      charsPerLine: profile.charsPerLine,
+      cutter: profile.cutter,
+      feedLines: profile.feedLines,
+      buzzer: profile.buzzer,
+      font: profile.fontNumber,
+      codePage: profile.codePageNumber,
+    };
+  }
+}
+
+PrinterProfiles.PAPER_WIDTHS = PAPER_WIDTHS;
+PrinterProfiles.CUTTERS = CUTTERS;
+PrinterProfiles.BUZZERS = BUZZERS;
+
+module.exports = PrinterProfiles;
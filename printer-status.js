@@ -0,0 +1,156 @@
+/**
+ * Printer Status
+ *
+ * Queries an ESC/POS printer's real-time status (DLE EOT, with GS r as a
+ * fallback for the paper sensor) and decodes the cover, paper, cutter and
+ * offline flags. A printer that does not answer is reported as unknown
+ * rather than faulty, since not every network printer supports the commands.
+ */
+
+// Real-time status commands
+const STATUS_COMMANDS = {
+  PRINTER: Buffer.from([0x10, 0x04, 0x01]), // DLE EOT 1: printer status
+  OFFLINE: Buffer.from([0x10, 0x04, 0x02]), // DLE EOT 2: offline cause
+  ERROR: Buffer.from([0x10, 0x04, 0x03]), // DLE EOT 3: error cause
+  PAPER: Buffer.from([0x10, 0x04, 0x04]), // DLE EOT 4: paper roll sensor
+  PAPER_SENSOR: Buffer.from([0x1d, 0x72, 0x01]), // GS r 1: paper sensor
+};
+
+class PrinterStatus {
+  /**
+   * Query a printer's status over a socket that is already connected, such
+   * as a pooled connection. The socket is left open.
+   * @param {net.Socket} socket - Connected socket
+   * @param {Object} options - Query options
+   * @param {number} options.timeout - Time in ms to wait for each answer (default: 1000)
+   * @returns {Promise<Object|null>} Decoded status, or null if the printer did not answer
+   */
+  static async read(socket, options = {}) {
+    const timeout = options.timeout || 1000;
+    const received = [];
+    let waiting = null;
+    let closed = false;
+
+    const onData = (data) => {
+      received.push(...data);
+      if (waiting) waiting();
+    };
+    const onClose = () => {
+      closed = true;
+      if (waiting) waiting();
+    };
+
+    // Send a command and wait for its one-byte answer
+    const ask = (command) =>
+      new Promise((answer) => {
+        if (closed) {
+          answer(null);
+          return;
+        }
+
+        received.length = 0;
+
+        const timer = setTimeout(() => {
+          waiting = null;
+          answer(null);
+        }, timeout);
+
+        waiting = () => {
+          clearTimeout(timer);
+          waiting = null;
+          answer(closed ? null : received.shift());
+        };
+
+        socket.write(command);
+      });
+
+    socket.on("data", onData);
+    socket.on("close", onClose);
+
+    try {
+      const printer = await ask(STATUS_COMMANDS.PRINTER);
+      if (printer == null) {
+        return null;
+      }
+
+      const responses = {
+        printer,
+        offline: await ask(STATUS_COMMANDS.OFFLINE),
+        error: await ask(STATUS_COMMANDS.ERROR),
+        paper: await ask(STATUS_COMMANDS.PAPER),
+      };
+
+      // Some printers only report the paper sensor through GS r
+      if (responses.paper === null) {
+        responses.paperSensor = await ask(STATUS_COMMANDS.PAPER_SENSOR);
+      }
+
+      return PrinterStatus.decode(responses);
+    } finally {
+      socket.off("data", onData);
+      socket.off("close", onClose);
+    }
+  }
+
+  /**
+   * Decode the status bytes returned by a printer
+   * @param {Object} responses - Status bytes; any of them may be null
+   * @param {number} responses.printer - Answer to DLE EOT 1
+   * @param {number} responses.offline - Answer to DLE EOT 2
+   * @param {number} responses.error - Answer to DLE EOT 3
+   * @param {number} responses.paper - Answer to DLE EOT 4
+   * @param {number} [responses.paperSensor] - Answer to GS r 1
+   * @returns {Object} Status flags with error and warning messages
+   */
+  static decode(responses) {
+    const bit = (value, mask) => isValidByte(value) && (value & mask) !== 0;
+
+    const status = {
+      offline: bit(responses.printer, 0x08),
+      coverOpen: bit(responses.offline, 0x04),
+      paperOut:
+        bit(responses.offline, 0x20) ||
+        bit(responses.paper, 0x60) ||
+        (responses.paperSensor != null && (responses.paperSensor & 0x0c) !== 0),
+      paperNearEnd:
+        bit(responses.paper, 0x0c) ||
+        (responses.paperSensor != null && (responses.paperSensor & 0x03) !== 0),
+      cutterError: bit(responses.error, 0x08),
+      unrecoverableError: bit(responses.error, 0x20),
+      errors: [],
+      warnings: [],
+    };
+
+    // Most specific cause first, so errors[0] is the best message to show
+    if (status.coverOpen) status.errors.push("Printer cover is open");
+    if (status.paperOut) status.errors.push("Printer is out of paper");
+    if (status.cutterError) status.errors.push("Printer cutter error");
+    if (status.unrecoverableError) {
+      status.errors.push("Printer has an unrecoverable error");
+    }
+    if (status.offline && status.errors.length === 0) {
+      status.errors.push("Printer is offline");
+    }
+    if (status.paperNearEnd && !status.paperOut) {
+      status.warnings.push("Printer paper is running low");
+    }
+
+    status.ok = status.errors.length === 0;
+    return status;
+  }
+}
+
+/**
+ * Check the fixed bits every DLE EOT answer carries (bits 1 and 4 set,
+ * bits 0 and 7 clear), so stray bytes are not misread as status
+ * @param {number} value - Status byte
+ * @returns {boolean} Whether the byte is a valid status answer
+ * @private
+ */
+function isValidByte(value) {
+  return typeof value === "number" && (value & 0x93) === 0x12;
+}
+
+PrinterStatus.STATUS_COMMANDS = STATUS_COMMANDS;
+
+module.exports = PrinterStatus;
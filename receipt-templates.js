@@ -0,0 +1,166 @@
+/**
+ * Receipt Templates
+ *
+ * Loads the templates KOTs and bills are laid out with: JSON files named
+ * after the template, e.g. kot.json. Templates in the custom directory
+ * (TEMPLATES_DIR) are used before the ones shipped in templates/, so a
+ * restaurant can change a layout without editing the agent's own files.
+ *
+ * A file is read again when it changes, so an edit applies to the next
+ * print. An edit that is not a valid template is logged and the last valid
+ * version is used, the way a bad printer-mappings.json edit is handled.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const TemplateRenderer = require("./template-renderer");
+
+// Templates shipped with the agent
+const BUILT_IN_DIRECTORY = path.join(__dirname, "templates");
+
+// Template names come from jobs, so they must not reach outside the directories
+const NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,63}$/;
+
+class ReceiptTemplates {
+  /**
+   * Create a new template loader
+   * @param {Object} options - Loader options
+   * @param {string} [options.directory] - Directory of custom templates, searched before the built-in ones
+   */
+  constructor(options = {}) {
+    this.directories = [
+      ...new Set(
+        [options.directory, BUILT_IN_DIRECTORY]
+          .filter(Boolean)
+          .map((directory) => path.resolve(directory))
+      ),
+    ];
+
+    // Last valid version of each file, keyed by path
+    this.loaded = new Map();
+  }
+
+  /**
+   * Get a template, reading its file again if it changed
+   * @param {string} name - Template name, e.g. "kot"
+   * @returns {Object} Validated template
+   * @throws {Error} If there is no such template, or it has never been valid
+   */
+  get(name) {
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid template name "${name}"`);
+    }
+
+    const filePath = this.find(name);
+    if (!filePath) {
+      throw new Error(`Template ${name} not found`);
+    }
+
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = this.loaded.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.template;
+    }
+
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      return this.reject(name, filePath, mtimeMs, cached, [error.message]);
+    }
+
+    const errors = TemplateRenderer.validate(template);
+    if (errors.length > 0) {
+      return this.reject(name, filePath, mtimeMs, cached, errors);
+    }
+
+    this.loaded.set(filePath, { mtimeMs, template });
+    return template;
+  }
+
+  /**
+   * List the templates that can be used
+   * @returns {Array<Object>} Templates with their name, description, file
+   *   and errors; a custom template hides a built-in one of the same name
+   */
+  list() {
+    const names = new Set();
+    for (const directory of this.directories) {
+      if (!fs.existsSync(directory)) continue;
+
+      for (const file of fs.readdirSync(directory)) {
+        const name = path.basename(file, ".json");
+        if (file.endsWith(".json") && NAME_PATTERN.test(name)) {
+          names.add(name);
+        }
+      }
+    }
+
+    return [...names].sort().map((name) => {
+      const file = this.find(name);
+      try {
+        const template = this.get(name);
+        return {
+          name,
+          description: template.description || "",
+          file,
+          builtIn: path.dirname(file) === BUILT_IN_DIRECTORY,
+          errors: [],
+        };
+      } catch (error) {
+        return {
+          name,
+          description: "",
+          file,
+          builtIn: path.dirname(file) === BUILT_IN_DIRECTORY,
+          errors: [error.message],
+        };
+      }
+    });
+  }
+
+  /**
+   * Find the file of a template
+   * @param {string} name - Template name
+   * @returns {string|null} Path of the first file found, or null
+   * @private
+   */
+  find(name) {
+    for (const directory of this.directories) {
+      const filePath = path.join(directory, `${name}.json`);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a template file that cannot be used
+   * @param {string} name - Template name
+   * @param {string} filePath - Path of the file
+   * @param {number} mtimeMs - Modification time of the file
+   * @param {Object} [cached] - Last valid version of the file
+   * @param {Array<string>} errors - Problems with the file
+   * @returns {Object} Last valid version of the template
+   * @throws {Error} If the file has never been valid
+   * @private
+   */
+  reject(name, filePath, mtimeMs, cached, errors) {
+    const message = `Template ${name} (${filePath}) is not valid:\n  ${errors.join(
+      "\n  "
+    )}`;
+    if (!cached) {
+      throw new Error(message);
+    }
+
+    // Keep the file's time, so the error is logged once per edit
+    console.error(`${message}\nUsing the last valid version of ${name}`);
+    this.loaded.set(filePath, { mtimeMs, template: cached.template });
+
+    return cached.template;
+  }
+}
+
+module.exports = ReceiptTemplates;
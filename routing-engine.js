@@ -0,0 +1,414 @@
+/**
+ * Routing Engine
+ *
+ * Decides which printers an order prints on from declarative rules, so the
+ * POS can send one order and the agent fans it out. Rules are checked in
+ * order. Order conditions (content type, order type, table section, time of
+ * day) decide whether a rule applies; item conditions (category, kitchen
+ * station) pick the items of a KOT that go to the rule's printer. Each KOT
+ * item is printed by the first rule that matches it, unless that rule has
+ * "continue" set. Other content is never split and goes to the first
+ * matching rule's printer, plus any earlier matching "continue" rules.
+ *
+ * A KOT can also be split by kitchen station: items whose station has its
+ * own printer go there before any rule is checked, the rest go by the rules
+ * and then to the default printer. When a KOT ends up on several tickets,
+ * each is labelled "part x of y", and an expo printer can get a full copy.
+ */
+
+// Conditions checked against the order header
+const ORDER_CONDITIONS = ["contentType", "orderType", "section", "time"];
+
+// Conditions checked against each item
+const ITEM_CONDITIONS = ["category", "station"];
+
+class RoutingEngine {
+  /**
+   * Create a new routing engine
+   * @param {Object} options - Engine options
+   * @param {Function} options.hasPrinter - Returns whether a printer or group ID is mapped
+   */
+  constructor(options = {}) {
+    this.hasPrinter = options.hasPrinter || (() => true);
+    this.rules = [];
+    this.kotSplit = null;
+  }
+
+  /**
+   * Replace the rules and KOT split settings. Rules that cannot work are
+   * left out with a warning.
+   * @param {Object} settings - Routing settings
+   * @param {Array<Object>} settings.rules - Rules with name, when, printer and continue
+   * @param {Object} [settings.kotSplit] - Station printers, with by, stations, default and expo
+   */
+  load(settings = {}) {
+    const { rules, kotSplit } = settings;
+    this.rules = [];
+    this.kotSplit = kotSplit ? this.loadKOTSplit(kotSplit) : null;
+
+    (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+      const name = rule.name || `Rule ${index + 1}`;
+      const when = rule.when || {};
+
+      if (!rule.printer) {
+        console.warn(`Routing rule "${name}" has no printer, skipping it`);
+        return;
+      }
+
+      const unknown = Object.keys(when).filter(
+        (key) =>
+          !ORDER_CONDITIONS.includes(key) && !ITEM_CONDITIONS.includes(key)
+      );
+      if (unknown.length > 0) {
+        console.warn(
+          `Routing rule "${name}" has unknown conditions (${unknown.join(
+            ", "
+          )}), skipping it`
+        );
+        return;
+      }
+
+      let time = null;
+      if (when.time) {
+        time = parseTimeRange(when.time);
+        if (!time) {
+          console.warn(
+            `Routing rule "${name}" has an invalid time "${when.time}", skipping it`
+          );
+          return;
+        }
+      }
+
+      if (!this.hasPrinter(rule.printer)) {
+        console.warn(
+          `Routing rule "${name}" sends jobs to unknown printer ${rule.printer}`
+        );
+      }
+
+      this.rules.push({
+        name,
+        when,
+        time,
+        printer: rule.printer,
+        continue: !!rule.continue,
+        hasItemConditions: ITEM_CONDITIONS.some((key) => key in when),
+      });
+    });
+  }
+
+  /**
+   * Check the KOT split settings
+   * @param {Object} kotSplit - Settings with by, stations, default and expo
+   * @returns {Object} Settings with station names in lower case
+   * @private
+   */
+  loadKOTSplit(kotSplit) {
+    const stations = new Map();
+    for (const [station, printer] of Object.entries(kotSplit.stations || {})) {
+      stations.set(station.toLowerCase(), printer);
+    }
+
+    for (const printer of [
+      ...stations.values(),
+      kotSplit.default,
+      kotSplit.expo,
+    ]) {
+      if (printer && !this.hasPrinter(printer)) {
+        console.warn(`KOT split sends items to unknown printer ${printer}`);
+      }
+    }
+
+    return {
+      by: kotSplit.by || "station",
+      stations,
+      default: kotSplit.default || null,
+      expo: kotSplit.expo || null,
+    };
+  }
+
+  /**
+   * Check whether any rules or station printers are loaded
+   * @returns {boolean} True if jobs can be routed
+   */
+  hasRules() {
+    return this.rules.length > 0 || !!this.kotSplit;
+  }
+
+  /**
+   * Check whether KOTs are split by station
+   * @returns {boolean} True if station printers are set up
+   */
+  splitsKOTs() {
+    return !!this.kotSplit;
+  }
+
+  /**
+   * Work out where an order prints
+   * @param {Object} order - The order to route
+   * @param {string} order.type - Content type, e.g. KOT or BILL
+   * @param {Object} order.body - Content with header and items
+   * @param {Date} [now] - Time used for time of day conditions (default: now)
+   * @param {string} [fallback] - Printer for KOT items nothing else routes
+   * @returns {Array<Object>} Routes with printer, rule names, the items to
+   *   print there (null when the whole order goes) and the ticket's label.
+   *   KOT items no printer takes are returned as a last route marked
+   *   unrouted, with a null printer.
+   */
+  route(order, now = new Date(), fallback = null) {
+    const header = (order.body && order.body.header) || {};
+    const items = Array.isArray(order.body && order.body.items)
+      ? order.body.items
+      : null;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+
+    const applicable = this.rules.filter((rule) =>
+      this.matchesOrder(rule, order.type, header, minutes)
+    );
+
+    // Routes to the same printer are merged into one ticket
+    const routes = new Map();
+    const addRoute = (printer, ruleName, routeItems, station) => {
+      const route = routes.get(printer);
+      if (!route) {
+        routes.set(printer, {
+          printer,
+          rules: [ruleName],
+          items: routeItems,
+          stations: station ? [station] : [],
+          label: null,
+        });
+        return;
+      }
+
+      if (!route.rules.includes(ruleName)) {
+        route.rules.push(ruleName);
+      }
+      if (station && !route.stations.includes(station)) {
+        route.stations.push(station);
+      }
+      if (route.items && routeItems) {
+        // Keep the items in their order on the ticket
+        route.items = items.filter(
+          (item) => route.items.includes(item) || routeItems.includes(item)
+        );
+      } else {
+        route.items = null;
+      }
+    };
+
+    if (order.type === "KOT" && items) {
+      const claimed = new Set();
+
+      // Items of a station with its own printer go there first
+      if (this.kotSplit) {
+        for (const item of items) {
+          const station = item[this.kotSplit.by];
+          const printer =
+            station !== undefined && station !== null
+              ? this.kotSplit.stations.get(String(station).toLowerCase())
+              : null;
+
+          if (printer) {
+            claimed.add(item);
+            addRoute(printer, this.kotSplit.by, [item], String(station));
+          }
+        }
+      }
+
+      for (const rule of applicable) {
+        const matched = items.filter(
+          (item) => !claimed.has(item) && this.matchesItem(rule, item)
+        );
+        if (matched.length === 0) continue;
+
+        if (!rule.continue) {
+          matched.forEach((item) => claimed.add(item));
+        }
+        addRoute(rule.printer, rule.name, matched);
+      }
+
+      const rest = items.filter((item) => !claimed.has(item));
+      const restPrinter = (this.kotSplit && this.kotSplit.default) || fallback;
+      if (rest.length > 0 && restPrinter) {
+        addRoute(restPrinter, "default", rest);
+      }
+
+      const tickets = this.labelTickets(Array.from(routes.values()));
+
+      // Items are never dropped; the caller decides what to do with them
+      if (rest.length > 0 && !restPrinter) {
+        tickets.push({
+          printer: null,
+          rules: [],
+          items: rest,
+          stations: [],
+          label: null,
+          unrouted: true,
+        });
+      }
+
+      return tickets;
+    } else {
+      for (const rule of applicable) {
+        if (
+          rule.hasItemConditions &&
+          !(items || []).some((item) => this.matchesItem(rule, item))
+        ) {
+          continue;
+        }
+
+        addRoute(rule.printer, rule.name, null);
+        if (!rule.continue) break;
+      }
+    }
+
+    return Array.from(routes.values());
+  }
+
+  /**
+   * Label the tickets of a split KOT "part x of y", with their stations, and
+   * add the full expo copy
+   * @param {Array<Object>} tickets - Routes of a KOT
+   * @returns {Array<Object>} Labelled routes
+   * @private
+   */
+  labelTickets(tickets) {
+    if (tickets.length > 1) {
+      tickets.forEach((ticket, index) => {
+        ticket.label = [
+          ticket.stations.join(" / ").toUpperCase(),
+          `Part ${index + 1} of ${tickets.length}`,
+        ]
+          .filter(Boolean)
+          .join(" - ");
+      });
+    }
+
+    if (this.kotSplit && this.kotSplit.expo && tickets.length > 0) {
+      tickets.push({
+        printer: this.kotSplit.expo,
+        rules: ["expo"],
+        items: null,
+        stations: [],
+        label: "Expo - Full order",
+        expo: true,
+      });
+    }
+
+    return tickets;
+  }
+
+  /**
+   * Check a rule's order conditions
+   * @param {Object} rule - Loaded rule
+   * @param {string} type - Content type
+   * @param {Object} header - Order header
+   * @param {number} minutes - Minutes since midnight
+   * @returns {boolean} True if the rule applies to the order
+   * @private
+   */
+  matchesOrder(rule, type, header, minutes) {
+    const { when, time } = rule;
+
+    if (when.contentType && !matchesValue(when.contentType, type)) {
+      return false;
+    }
+    if (when.orderType && !matchesValue(when.orderType, header.orderType)) {
+      return false;
+    }
+    if (when.section && !matchesValue(when.section, header.section)) {
+      return false;
+    }
+    if (time) {
+      const inRange =
+        time.start <= time.end
+          ? minutes >= time.start && minutes < time.end
+          : minutes >= time.start || minutes < time.end;
+      if (!inRange) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a rule's item conditions
+   * @param {Object} rule - Loaded rule
+   * @param {Object} item - Order item
+   * @returns {boolean} True if the item goes to the rule's printer
+   * @private
+   */
+  matchesItem(rule, item) {
+    const { when } = rule;
+
+    if (when.category && !matchesValue(when.category, item.category)) {
+      return false;
+    }
+    if (when.station && !matchesValue(when.station, item.station)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the loaded rules and KOT split settings
+   * @returns {{rules: Array<Object>, kotSplit: Object|null}} Settings as loaded
+   */
+  getRules() {
+    return {
+      rules: this.rules.map(({ name, when, printer, continue: next }) => ({
+        name,
+        when,
+        printer,
+        continue: next,
+      })),
+      kotSplit: this.kotSplit
+        ? {
+            ...this.kotSplit,
+            stations: Object.fromEntries(this.kotSplit.stations),
+          }
+        : null,
+    };
+  }
+}
+
+/**
+ * Compare a condition with a value, ignoring case
+ * @param {string|Array<string>} expected - Allowed value or values
+ * @param {string} actual - Value from the order
+ * @returns {boolean} True if the value is allowed
+ * @private
+ */
+function matchesValue(expected, actual) {
+  if (actual === undefined || actual === null) return false;
+
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  return allowed.some(
+    (value) => String(value).toLowerCase() === String(actual).toLowerCase()
+  );
+}
+
+/**
+ * Parse a time of day range such as "22:00-06:00"
+ * @param {string} range - Start and end as HH:MM; the end is excluded
+ * @returns {{start: number, end: number}|null} Minutes since midnight, or null if invalid
+ * @private
+ */
+function parseTimeRange(range) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(
+    String(range).trim()
+  );
+  if (!match) return null;
+
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  if (startHour > 24 || endHour > 24 || startMinute > 59 || endMinute > 59) {
+    return null;
+  }
+
+  return {
+    start: startHour * 60 + startMinute,
+    end: endHour * 60 + endMinute,
+  };
+}
+
+module.exports = RoutingEngine;
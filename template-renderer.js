@@ -0,0 +1,926 @@
+/**
+ * Template Renderer
+ *
+ * Renders receipt templates: JSON documents that describe a print as a list
+ * of nodes - lines of text, rows of columns, dividers, conditionals, loops
+ * and sections. The same template is rendered to ESC/POS commands for text
+ * printing and to an HTML document for image and PDF printing, so a layout
+ * is written once for every print format.
+ *
+ * Text can hold placeholders for the content being printed, with filters:
+ * "Order No: #{{header.kotNumber}}" or "{{item.name | trim | upper}}".
+ */
+
+const ESC = "\x1B";
+
+// Kinds of template nodes and the settings each one takes besides the style
+const NODE_KINDS = {
+  text: ["text", "wrap"],
+  columns: ["columns", "margin"],
+  divider: ["divider"],
+  feed: ["feed"],
+  if: ["if", "then", "else"],
+  each: ["each", "as", "body"],
+  section: ["section", "body", "box"],
+};
+
+// Style settings; a section passes its style on to the nodes inside it
+const STYLE_KEYS = ["align", "size", "bold"];
+
+// How text longer than its line or column is broken: not at all (the
+// printer wraps it), at spaces, or at the width
+const WRAPS = ["none", "words", "cut"];
+
+// ESC a parameter of each alignment
+const ALIGNMENTS = { left: "\x00", center: "\x01", right: "\x02" };
+
+// ESC ! parameter of each size, and the columns each character takes
+const SIZES = {
+  normal: { command: 0x00, width: 1, className: null },
+  small: { command: 0x00, width: 1, className: "small" },
+  medium: { command: 0x10, width: 1, className: "medium" }, // Double height
+  large: { command: 0x18, width: 1, className: "large" }, // Double height, emphasized
+  wide: { command: 0x30, width: 2, className: "wide" }, // Double width and height
+};
+
+// Letters KOT item statuses are shown as
+const STATUS_INDICATORS = {
+  NEW: "N",
+  MODIFIED: "M",
+  CANCEL: "C",
+  CANCELLED: "C",
+  REPEAT: "R",
+};
+
+// Filters placeholders can use, e.g. {{summary.total | money}}
+const FILTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  trim: (value) => String(value).trim(),
+  money: (value) => (Number(value) || 0).toFixed(2),
+  // First and second part of a "date time" string
+  date: (value) => String(value).split(" ")[0] || "",
+  time: (value) => String(value).split(" ")[1] || "",
+  status: (value) => STATUS_INDICATORS[String(value).toUpperCase()] || "",
+  brackets: (value) => (value === "" ? "" : `[${value}]`),
+  default: (value, fallback) => (value === "" ? fallback : value),
+};
+
+const PLACEHOLDER = /\{\{([^}]*)\}\}/g;
+
+class TemplateRenderer {
+  /**
+   * Render a template to ESC/POS commands
+   * @param {Object} template - Validated template
+   * @param {Object} data - Content the placeholders are filled from
+   * @param {Object} options - Render options
+   * @param {number} options.charsPerLine - Characters per line at normal size
+   * @returns {string} ESC/POS commands, ending in normal size and not bold
+   */
+  static renderText(template, data, options) {
+    const printer = createTextPrinter(options.charsPerLine);
+
+    return renderNodes(template.body, data, {}, printer);
+  }
+
+  /**
+   * Render a template to an HTML document
+   * @param {Object} template - Validated template
+   * @param {Object} data - Content the placeholders are filled from
+   * @param {Object} options - Render options
+   * @param {number} options.lineWidth - Page width in pixels
+   * @returns {string} HTML document
+   */
+  static renderHTML(template, data, options) {
+    const fontSize = (template.html && template.html.fontSize) || 28;
+    const body = renderNodes(template.body, data, {}, HTML_PRINTER);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  body {
+    font-family: Arial, 'Helvetica Neue', sans-serif;
+    width: ${options.lineWidth}px;
+    margin: 0;
+    padding: 0;
+    font-size: ${fontSize}px;
+  }
+  .line, .cell { white-space: pre-wrap; overflow-wrap: anywhere; margin: 4px 0; }
+  .left { text-align: left; }
+  .center { text-align: center; }
+  .right { text-align: right; }
+  .bold { font-weight: bold; }
+  .small { font-size: 0.8em; }
+  .medium { font-size: 1.1em; }
+  .large { font-size: 1.1em; font-weight: bold; }
+  .wide { font-size: 1.4em; }
+  .columns { display: flex; }
+  .cell { min-width: 0; }
+  .cut { word-break: break-all; }
+  .divider { border-bottom: 3px dashed #000000; margin: 10px 0; }
+  .box { border: 1px solid #000000; padding: 5px; margin: 10px 0; }
+  .print-method {
+    color: transparent;
+    font-size: 1px;
+    position: absolute;
+    bottom: 0;
+    left: 0;
+  }
+</style>
+</head>
+<body>
+<!-- Hidden marker to identify this was printed using HTML method -->
+<div class="print-method">HTML-IMAGE-PRINT</div>
+${body}
+<!-- Add extra space at the bottom for cutting -->
+<div style="height: 30px;"></div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Check a template
+   * @param {Object} template - Parsed template file
+   * @returns {Array<string>} Errors, each with the path of the node, e.g.
+   *   "body[3].columns[1].width: must be a fraction of the line or \"auto\""
+   */
+  static validate(template) {
+    if (!isObject(template)) {
+      return ["template: must be an object"];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(template)) {
+      if (!["description", "html", "body"].includes(key)) {
+        errors.push(`${key}: unknown setting`);
+      }
+    }
+    if (template.html !== undefined) {
+      if (!isObject(template.html)) {
+        errors.push("html: must be an object");
+      } else if (
+        template.html.fontSize !== undefined &&
+        !(template.html.fontSize > 0)
+      ) {
+        errors.push("html.fontSize: must be a positive number");
+      }
+    }
+    if (!Array.isArray(template.body)) {
+      errors.push("body: must be a list of nodes");
+    } else {
+      errors.push(...validateNodes(template.body, "body"));
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Check a list of nodes
+ * @param {Array} nodes - Nodes
+ * @param {string} path - Path of the list, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateNodes(nodes, path) {
+  return nodes.flatMap((node, index) =>
+    validateNode(node, `${path}[${index}]`)
+  );
+}
+
+/**
+ * Check a node and the nodes inside it
+ * @param {Object} node - Node
+ * @param {string} path - Path of the node, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateNode(node, path) {
+  if (!isObject(node)) {
+    return [`${path}: must be an object`];
+  }
+
+  const kinds = Object.keys(NODE_KINDS).filter((kind) => kind in node);
+  if (kinds.length !== 1) {
+    return [
+      `${path}: must have exactly one of ${Object.keys(NODE_KINDS).join(", ")}`,
+    ];
+  }
+
+  const kind = kinds[0];
+  const errors = [];
+  for (const key of Object.keys(node)) {
+    if (!NODE_KINDS[kind].includes(key) && !STYLE_KEYS.includes(key)) {
+      errors.push(`${path}.${key}: unknown setting for a ${kind} node`);
+    }
+  }
+  errors.push(...validateStyle(node, path));
+
+  switch (kind) {
+    case "text":
+      errors.push(...validateText(node.text, `${path}.text`));
+      errors.push(...validateWrap(node, path));
+      break;
+    case "columns":
+      if (node.margin !== undefined && !Number.isInteger(node.margin)) {
+        errors.push(`${path}.margin: must be a whole number of characters`);
+      }
+      if (!Array.isArray(node.columns) || node.columns.length === 0) {
+        errors.push(`${path}.columns: must be a list of columns`);
+        break;
+      }
+      node.columns.forEach((cell, index) =>
+        errors.push(...validateCell(cell, `${path}.columns[${index}]`))
+      );
+      break;
+    case "divider":
+      if (
+        node.divider !== true &&
+        !(typeof node.divider === "string" && node.divider.length === 1)
+      ) {
+        errors.push(`${path}.divider: must be true or a single character`);
+      }
+      break;
+    case "feed":
+      if (!Number.isInteger(node.feed) || node.feed < 1) {
+        errors.push(`${path}.feed: must be a whole number of lines`);
+      }
+      break;
+    case "if":
+      errors.push(...validateExpression(node.if, `${path}.if`, true));
+      for (const branch of ["then", "else"]) {
+        if (node[branch] === undefined) continue;
+        if (!Array.isArray(node[branch])) {
+          errors.push(`${path}.${branch}: must be a list of nodes`);
+        } else {
+          errors.push(...validateNodes(node[branch], `${path}.${branch}`));
+        }
+      }
+      break;
+    case "each":
+      errors.push(...validateExpression(node.each, `${path}.each`, false));
+      if (
+        node.as !== undefined &&
+        !(typeof node.as === "string" && /^[A-Za-z_]\w*$/.test(node.as))
+      ) {
+        errors.push(`${path}.as: must be a name, e.g. "item"`);
+      }
+      errors.push(...validateBody(node.body, `${path}.body`));
+      break;
+    case "section":
+      if (typeof node.section !== "string") {
+        errors.push(`${path}.section: must be the section's name`);
+      }
+      if (node.box !== undefined && typeof node.box !== "boolean") {
+        errors.push(`${path}.box: must be true or false`);
+      }
+      errors.push(...validateBody(node.body, `${path}.body`));
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Check a column of a columns node
+ * @param {Object} cell - Column
+ * @param {string} path - Path of the column, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateCell(cell, path) {
+  if (!isObject(cell)) {
+    return [`${path}: must be an object`];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(cell)) {
+    if (!["text", "width", "wrap", "indent", ...STYLE_KEYS].includes(key)) {
+      errors.push(`${path}.${key}: unknown setting for a column`);
+    }
+  }
+  errors.push(...validateText(cell.text, `${path}.text`));
+  errors.push(...validateStyle(cell, path));
+  errors.push(...validateWrap(cell, path));
+  if (
+    cell.width !== undefined &&
+    cell.width !== "auto" &&
+    !(typeof cell.width === "number" && cell.width > 0 && cell.width <= 1) &&
+    !(Number.isInteger(cell.width) && cell.width < 0)
+  ) {
+    errors.push(
+      `${path}.width: must be a fraction of the line, a negative number of characters or "auto"`
+    );
+  }
+  if (cell.indent !== undefined) {
+    errors.push(...validateText(cell.indent, `${path}.indent`));
+  }
+
+  return errors;
+}
+
+/**
+ * Check how a text node or column wraps
+ * @param {Object} node - Node or column
+ * @param {string} path - Path of the node, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateWrap(node, path) {
+  if (node.wrap !== undefined && !WRAPS.includes(node.wrap)) {
+    return [`${path}.wrap: must be one of ${WRAPS.join(", ")}`];
+  }
+
+  return [];
+}
+
+/**
+ * Check the style settings of a node or column
+ * @param {Object} node - Node or column
+ * @param {string} path - Path of the node, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateStyle(node, path) {
+  const errors = [];
+
+  if (node.align !== undefined && !(node.align in ALIGNMENTS)) {
+    errors.push(
+      `${path}.align: must be one of ${Object.keys(ALIGNMENTS).join(", ")}`
+    );
+  }
+  if (node.size !== undefined && !(node.size in SIZES)) {
+    errors.push(
+      `${path}.size: must be one of ${Object.keys(SIZES).join(", ")}`
+    );
+  }
+  if (node.bold !== undefined && typeof node.bold !== "boolean") {
+    errors.push(`${path}.bold: must be true or false`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check the nodes inside a loop or section
+ * @param {Array} body - Nodes
+ * @param {string} path - Path of the body, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateBody(body, path) {
+  if (!Array.isArray(body)) {
+    return [`${path}: must be a list of nodes`];
+  }
+
+  return validateNodes(body, path);
+}
+
+/**
+ * Check a text with placeholders
+ * @param {string} text - Text
+ * @param {string} path - Path of the text, for error messages
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateText(text, path) {
+  if (typeof text !== "string") {
+    return [`${path}: must be a string`];
+  }
+
+  return Array.from(text.matchAll(PLACEHOLDER)).flatMap((match) =>
+    validateExpression(match[1], path, false)
+  );
+}
+
+/**
+ * Check a placeholder or condition: a path and its filters
+ * @param {string} expression - Expression, e.g. "item.name | upper"
+ * @param {string} path - Path of the expression, for error messages
+ * @param {boolean} condition - Whether a leading "!" is allowed
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateExpression(expression, path, condition) {
+  if (typeof expression !== "string") {
+    return [`${path}: must be a string`];
+  }
+
+  const [valuePath, ...filters] = expression.split("|").map((p) => p.trim());
+  const pattern = condition ? /^!?[\w.]+$/ : /^[\w.]+$/;
+  const errors = [];
+
+  if (!pattern.test(valuePath)) {
+    errors.push(`${path}: "${valuePath}" is not a path, e.g. header.date`);
+  }
+  for (const filter of filters) {
+    const name = filter.split(":")[0].trim();
+    if (!FILTERS[name]) {
+      errors.push(
+        `${path}: unknown filter "${name}", use one of ${Object.keys(
+          FILTERS
+        ).join(", ")}`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render a list of nodes, expanding conditionals and loops
+ * @param {Array} nodes - Nodes
+ * @param {Object} scope - Values placeholders are filled from
+ * @param {Object} style - Style inherited from the enclosing sections
+ * @param {Object} printer - Output the nodes are rendered with
+ * @returns {string} Rendered nodes
+ * @private
+ */
+function renderNodes(nodes, scope, style, printer) {
+  return nodes
+    .map((node) => {
+      if ("if" in node) {
+        const branch = test(node.if, scope) ? node.then : node.else;
+        return renderNodes(branch || [], scope, style, printer);
+      }
+
+      if ("each" in node) {
+        const list = evaluate(node.each, scope);
+        return (Array.isArray(list) ? list : [])
+          .map((item) =>
+            renderNodes(
+              node.body,
+              { ...scope, [node.as || "item"]: item },
+              style,
+              printer
+            )
+          )
+          .join("");
+      }
+
+      const nodeStyle = getStyle(node, style);
+      if ("section" in node) {
+        return printer.section(node, nodeStyle, () =>
+          renderNodes(node.body, scope, nodeStyle, printer)
+        );
+      }
+      if ("text" in node) {
+        return printer.text(interpolate(node.text, scope), nodeStyle, node);
+      }
+      if ("columns" in node) {
+        return printer.columns(
+          node.columns.map((cell) => ({
+            text: interpolate(cell.text, scope),
+            indent:
+              cell.indent !== undefined
+                ? interpolate(cell.indent, scope)
+                : null,
+            width: cell.width,
+            wrap: cell.wrap || "none",
+            style: getStyle(cell, nodeStyle),
+            own: getOwnStyle(cell),
+          })),
+          nodeStyle,
+          node
+        );
+      }
+      if ("divider" in node) {
+        return printer.divider(
+          node.divider === true ? "-" : node.divider,
+          nodeStyle
+        );
+      }
+
+      return printer.feed(node.feed);
+    })
+    .join("");
+}
+
+/**
+ * Create the ESC/POS output for one print. Alignment is sent at the start of
+ * each line of a node that sets it, directly or through its section, and
+ * when a line needs another alignment than the printer has. Size and bold
+ * are sent around the text of the node, column or section that sets them
+ * and turned off after it. Lines keep the padding of their columns.
+ * @param {number} charsPerLine - Characters per line at normal size
+ * @returns {Object} Output with the same methods as HTML_PRINTER
+ * @private
+ */
+function createTextPrinter(charsPerLine) {
+  // Alignment of the printer after ESC @
+  const state = { align: "left" };
+
+  const setAlign = (align) => {
+    if (!align && state.align === "left") {
+      return "";
+    }
+
+    state.align = align || "left";
+    return `${ESC}a${ALIGNMENTS[state.align]}`;
+  };
+
+  // Commands before and after text in a size and weight
+  const styleOn = (own) =>
+    (own.bold !== undefined ? `${ESC}E${own.bold ? "\x01" : "\x00"}` : "") +
+    (own.size ? `${ESC}!${String.fromCharCode(SIZES[own.size].command)}` : "");
+  const styleOff = (own, next = {}) =>
+    (own.size && !next.size ? `${ESC}!\x00` : "") +
+    (own.bold && next.bold === undefined ? `${ESC}E\x00` : "");
+
+  // A line of segments, each with the size and weight it sets. A segment's
+  // settings are not turned off when the next one sets its own.
+  const line = (align, own, segments) => {
+    const text = segments
+      .map(
+        (segment, index) =>
+          styleOn(segment.own) +
+          segment.text +
+          styleOff(segment.own, (segments[index + 1] || {}).own)
+      )
+      .join("");
+
+    return setAlign(align) + styleOn(own) + text + styleOff(own) + "\n";
+  };
+
+  const printer = {
+    text(text, style, node) {
+      const width = Math.floor(charsPerLine / SIZES[style.size].width);
+
+      return wrap(text, width, node.wrap)
+        .map((part) =>
+          line(style.align, {}, [{ text: part, own: getOwnStyle(node) }])
+        )
+        .join("");
+    },
+
+    columns(cells, style, node) {
+      const lineWidth = charsPerLine - (node.margin || 0);
+      const widths = getColumnWidths(cells, lineWidth);
+      const chars = cells.map((cell, index) =>
+        Math.floor(widths[index] / SIZES[cell.style.size].width)
+      );
+      const columns = cells.map((cell, index) =>
+        wrap(cell.text, chars[index], cell.wrap)
+      );
+
+      // Lines after the first of an indented column are printed on their own
+      // below the row; the row's other columns wrap as usual
+      const hanging = cells.map((cell) => cell.indent !== null);
+      const rows = Math.max(
+        ...columns.map((lines, index) => (hanging[index] ? 1 : lines.length))
+      );
+
+      let output = "";
+      for (let row = 0; row < rows; row++) {
+        const segments = cells.map((cell, index) => ({
+          text:
+            row < columns[index].length && (row === 0 || !hanging[index])
+              ? pad(columns[index][row], chars[index], cell.style)
+              : " ".repeat(chars[index]),
+          own: cell.own,
+        }));
+        output += line(style.align, getOwnStyle(node), segments);
+      }
+
+      cells.forEach((cell, index) => {
+        if (!hanging[index]) return;
+
+        const indent = " ".repeat(cell.indent.length);
+        for (const part of columns[index].slice(1)) {
+          output += line(style.align, getOwnStyle(node), [
+            { text: indent + part, own: cell.own },
+          ]);
+        }
+      });
+
+      return output;
+    },
+
+    divider(character, style) {
+      // A divider fills the line, so it is only aligned when it sets it, and
+      // is printed at normal size inside a section of another size
+      const align = style.align ? setAlign(style.align) : "";
+      const size = SIZES[style.size].command;
+      const divider = character.repeat(charsPerLine);
+
+      if (!size) {
+        return align + divider + "\n";
+      }
+      return `${align}${ESC}!\x00${divider}${ESC}!${String.fromCharCode(
+        size
+      )}\n`;
+    },
+
+    feed(lines) {
+      return "\n".repeat(lines);
+    },
+
+    section(node, style, renderBody) {
+      const own = getOwnStyle(node);
+      if (!node.box) {
+        return styleOn(own) + renderBody() + styleOff(own);
+      }
+
+      // A box is drawn as a divider above and below the section
+      return (
+        styleOn(own) +
+        printer.divider("-", style) +
+        renderBody() +
+        printer.divider("-", style) +
+        styleOff(own)
+      );
+    },
+  };
+
+  return printer;
+}
+
+// HTML output; the browser wraps and aligns the text
+const HTML_PRINTER = {
+  text(text, style, node) {
+    return `<div class="${getClasses("line", style, node.wrap)}">${escapeHTML(
+      text
+    )}</div>\n`;
+  },
+
+  columns(cells, style, node) {
+    const columns = cells
+      .map((cell) => {
+        const flex =
+          typeof cell.width !== "number"
+            ? cell.width === "auto"
+              ? "0 0 auto"
+              : "1 1 0"
+            : cell.width < 0
+            ? `0 0 calc(100% - ${-cell.width}ch)`
+            : `0 0 ${cell.width * 100}%`;
+        // An indented column is shown with a hanging indent
+        const indent = cell.indent
+          ? ` padding-left: ${cell.indent.length}ch; text-indent: -${cell.indent.length}ch;`
+          : "";
+        const classes = getClasses("cell", cell.style, cell.wrap);
+
+        return `<div class="${classes}" style="flex: ${flex};${indent}">${escapeHTML(
+          cell.text
+        )}</div>`;
+      })
+      .join("");
+    const margin =
+      node.margin > 0 ? ` style="padding-right: ${node.margin}ch;"` : "";
+
+    return `<div class="columns"${margin}>${columns}</div>\n`;
+  },
+
+  divider() {
+    return '<div class="divider"></div>\n';
+  },
+
+  feed(lines) {
+    return `<div style="height: ${lines}em;"></div>\n`;
+  },
+
+  section(node, style, renderBody) {
+    const classes = ["section", node.box ? "box" : ""].filter(Boolean);
+    return `<div class="${classes.join(" ")}">\n${renderBody()}</div>\n`;
+  },
+};
+
+/**
+ * Work out the width in characters of each column. Columns with a fraction
+ * get that part of the line, columns with a negative width the line less
+ * that many characters, "auto" columns the width of their text, and the
+ * others share what is left.
+ * @param {Array<Object>} cells - Columns with their text, width and style
+ * @param {number} charsPerLine - Characters per line at normal size
+ * @returns {Array<number>} Width of each column
+ * @private
+ */
+function getColumnWidths(cells, charsPerLine) {
+  const widths = cells.map((cell) => {
+    if (typeof cell.width === "number" && cell.width < 0) {
+      return Math.max(0, charsPerLine + cell.width);
+    }
+    if (typeof cell.width === "number") {
+      return Math.floor(cell.width * charsPerLine);
+    }
+    if (cell.width === "auto") {
+      const longest = Math.max(
+        ...cell.text.split("\n").map((line) => line.length)
+      );
+      return Math.min(charsPerLine, longest * SIZES[cell.style.size].width);
+    }
+    return null;
+  });
+
+  const shared = widths.filter((width) => width === null).length;
+  const used = widths.reduce((sum, width) => sum + (width || 0), 0);
+  const free = Math.max(0, charsPerLine - used);
+  let left = free;
+  let seen = 0;
+
+  return widths.map((width) => {
+    if (width !== null) return width;
+
+    // The last shared column also gets what rounding left over
+    seen++;
+    const share = seen === shared ? left : Math.floor(free / shared);
+    left -= share;
+    return share;
+  });
+}
+
+/**
+ * Break text into lines of at most a given length
+ * @param {string} text - Text, may hold line breaks
+ * @param {number} width - Characters per line
+ * @param {string} [mode] - "words" to break at spaces, cutting words longer
+ *   than a line, "cut" to break at the width, or "none" (default) to leave
+ *   long lines for the printer to wrap
+ * @returns {Array<string>} Lines, at least one
+ * @private
+ */
+function wrap(text, width, mode = "none") {
+  const size = Math.max(1, width);
+
+  return text.split("\n").flatMap((paragraph) => {
+    if (mode === "none") {
+      return [paragraph];
+    }
+
+    const lines = [];
+    let rest = paragraph;
+
+    while (rest.length > size) {
+      const cut =
+        mode === "words" ? rest.substring(0, size).lastIndexOf(" ") : -1;
+      if (cut !== -1) {
+        lines.push(rest.substring(0, cut));
+        rest = rest.substring(cut + 1);
+      } else {
+        lines.push(rest.substring(0, size));
+        rest = rest.substring(size);
+      }
+    }
+    lines.push(rest);
+
+    return lines;
+  });
+}
+
+/**
+ * Pad a line of a column to its width
+ * @param {string} text - Line
+ * @param {number} width - Column width in characters
+ * @param {Object} style - Column style, for its alignment
+ * @returns {string} Padded line
+ * @private
+ */
+function pad(text, width, style) {
+  switch (style.align) {
+    case "right":
+      return text.padStart(width);
+    case "center":
+      return text
+        .padStart(text.length + Math.floor((width - text.length) / 2))
+        .padEnd(width);
+    default:
+      return text.padEnd(width);
+  }
+}
+
+/**
+ * Combine a node's style with the style it inherits
+ * @param {Object} node - Node or column
+ * @param {Object} inherited - Style of the enclosing section or row
+ * @returns {{align: (string|undefined), size: string, bold: boolean}}
+ *   Style; align is only set when the node or a section sets it
+ * @private
+ */
+function getStyle(node, inherited) {
+  return {
+    align: node.align || inherited.align,
+    size: node.size || inherited.size || "normal",
+    bold: node.bold !== undefined ? node.bold : !!inherited.bold,
+  };
+}
+
+/**
+ * Get the size and weight a node or column sets itself, without the ones
+ * it inherits
+ * @param {Object} node - Node or column
+ * @returns {{size: (string|undefined), bold: (boolean|undefined)}} Style
+ * @private
+ */
+function getOwnStyle(node) {
+  return { size: node.size, bold: node.bold };
+}
+
+/**
+ * Get the CSS classes of an HTML line or cell
+ * @param {string} base - Class of the element
+ * @param {Object} style - Style
+ * @param {string} [wrapMode] - How the text wraps
+ * @returns {string} Classes
+ * @private
+ */
+function getClasses(base, style, wrapMode) {
+  return [
+    base,
+    style.align || "left",
+    SIZES[style.size].className,
+    style.bold ? "bold" : "",
+    wrapMode === "cut" ? "cut" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Fill in the placeholders of a text
+ * @param {string} text - Text with placeholders
+ * @param {Object} scope - Values placeholders are filled from
+ * @returns {string} Text
+ * @private
+ */
+function interpolate(text, scope) {
+  return text.replace(PLACEHOLDER, (match, expression) =>
+    String(evaluate(expression, scope))
+  );
+}
+
+/**
+ * Check the condition of an if node. Empty lists, empty text, zero and
+ * missing values are false; a leading "!" turns the condition around.
+ * @param {string} expression - Condition, e.g. "header.gstin" or "!note"
+ * @param {Object} scope - Values the condition is checked against
+ * @returns {boolean} Whether the condition holds
+ * @private
+ */
+function test(expression, scope) {
+  const negated = expression.trim().startsWith("!");
+  const value = evaluate(expression.trim().replace(/^!/, ""), scope);
+  const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+
+  return negated ? !truthy : truthy;
+}
+
+/**
+ * Look up a path and apply its filters
+ * @param {string} expression - Path and filters, e.g. "item.name | upper"
+ * @param {Object} scope - Values the path is looked up in
+ * @returns {*} Value; missing values are ""
+ * @private
+ */
+function evaluate(expression, scope) {
+  const [valuePath, ...filters] = expression.split("|").map((p) => p.trim());
+
+  let value = valuePath
+    .split(".")
+    .reduce(
+      (current, key) =>
+        current !== undefined && current !== null ? current[key] : undefined,
+      scope
+    );
+  if (value === undefined || value === null) {
+    value = "";
+  }
+
+  for (const filter of filters) {
+    const [name, ...args] = filter.split(":");
+    value = FILTERS[name.trim()](value, args.join(":"));
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays or null
+ * @private
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+TemplateRenderer.FILTERS = Object.keys(FILTERS);
+TemplateRenderer.SIZES = Object.keys(SIZES);
+
+module.exports = TemplateRenderer;
@@ -8,6 +8,7 @@
 const fs = require("fs");
 const path = require("path");
 const dotenv = require("dotenv");
+const PrinterMappingsSchema = require("./printer-mappings-schema");
 
 // Load environment variables
 dotenv.config();
@@ -78,8 +79,10 @@ async function testPrinterConnection(ipAddress, port) {
 async function main() {
   console.log("=== Print Agent Printer Mappings Test ===");
 
-  // Load printer mappings
-  const printerMappings = loadPrinterMappings();
+  // Load printer mappings, in either the legacy or the versioned format
+  const printerMappings = PrinterMappingsSchema.normalize(
+    loadPrinterMappings()
+  );
 
   console.log("\nPrinter Mappings:");
   console.log(JSON.stringify(printerMappings, null, 2));
@@ -87,8 +90,16 @@ async function main() {
   // Test connections to all printers
   console.log("\nTesting printer connections:");
 
-  for (const [printerId, address] of Object.entries(printerMappings)) {
-    const [ipAddress, portStr] = address.split(":");
+  for (const [printerId, entry] of Object.entries(printerMappings)) {
+    if (typeof entry === "object" && (entry.type || "tcp") !== "tcp") {
+      console.log(`\nSkipping "${printerId}" (${entry.type})`);
+      continue;
+    }
+
+    const [ipAddress, portStr] =
+      typeof entry === "string"
+        ? entry.split(":")
+        : [entry.ipAddress || entry.address, String(entry.port || 9100)];
     const port = parseInt(portStr, 10);
 
     console.log(
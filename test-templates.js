@@ -0,0 +1,82 @@
+/**
+ * Test script for receipt templates
+ *
+ * This script prints the KOTs and bills in test-templates.json with the
+ * built-in templates for 58, 76 and 80 mm paper, and compares the ESC/POS
+ * commands byte for byte with the ones in the file, which are what the
+ * formatter printed before KOTs and bills were laid out with templates.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const PrintFormatter = require("./print-formatter");
+const PrinterProfiles = require("./printer-profiles");
+
+const PAPER_WIDTHS = ["MM_58", "MM_76", "MM_80"];
+
+/**
+ * Show a line of ESC/POS commands with its control characters visible
+ * @param {string} line - Line
+ * @returns {string} Line as a JSON string
+ */
+function showLine(line) {
+  return line === undefined ? "(no line)" : JSON.stringify(line);
+}
+
+/**
+ * Compare the output of one fixture with the expected commands
+ * @param {Object} fixture - Fixture from test-templates.json
+ * @param {string} paperWidth - Paper width key
+ * @param {PrinterProfiles} profiles - Printer profiles
+ * @returns {boolean} True if the output matches
+ */
+function checkFixture(fixture, paperWidth, profiles) {
+  const formatter = new PrintFormatter(
+    PrinterProfiles.toFormatterConfig(profiles.resolve({ paperWidth }))
+  );
+  const actual = formatter.formatTextContent(fixture.content, fixture.type);
+  const expected = fixture.expected[paperWidth];
+  const label = `${fixture.type} ${fixture.name} ${paperWidth}`;
+
+  if (actual === expected) {
+    console.log(`Match: ${label}`);
+    return true;
+  }
+
+  // Show the first line that differs
+  const actualLines = actual.split("\n");
+  const expectedLines = expected.split("\n");
+  const line = expectedLines.findIndex(
+    (expectedLine, index) => expectedLine !== actualLines[index]
+  );
+  const index = line === -1 ? expectedLines.length : line;
+
+  console.log(`Differs: ${label}, line ${index + 1}`);
+  console.log(`  expected: ${showLine(expectedLines[index])}`);
+  console.log(`  actual:   ${showLine(actualLines[index])}`);
+  return false;
+}
+
+// Main function
+function main() {
+  const fixtures = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "test-templates.json"), "utf8")
+  );
+  const profiles = new PrinterProfiles();
+
+  let failed = 0;
+  for (const fixture of fixtures) {
+    for (const paperWidth of PAPER_WIDTHS) {
+      if (!checkFixture(fixture, paperWidth, profiles)) {
+        failed++;
+      }
+    }
+  }
+
+  const total = fixtures.length * PAPER_WIDTHS.length;
+  console.log(`\n${total - failed} of ${total} prints match`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+// Run the main function
+main();